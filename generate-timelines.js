@@ -1,7 +1,10 @@
 #!/usr/bin/env node
 
 import { analyzeFeatureTimeline, analyzeToolingTimeline } from './tools/git.js';
+import { MERGE_STRATEGIES } from './tools/utils/git-commands.js';
+import { escapeHtml } from './tools/generators/output.js';
 import { writeFileSync, mkdirSync } from 'node:fs';
+import { parseArgs } from 'node:util';
 import path from 'node:path';
 
 const timelineDir = path.join(process.cwd(), '.timeline');
@@ -11,21 +14,76 @@ console.log('\n' + '='.repeat(70));
 console.log('📊 Generating Feature & Tooling Timelines');
 console.log('='.repeat(70) + '\n');
 
+// Parse CLI options, e.g. --path services/billing --ref v1.0..v2.0 --since "3 months ago" --all-branches
+function parseCliOptions() {
+  const { values } = parseArgs({
+    options: {
+      'max-commits': { type: 'string' },
+      path: { type: 'string' },
+      ref: { type: 'string' },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      'all-branches': { type: 'boolean' },
+      'merge-strategy': { type: 'string' },
+      'workspace-lanes': { type: 'boolean' },
+      'contributor-lanes': { type: 'boolean' },
+      'content-aware': { type: 'boolean' },
+      'tag-pattern': { type: 'string' },
+      'major-upgrades': { type: 'boolean' },
+      'track-upgrades': { type: 'string' },
+      'show-versions': { type: 'boolean' },
+      'registry-url': { type: 'string' }
+    }
+  });
+
+  const mergeStrategy = values['merge-strategy'];
+  if (mergeStrategy && !MERGE_STRATEGIES.includes(mergeStrategy)) {
+    throw new Error(`--merge-strategy must be one of: ${MERGE_STRATEGIES.join(', ')} (got "${mergeStrategy}")`);
+  }
+
+  return {
+    maxCommits: values['max-commits'] ? Number(values['max-commits']) : undefined,
+    path: values.path,
+    ref: values.ref,
+    since: values.since,
+    until: values.until,
+    allBranches: values['all-branches'],
+    mergeStrategy,
+    workspaceLanes: values['workspace-lanes'],
+    contributorLanes: values['contributor-lanes'],
+    // --content-aware names feature cards after newly exported functions, classes and components
+    contentAware: values['content-aware'],
+    tagPattern: values['tag-pattern'],
+    // --track-upgrades react,typescript limits upgrade phases to those libraries
+    majorUpgrades: values['track-upgrades'] ? values['track-upgrades'].split(',').map(name => name.trim()) : values['major-upgrades'],
+    showVersions: values['show-versions'],
+    // --registry-url https://registry.npmjs.org looks up packages missing from node_modules and the catalog
+    registryUrl: values['registry-url']
+  };
+}
+
 // Main async function
 async function main() {
+  const options = parseCliOptions();
+
   // Generate Feature Timeline
   console.log('[1/3] Generating Feature Timeline...');
-  const features = analyzeFeatureTimeline();
-  console.log(`✓ Found ${features.events.length} feature phases`);
+  const features = await analyzeFeatureTimeline(options);
+  if (features.range) {
+    console.log(`  Range: ${features.range}`);
+  }
+  console.log(`✓ Found ${features.events.length} feature phases across ${features.milestones.length} releases`);
   features.events.forEach((event, i) => {
     console.log(`  ${i + 1}. ${event.icon} ${event.title} (${event.date})`);
   });
   console.log(`✓ Files: ${features.files.html}, ${features.files.markdown}\n`);
 
-  // Generate Tooling Timeline (now async - fetches from npm)
+  // Generate Tooling Timeline (package descriptions from node_modules, the offline catalog and an optional registry)
   console.log('[2/3] Generating Tooling Timeline...');
-  console.log('⏳ Fetching package information from npm registry...');
-  const tooling = await analyzeToolingTimeline();
+  console.log(options.registryUrl
+    ? `⏳ Looking up package information (node_modules, offline catalog, ${options.registryUrl})...`
+    : '⏳ Looking up package information (node_modules, offline catalog)...');
+  const tooling = await analyzeToolingTimeline(options);
   console.log(`✓ Found ${tooling.events.length} tooling phases`);
   tooling.events.forEach((event, i) => {
     console.log(`  ${i + 1}. ${event.icon} ${event.title} (${event.date})`);
@@ -36,13 +94,18 @@ async function main() {
   console.log('[3/3] Creating dashboard...');
 
   const featureRows = features.events.slice(0, 5).map(e => 
-    `<tr><td><strong>${e.icon} ${e.title}</strong><br><small style="color:#999">${new Date(e.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</small></td><td>${e.description || ''}</td></tr>`
+    `<tr><td><strong>${e.icon} ${escapeHtml(e.title)}</strong><br><small style="color:#999">${new Date(e.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</small></td><td>${escapeHtml(e.description || '')}</td></tr>`
   ).join('');
 
   const toolingRows = tooling.events.slice(0, 5).map(e => 
-    `<tr><td><strong>${e.icon} ${e.title}</strong><br><small style="color:#999">${new Date(e.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</small></td><td>${e.tags?.join(', ') || ''}</td></tr>`
+    `<tr><td><strong>${e.icon} ${escapeHtml(e.title)}</strong><br><small style="color:#999">${new Date(e.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</small></td><td>${escapeHtml(e.tags?.join(', ') || '')}${e.retired?.length ? `<br><small style="color:#999">Retired: ${escapeHtml(e.retired.join(', '))}</small>` : ''}</td></tr>`
   ).join('');
 
+  const releaseRows = features.milestones.slice().reverse().slice(0, 5).map(m => {
+    const phases = [...features.events, ...tooling.events].filter(e => e.release === m.name).length;
+    return `<tr><td><strong>🏁 ${escapeHtml(m.name)}</strong><br><small style="color:#999">${new Date(m.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</small></td><td>${phases} phase${phases === 1 ? '' : 's'}</td></tr>`;
+  }).join('');
+
   const indexHtml = `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -99,10 +162,14 @@ async function main() {
         <div class="stat-label">Tooling Phases</div>
         <div class="stat-value">${tooling.events.length}</div>
       </div>
+      <div class="stat-group">
+        <div class="stat-label">Releases</div>
+        <div class="stat-value">${features.milestones.length}</div>
+      </div>
     </aside>
     <div class="main">
       <h1>📊 Project Timeline</h1>
-      <p class="meta">Generated: ${new Date().toLocaleString()}</p>
+      <p class="meta">Generated: ${new Date().toLocaleString()}${features.range ? ` · Range: ${escapeHtml(features.range)}` : ''}</p>
       <div class="links">
         <a href="FEATURE_TIMELINE.html" class="link-btn">📦 View Features</a>
         <a href="TOOLING_TIMELINE.html" class="link-btn">🔧 View Tooling</a>
@@ -123,6 +190,14 @@ async function main() {
           <tbody>${toolingRows || '<tr><td colspan="2">No tooling detected</td></tr>'}</tbody>
         </table>
       </div>
+      ${releaseRows ? `
+      <div class="section">
+        <div class="section-title">🏁 Releases</div>
+        <table>
+          <thead><tr><th>Release</th><th>Shipped</th></tr></thead>
+          <tbody>${releaseRows}</tbody>
+        </table>
+      </div>` : ''}
     </div>
   </div>
 </body>
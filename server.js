@@ -1,7 +1,8 @@
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { z } from "zod";
-import { analyzeFeatureTimeline, analyzeToolingTimeline, generateDashboard, generateAllTimelines } from "./tools/git.js";
+import { analyzeFeatureTimeline, analyzeToolingTimeline, analyzeApiTimeline, analyzeDataModelTimeline, generateDashboard, generateAllTimelines } from "./tools/git.js";
+import { MERGE_STRATEGIES } from "./tools/utils/git-commands.js";
 
 export class GitTimelineServer {
   constructor(projectPath) {
@@ -25,6 +26,36 @@ export class GitTimelineServer {
   }
 
   setupTools() {
+    // History selection and release milestones shared by all tools
+    const selectionParams = {
+      path: z.string().optional().describe("Sub-directory to scope the timeline to, e.g. 'services/billing' (relative to repoPath)"),
+      ref: z.string().optional().describe("Branch, tag, commit or revision range to analyze, e.g. 'release/2.x' or 'v1.0..v2.0' (defaults to HEAD)"),
+      since: z.string().optional().describe("Only include commits after this date, e.g. '2024-01-01' or '3 months ago'"),
+      until: z.string().optional().describe("Only include commits before this date"),
+      allBranches: z.boolean().optional().describe("Include commits from all branches instead of just HEAD"),
+      mergeStrategy: z.enum(MERGE_STRATEGIES).optional().describe("How merges are handled: 'ignore' (default) skips merge commits, 'first-parent' walks the mainline with each merge as one change, 'merge-unit' dates branch commits at the merge that landed them"),
+      tagPattern: z.string().optional().describe("Only show release milestones for tags matching this glob, e.g. 'v*' (defaults to all tags)"),
+    };
+    const selectionFrom = (args) => ({
+      path: args?.path,
+      ref: args?.ref,
+      since: args?.since,
+      until: args?.until,
+      allBranches: args?.allBranches,
+      mergeStrategy: args?.mergeStrategy,
+      tagPattern: args?.tagPattern,
+    });
+
+    // Version-aware tooling options shared by the tooling tools
+    const upgradeParams = {
+      majorUpgrades: z.union([z.boolean(), z.array(z.string())]).optional().describe("Add 'Upgraded react to v18' phases for major version bumps: true for every library already on the timeline, or a list of library names to track"),
+      showVersions: z.boolean().optional().describe("Show the declared version on tooling tags, e.g. 'react@^18.2.0'"),
+    };
+    const upgradesFrom = (args) => ({
+      majorUpgrades: args?.majorUpgrades,
+      showVersions: args?.showVersions,
+    });
+
     // Register generateFeatureTimeline tool
     this.server.tool(
       "generateFeatureTimeline",
@@ -32,16 +63,23 @@ export class GitTimelineServer {
       {
         repoPath: z.string().optional().describe("Path to git repo (defaults to current directory)"),
         maxCommits: z.number().optional().describe("Max commits to scan (default 2000)"),
+        ...selectionParams,
+        contributorLanes: z.boolean().optional().describe("Render one feature lane per contributor (retrospectives, onboarding)"),
+        contentAware: z.boolean().optional().describe("Read JS/TS diffs for newly exported functions, classes and React components, and name feature cards after them (slower on first run, cached in .timeline/)"),
       },
-      async (args) => {
+      async (args, extra) => {
         try {
           // Use provided path or current working directory where MCP is called from
           const repoPath = args?.repoPath || process.cwd();
           console.error(`[DEBUG] Using repo path: ${repoPath}`);
           
-          const features = analyzeFeatureTimeline({
+          const features = await analyzeFeatureTimeline({
             repoPath,
             maxCommits: args?.maxCommits || 2000,
+            contributorLanes: args?.contributorLanes,
+            contentAware: args?.contentAware,
+            ...selectionFrom(args),
+            signal: extra?.signal,
           });
           
           return {
@@ -67,8 +105,12 @@ export class GitTimelineServer {
       {
         repoPath: z.string().optional().describe("Path to git repo (defaults to current directory)"),
         maxCommits: z.number().optional().describe("Max commits to scan (default 2000)"),
+        ...selectionParams,
+        workspaceLanes: z.boolean().optional().describe("Render one tooling lane per workspace package.json (monorepos)"),
+        ...upgradeParams,
+        registryUrl: z.string().url().optional().describe("npm-compatible registry for package descriptions not found in node_modules or the offline catalog, e.g. 'https://registry.npmjs.org' (off by default, answers are cached in .timeline/)"),
       },
-      async (args) => {
+      async (args, extra) => {
         try {
           // Use provided path or current working directory where MCP is called from
           const repoPath = args?.repoPath || process.cwd();
@@ -77,6 +119,11 @@ export class GitTimelineServer {
           const tooling = await analyzeToolingTimeline({
             repoPath,
             maxCommits: args?.maxCommits || 2000,
+            workspaceLanes: args?.workspaceLanes,
+            registryUrl: args?.registryUrl,
+            ...upgradesFrom(args),
+            ...selectionFrom(args),
+            signal: extra?.signal,
           });
           
           return {
@@ -95,6 +142,82 @@ export class GitTimelineServer {
       }
     );
 
+    // Register generateApiTimeline tool
+    this.server.tool(
+      "generateApiTimeline",
+      "Analyze git history and generate a timeline of HTTP endpoints added, changed and removed, from Express/Fastify routes, Next.js route handlers and API routes, and NestJS controllers. Creates HTML and Markdown files in .timeline/ folder.",
+      {
+        repoPath: z.string().optional().describe("Path to git repo (defaults to current directory)"),
+        maxCommits: z.number().optional().describe("Max commits to scan (default 2000)"),
+        ...selectionParams,
+      },
+      async (args, extra) => {
+        try {
+          // Use provided path or current working directory where MCP is called from
+          const repoPath = args?.repoPath || process.cwd();
+          console.error(`[DEBUG] Using repo path: ${repoPath}`);
+
+          const api = await analyzeApiTimeline({
+            repoPath,
+            maxCommits: args?.maxCommits || 2000,
+            ...selectionFrom(args),
+            signal: extra?.signal,
+          });
+
+          return {
+            content: [
+              { type: "text", text: `Generated ${api.events.length} API phases. Files saved to ${repoPath}/.timeline/ folder.` },
+              { type: "text", text: `Open ${repoPath}/.timeline/API_TIMELINE.html to view the timeline.` },
+            ],
+          };
+        } catch (error) {
+          console.error(`[ERROR] ${error?.stack || error}`);
+          return {
+            content: [{ type: "text", text: `Error: ${error?.message || String(error)}` }],
+            isError: true,
+          };
+        }
+      }
+    );
+
+    // Register generateDataModelTimeline tool
+    this.server.tool(
+      "generateDataModelTimeline",
+      "Analyze git history and generate a timeline of the tables, models and columns introduced, from migrations (Prisma, Knex, Sequelize, TypeORM, timestamped SQL) and Prisma/Drizzle schema files. Creates HTML and Markdown files in .timeline/ folder.",
+      {
+        repoPath: z.string().optional().describe("Path to git repo (defaults to current directory)"),
+        maxCommits: z.number().optional().describe("Max commits to scan (default 2000)"),
+        ...selectionParams,
+      },
+      async (args, extra) => {
+        try {
+          // Use provided path or current working directory where MCP is called from
+          const repoPath = args?.repoPath || process.cwd();
+          console.error(`[DEBUG] Using repo path: ${repoPath}`);
+
+          const dataModel = await analyzeDataModelTimeline({
+            repoPath,
+            maxCommits: args?.maxCommits || 2000,
+            ...selectionFrom(args),
+            signal: extra?.signal,
+          });
+
+          return {
+            content: [
+              { type: "text", text: `Generated ${dataModel.events.length} data model phases. Files saved to ${repoPath}/.timeline/ folder.` },
+              { type: "text", text: `Open ${repoPath}/.timeline/DATA_MODEL_TIMELINE.html to view the timeline.` },
+            ],
+          };
+        } catch (error) {
+          console.error(`[ERROR] ${error?.stack || error}`);
+          return {
+            content: [{ type: "text", text: `Error: ${error?.message || String(error)}` }],
+            isError: true,
+          };
+        }
+      }
+    );
+
     // Register generateAllTimelines tool
     this.server.tool(
       "generateAllTimelines",
@@ -102,24 +225,39 @@ export class GitTimelineServer {
       {
         repoPath: z.string().optional().describe("Path to git repo (defaults to current directory)"),
         maxCommits: z.number().optional().describe("Max commits to scan (default 2000)"),
+        ...selectionParams,
+        workspaceLanes: z.boolean().optional().describe("Render one tooling lane per workspace package.json (monorepos)"),
+        ...upgradeParams,
+        registryUrl: z.string().url().optional().describe("npm-compatible registry for package descriptions not found in node_modules or the offline catalog, e.g. 'https://registry.npmjs.org' (off by default, answers are cached in .timeline/)"),
+        contributorLanes: z.boolean().optional().describe("Render one feature lane per contributor (retrospectives, onboarding)"),
+        contentAware: z.boolean().optional().describe("Name feature cards after newly exported functions, classes and React components in JS/TS diffs"),
       },
-      async (args) => {
+      async (args, extra) => {
         try {
           // Use provided path or current working directory where MCP is called from
           const repoPath = args?.repoPath || process.cwd();
           console.error(`[DEBUG] Using repo path: ${repoPath}`);
           
-          const features = analyzeFeatureTimeline({
+          const features = await analyzeFeatureTimeline({
             repoPath,
             maxCommits: args?.maxCommits || 2000,
+            contributorLanes: args?.contributorLanes,
+            contentAware: args?.contentAware,
+            ...selectionFrom(args),
+            signal: extra?.signal,
           });
           
           const tooling = await analyzeToolingTimeline({
             repoPath,
             maxCommits: args?.maxCommits || 2000,
+            workspaceLanes: args?.workspaceLanes,
+            registryUrl: args?.registryUrl,
+            ...upgradesFrom(args),
+            ...selectionFrom(args),
+            signal: extra?.signal,
           });
           
-          const dashboardPath = generateDashboard(repoPath, features.events, tooling.events);
+          const dashboardPath = generateDashboard(repoPath, features.events, tooling.events, { range: features.range, milestones: features.milestones });
           
           return {
             content: [
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+
+import { loadAnalysisCache, saveAnalysisCache, loadCommitCache, saveCommitCache } from '../tools/utils/analysis-cache.js';
+import { analyzeFeatureTimeline } from '../tools/git.js';
+import { createRepo } from './helpers/git-repo.js';
+
+test('analysis cache round-trips and is dropped for another detector version', (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  const cache = { version: '3', head: 'abc', complete: true, commits: [{ hash: 'abc' }] };
+  saveAnalysisCache(repo.dir, cache);
+  
+  assert.deepEqual(loadAnalysisCache(repo.dir, '3'), cache);
+  assert.equal(loadAnalysisCache(repo.dir, '4'), null);
+});
+
+test('scoped analysis caches are kept apart from the whole-repo cache', (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  saveAnalysisCache(repo.dir, { version: '1', head: 'root', complete: true, commits: [] });
+  saveAnalysisCache(repo.dir, { version: '1', head: 'scoped', complete: true, commits: [] }, 'services/billing');
+  
+  assert.equal(loadAnalysisCache(repo.dir, '1').head, 'root');
+  assert.equal(loadAnalysisCache(repo.dir, '1', 'services/billing').head, 'scoped');
+  assert.ok(existsSync(path.join(repo.dir, '.timeline', 'analysis-cache-services_billing.json')));
+});
+
+test('commit caches start empty when missing or stale', (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  assert.deepEqual(loadCommitCache(repo.dir, 'symbol-cache', 2), { version: 2, commits: {} });
+  
+  saveCommitCache(repo.dir, 'symbol-cache', { version: 2, commits: { abc: { 'src/a.js': [] } } });
+  assert.deepEqual(loadCommitCache(repo.dir, 'symbol-cache', 2).commits, { abc: { 'src/a.js': [] } });
+  assert.deepEqual(loadCommitCache(repo.dir, 'symbol-cache', 3).commits, {});
+});
+
+test('re-runs scan only the commits after the cached HEAD', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  const readCache = () => JSON.parse(readFileSync(path.join(repo.dir, '.timeline', 'analysis-cache.json'), 'utf8'));
+  
+  repo.write({ 'src/auth/login.js': 'export function login() {}\n' });
+  const first = repo.commit('2024-01-01');
+  await analyzeFeatureTimeline({ repoPath: repo.dir });
+  assert.equal(readCache().head, first);
+  assert.deepEqual(readCache().commits.map(c => c.hash), [first]);
+  
+  repo.write({ 'src/billing/invoice.js': 'export function invoice() {}\n' });
+  const second = repo.commit('2024-01-02');
+  const { events } = await analyzeFeatureTimeline({ repoPath: repo.dir });
+  assert.equal(readCache().head, second);
+  assert.deepEqual(readCache().commits.map(c => c.hash), [second, first]);
+  assert.deepEqual(events.map(e => e.date), ['2024-01-01', '2024-01-02']);
+});
+
+test('a repository without commits yields an empty timeline and no cache', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  const { events } = await analyzeFeatureTimeline({ repoPath: repo.dir });
+  assert.deepEqual(events, []);
+  assert.equal(existsSync(path.join(repo.dir, '.timeline', 'analysis-cache.json')), false);
+});
+
+test('commits whose diff fails are left out of the patch caches', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  const readSymbols = () => JSON.parse(readFileSync(path.join(repo.dir, '.timeline', 'symbol-cache.json'), 'utf8')).commits;
+  
+  repo.write({ 'src/billing.js': 'export class Billing {}\n' });
+  const good = repo.commit('2024-01-01');
+  // A path git reads as pathspec magic makes `git show -- <path>` fail
+  repo.write({ ':(bad).js': 'export function bad() {}\n' });
+  const bad = repo.commit('2024-01-02');
+  
+  await analyzeFeatureTimeline({ repoPath: repo.dir, contentAware: true });
+  assert.deepEqual(readSymbols()[good], { 'src/billing.js': [{ name: 'Billing', kind: 'class' }] });
+  assert.equal(bad in readSymbols(), false);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+
+import { CATEGORY_RULES_FILE, CategoryRulesError, loadCategoryRules } from '../tools/utils/category-rules.js';
+import { createToolingContext, generateToolingPhaseInfo } from '../tools/detectors/tooling.js';
+import { analyzeToolingTimeline } from '../tools/git.js';
+import { createRepo } from './helpers/git-repo.js';
+
+const rulesFile = categories => JSON.stringify({ categories }, null, 2) + '\n';
+
+test('a missing rules file means no rules', (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  assert.deepEqual(loadCategoryRules(repo.dir), { rules: [], hash: null });
+});
+
+test('a malformed rules file raises CategoryRulesError', (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  repo.write({ [CATEGORY_RULES_FILE]: '{ "categories": [' });
+  assert.throws(() => loadCategoryRules(repo.dir), error =>
+    error instanceof CategoryRulesError && /not valid JSON/.test(error.message));
+  
+  repo.write({ [CATEGORY_RULES_FILE]: rulesFile([{ id: 'api', match: ['^hono$'] }, { id: 'queue', name: 'Queue', match: ['('] }]) });
+  assert.throws(() => loadCategoryRules(repo.dir), error =>
+    error instanceof CategoryRulesError && error.issues.length === 2 &&
+    error.issues.some(issue => issue.startsWith('categories.0.name')) &&
+    error.issues.some(issue => issue.startsWith('categories.1.match.0')));
+});
+
+test('a rule overrides a built-in category', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  repo.write({ [CATEGORY_RULES_FILE]: rulesFile([{ id: 'database', name: 'Data Store', icon: '💾', match: ['^@acme/db$'] }]) });
+  const { rules: categoryRules } = loadCategoryRules(repo.dir);
+  
+  const phase = await generateToolingPhaseInfo(createToolingContext({ categoryRules }), ['react', '@acme/db'], [], []);
+  assert.equal(phase.title, 'Frontend & Data Store Setup');
+  
+  const builtin = await generateToolingPhaseInfo(createToolingContext(), ['react', '@acme/db'], [], []);
+  assert.equal(builtin.title, 'Frontend Framework');
+});
+
+test('the tooling timeline reads the repository rules file', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  repo.write({
+    [CATEGORY_RULES_FILE]: rulesFile([{ id: 'api', name: 'API Layer', icon: '🔌', match: ['^hono$'], description: 'Added {library} for routing' }]),
+    'package.json': JSON.stringify({ name: 'app', dependencies: { hono: '^4.0.0' } }, null, 2) + '\n'
+  });
+  repo.commit('2024-01-01');
+  
+  const { events } = await analyzeToolingTimeline({ repoPath: repo.dir });
+  assert.deepEqual(events.map(e => [e.title, e.description, e.icon]), [['API Layer', 'Added hono for routing', '🔌']]);
+});
+
+test('a supplied tooling context brings its own rules', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  repo.write({ 'package.json': JSON.stringify({ name: 'app', dependencies: { hono: '^4.0.0' } }, null, 2) + '\n' });
+  repo.commit('2024-01-01');
+  
+  const categoryRules = [{ id: 'api', name: 'API Layer', icon: '🔌', builtin: false, match: [/^hono$/i], files: [], description: 'Added {library} for routing' }];
+  const context = createToolingContext({ categoryRules, categoryRulesHash: 'test' });
+  const { events } = await analyzeToolingTimeline({ repoPath: repo.dir, context });
+  assert.deepEqual(events.map(e => [e.title, e.description]), [['API Layer', 'Added hono for routing']]);
+  
+  // The same rules key the cached per-commit analyses
+  const cache = JSON.parse(readFileSync(path.join(repo.dir, '.timeline', 'analysis-cache.json'), 'utf8'));
+  assert.match(cache.version, /\+categories@test\b/);
+});
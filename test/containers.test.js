@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  extractContainerChanges,
+  createContainerState,
+  applyContainerChanges,
+  generateContainerPhaseInfo
+} from '../tools/detectors/containers.js';
+
+const MULTI_STAGE_DOCKERFILE = `diff --git a/Dockerfile b/Dockerfile
+new file mode 100644
+index 0000000..1111111
+--- /dev/null
++++ b/Dockerfile
+@@ -0,0 +1,8 @@
++FROM node:20-alpine AS build
++WORKDIR /app
++COPY . .
++RUN npm ci && npm run build
++
++FROM node:20-slim
++COPY --from=build /app/dist ./dist
++CMD ["node", "dist/server.js"]
+`;
+
+const BASE_IMAGE_BUMP = `diff --git a/Dockerfile b/Dockerfile
+index 1111111..2222222 100644
+--- a/Dockerfile
++++ b/Dockerfile
+@@ -5,3 +5,3 @@ RUN npm ci && npm run build
+ 
+-FROM node:20-slim
++FROM node:22-slim
+ COPY --from=build /app/dist ./dist
+`;
+
+// Partial diff: the hunk header names the enclosing "services:" key
+const COMPOSE_SERVICES = `diff --git a/docker-compose.yml b/docker-compose.yml
+index 1111111..2222222 100644
+--- a/docker-compose.yml
++++ b/docker-compose.yml
+@@ -1,6 +1,12 @@ services:
+   app:
+     build: .
++  postgres:
++    image: postgres:16
++    environment:
++      POSTGRES_PASSWORD: example
++  redis:
++    image: redis:7-alpine
+ volumes:
+-  cache:
++  pgdata:
+`;
+
+const modified = path => [{ status: 'M', path, oldPath: null }];
+
+test('Dockerfile diffs yield their build stages', () => {
+  const [change] = extractContainerChanges([{ status: 'A', path: 'Dockerfile', oldPath: null }], { Dockerfile: MULTI_STAGE_DOCKERFILE });
+  
+  assert.equal(change.kind, 'dockerfile');
+  assert.deepEqual(change.addedStages, [{ image: 'node:20-alpine', alias: 'build' }, { image: 'node:20-slim', alias: null }]);
+  assert.deepEqual(change.removedStages, []);
+});
+
+test('compose diffs yield services, not volumes', () => {
+  const [change] = extractContainerChanges(modified('docker-compose.yml'), { 'docker-compose.yml': COMPOSE_SERVICES });
+  
+  assert.deepEqual(change.services, [{ name: 'postgres', image: 'postgres:16' }, { name: 'redis', image: 'redis:7-alpine' }]);
+  assert.deepEqual(change.removedServices, []);
+});
+
+test('compose services sit at the indentation of the first service', () => {
+  const diff = `diff --git a/compose.yml b/compose.yml
+new file mode 100644
+index 0000000..1111111
+--- /dev/null
++++ b/compose.yml
+@@ -0,0 +1,11 @@
++services:
++    db:
++        image: "postgres:16"
++        environment:
++            POSTGRES_PASSWORD: example
++    cache:
++        image: redis:7-alpine
++        healthcheck:
++            test: ["CMD", "redis-cli", "ping"]
++volumes:
++    pgdata:
+`;
+  const [change] = extractContainerChanges([{ status: 'A', path: 'compose.yml', oldPath: null }], { 'compose.yml': diff });
+  
+  assert.deepEqual(change.services, [{ name: 'db', image: 'postgres:16' }, { name: 'cache', image: 'redis:7-alpine' }]);
+});
+
+test('container phases cover multi-stage builds, base images and compose services', () => {
+  const state = createContainerState();
+  const apply = (files, diffs) => generateContainerPhaseInfo(applyContainerChanges(state, extractContainerChanges(files, diffs)));
+  
+  assert.deepEqual(apply([{ status: 'A', path: 'Dockerfile', oldPath: null }], { Dockerfile: MULTI_STAGE_DOCKERFILE }), {
+    title: 'Multi-Stage Build',
+    description: 'Split the Docker build into 2 stages',
+    icon: '🏗️',
+    tools: []
+  });
+  
+  const bump = apply(modified('Dockerfile'), { Dockerfile: BASE_IMAGE_BUMP });
+  assert.equal(bump.title, 'Base Image Update');
+  assert.equal(bump.description, 'Moved the base image from node:20-slim to node:22-slim');
+  
+  const services = apply(modified('docker-compose.yml'), { 'docker-compose.yml': COMPOSE_SERVICES });
+  assert.equal(services.description, 'Added postgres and redis to docker-compose');
+  assert.deepEqual(services.tools, ['postgres', 'redis']);
+});
+
+test('renamed Dockerfiles keep their path history', () => {
+  const [change] = extractContainerChanges([{ status: 'R', path: 'docker/Dockerfile', oldPath: 'Dockerfile' }], {});
+  assert.equal(change.oldPath, 'Dockerfile');
+  assert.equal(change.removed, false);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { analyzeFeatureTimeline } from '../tools/git.js';
+import { createRepo } from './helpers/git-repo.js';
+
+const MAILMAP = 'Jane Doe <jane@example.com> <jdoe@home.example>\n';
+
+// One billing day: two commits by Jane under two identities, one by Sam
+function createTeamRepo() {
+  const repo = createRepo();
+  repo.write({ 'src/billing/invoice.js': 'export function invoice() {}\n' });
+  repo.commit('2024-01-01', 'invoice', ['--author=Jane Doe <jane@example.com>']);
+  repo.write({ 'src/billing/refund.js': 'export function refund() {}\n' });
+  repo.commit('2024-01-01', 'refund', ['--author=jdoe <jdoe@home.example>']);
+  repo.write({ 'src/billing/tax.js': 'export function tax() {}\n' });
+  repo.commit('2024-01-01', 'tax', ['--author=Sam Lee <sam@example.com>']);
+  return repo;
+}
+
+test('.mailmap aliases count as one contributor', async (t) => {
+  const repo = createTeamRepo();
+  t.after(() => repo.remove());
+  repo.write({ '.mailmap': MAILMAP });
+  
+  const { events } = await analyzeFeatureTimeline({ repoPath: repo.dir });
+  assert.deepEqual(events.map(e => e.contributors), [['Jane Doe', 'Sam Lee']]);
+  
+  const lanes = await analyzeFeatureTimeline({ repoPath: repo.dir, contributorLanes: true });
+  assert.deepEqual(lanes.events.map(e => e.lane).sort(), ['Jane Doe', 'Sam Lee']);
+});
+
+test('editing .mailmap invalidates cached authors', async (t) => {
+  const repo = createTeamRepo();
+  t.after(() => repo.remove());
+  
+  const before = await analyzeFeatureTimeline({ repoPath: repo.dir });
+  assert.deepEqual(before.events.map(e => e.contributors), [['Jane Doe', 'jdoe', 'Sam Lee']]);
+  
+  // Same HEAD, so only the mailmap hash in the cache version forces a rescan
+  repo.write({ '.mailmap': MAILMAP });
+  const after = await analyzeFeatureTimeline({ repoPath: repo.dir });
+  assert.deepEqual(after.events.map(e => e.contributors), [['Jane Doe', 'Sam Lee']]);
+});
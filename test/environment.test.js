@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractEnvironmentChanges, applyEnvironmentChanges, generateEnvironmentPhaseInfo } from '../tools/detectors/environment.js';
+
+const PACKAGE_JSON = `diff --git a/package.json b/package.json
+index 1111111..2222222 100644
+--- a/package.json
++++ b/package.json
+@@ -1,6 +1,9 @@
+ {
+   "name": "app",
+-  "packageManager": "yarn@1.22.19",
++  "packageManager": "pnpm@8.15.0",
++  "engines": {
++    "node": ">=20"
++  },
+   "dependencies": {}
+ }
+`;
+
+const NVMRC = `diff --git a/.nvmrc b/.nvmrc
+new file mode 100644
+index 0000000..3333333
+--- /dev/null
++++ b/.nvmrc
+@@ -0,0 +1 @@
++v20.11.0
+`;
+
+const TOOL_VERSIONS = `diff --git a/.tool-versions b/.tool-versions
+index 1111111..2222222 100644
+--- a/.tool-versions
++++ b/.tool-versions
+@@ -1,2 +1,2 @@
+-nodejs 18.19.0
++nodejs 20.11.0
+ python 3.11.4
+`;
+
+// yarn → pnpm, with a node pin
+const SWITCH_FILES = [
+  { status: 'D', path: 'yarn.lock', oldPath: null },
+  { status: 'A', path: 'pnpm-lock.yaml', oldPath: null },
+  { status: 'M', path: 'package.json', oldPath: null },
+  { status: 'A', path: '.nvmrc', oldPath: null }
+];
+
+test('lockfiles, packageManager, engines and .nvmrc each report a change', () => {
+  const changes = extractEnvironmentChanges(SWITCH_FILES, { 'package.json': PACKAGE_JSON, '.nvmrc': NVMRC });
+  
+  assert.deepEqual(changes.map(c => [c.kind, c.tool, c.version, c.source, Boolean(c.removed)]), [
+    ['packageManager', 'yarn', null, 'yarn.lock', true],
+    ['packageManager', 'pnpm', null, 'pnpm-lock.yaml', false],
+    ['packageManager', 'pnpm', '8.15.0', 'package.json#packageManager', false],
+    ['runtime', 'node', '>=20', 'package.json#engines', false],
+    ['runtime', 'node', 'v20.11.0', '.nvmrc', false]
+  ]);
+});
+
+test('.tool-versions aliases map to runtime names and unchanged lines are ignored', () => {
+  assert.deepEqual(extractEnvironmentChanges([], { '.tool-versions': TOOL_VERSIONS }), [
+    { kind: 'runtime', tool: 'node', version: '20.11.0', source: '.tool-versions#node' }
+  ]);
+});
+
+test('workspace manifests attribute changes to their workspace', () => {
+  const [change] = extractEnvironmentChanges([{ status: 'A', path: 'packages/web/bun.lockb', oldPath: null }], {});
+  assert.equal(change.tool, 'web: bun');
+});
+
+test('a package manager switch and a new runtime pin make one toolchain phase', () => {
+  const sources = new Map();
+  applyEnvironmentChanges(sources, [{ kind: 'packageManager', tool: 'yarn', version: null, source: 'yarn.lock', removed: false }]);
+  
+  const updates = applyEnvironmentChanges(sources, extractEnvironmentChanges(SWITCH_FILES, { 'package.json': PACKAGE_JSON, '.nvmrc': NVMRC }));
+  assert.deepEqual(updates.map(u => [u.kind, u.from?.tool ?? null, u.to?.tool ?? null]), [
+    ['packageManager', 'yarn', 'pnpm'],
+    ['runtime', null, 'node']
+  ]);
+  
+  const info = generateEnvironmentPhaseInfo(updates);
+  assert.equal(info.title, 'Toolchain Update');
+  assert.equal(info.description, 'Switched package manager from yarn to pnpm and targeted Node.js v20');
+  assert.deepEqual(info.versions, { pnpm: '8.15.0', node: 'v20.11.0' });
+});
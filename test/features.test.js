@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractMoves, generateFeaturePhaseInfo } from '../tools/detectors/features.js';
+import { analyzeFeatureTimeline } from '../tools/git.js';
+import { createRepo } from './helpers/git-repo.js';
+
+const file = (status, path, oldPath = null, similarity = null) => ({ status, path, oldPath, similarity, additions: 0, deletions: 0 });
+
+test('renames that keep the file are moves; copies and rewrites are not', () => {
+  const files = [
+    file('R', 'src/engine/rules/pricing.js', 'src/rules/pricing.js', 100),
+    file('R', 'src/engine/rules/discounts.js', 'src/rules/discounts.js', 55),
+    file('C', 'src/engine/rules/tax.js', 'src/rules/tax.js', 100),
+    file('R', 'docs/rules.md', 'rules.md', 100)
+  ];
+  
+  assert.deepEqual(extractMoves(files), [{ from: 'src/rules/pricing.js', to: 'src/engine/rules/pricing.js', similarity: 100 }]);
+});
+
+test('a moved folder makes one restructuring card instead of a new feature', () => {
+  const moves = [
+    { from: 'src/rules/pricing.js', to: 'src/engine/rules/pricing.js', similarity: 100 },
+    { from: 'src/rules/discounts.js', to: 'src/engine/rules/discounts.js', similarity: 96 }
+  ];
+  
+  const [card] = generateFeaturePhaseInfo(new Map(), [], moves.map(m => m.to), moves);
+  assert.equal(card.title, 'Code Restructuring');
+  assert.equal(card.description, 'Moved rules into engine (2 files)');
+});
+
+test('git mv shows up as restructuring on the timeline', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  repo.write({ 'src/rules/pricing.js': 'export function price(order) {\n  return order.items.reduce((sum, item) => sum + item.price, 0);\n}\n' });
+  repo.commit('2024-01-01');
+  repo.git(['mv', 'src/rules', 'src/engine']);
+  repo.commit('2024-01-02');
+  
+  const { events } = await analyzeFeatureTimeline({ repoPath: repo.dir });
+  const moved = events.filter(e => e.date === '2024-01-02');
+  assert.deepEqual(moved.map(e => [e.title, e.description]), [['Code Restructuring', 'Moved rules into engine (1 file)']]);
+});
+
+test('a rename that rewrote most of the file is not restructuring', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  const body = Array.from({ length: 10 }, (_, i) => `export const rule${i} = ${i};`).join('\n');
+  repo.write({ 'src/rules/pricing.js': `${body}\n` });
+  repo.commit('2024-01-01');
+  repo.git(['mv', 'src/rules/pricing.js', 'src/pricing.js']);
+  repo.write({ 'src/pricing.js': `${body.split('\n').slice(0, 6).join('\n')}\nexport const rate = 1;\nexport const fee = 2;\nexport const cap = 3;\nexport const min = 4;\n` });
+  repo.commit('2024-01-02');
+  
+  const { events } = await analyzeFeatureTimeline({ repoPath: repo.dir });
+  assert.ok(events.filter(e => e.date === '2024-01-02').every(e => e.title !== 'Code Restructuring'));
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { runGit, ensureRepo, buildRevisionArgs, streamCommits, getFileDiff } from '../tools/utils/git-commands.js';
+import {
+  GitError,
+  GitNotFoundError,
+  NotARepositoryError,
+  BadRevisionError,
+  GitTimeoutError,
+  GitAbortedError
+} from '../tools/utils/git-errors.js';
+import { analyzeFeatureTimeline } from '../tools/git.js';
+import { createRepo } from './helpers/git-repo.js';
+
+// A git command that takes `seconds` without holding on to git's output
+const slowGit = seconds => ['-c', `alias.slow=!sleep ${seconds} >/dev/null 2>&1`, 'slow'];
+
+test('directories outside a work tree are reported as NotARepositoryError', async (t) => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'not-a-repo-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  
+  await assert.rejects(ensureRepo(dir), NotARepositoryError);
+  await assert.rejects(ensureRepo(path.join(dir, 'missing')), NotARepositoryError);
+  await assert.rejects(analyzeFeatureTimeline({ repoPath: dir }), NotARepositoryError);
+});
+
+test('a missing git executable is reported as GitNotFoundError', async (t) => {
+  const repo = createRepo();
+  const PATH = process.env.PATH;
+  t.after(() => { process.env.PATH = PATH; repo.remove(); });
+  
+  process.env.PATH = '';
+  await assert.rejects(ensureRepo(repo.dir), GitNotFoundError);
+});
+
+test('unknown revisions and refs starting with "-" are BadRevisionError', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  repo.write({ 'src/app.js': 'export const app = {};\n' });
+  repo.commit('2024-01-01');
+  
+  assert.throws(() => buildRevisionArgs({ ref: '--output=/tmp/timeline' }), BadRevisionError);
+  await assert.rejects(analyzeFeatureTimeline({ repoPath: repo.dir, ref: '--all' }), BadRevisionError);
+  await assert.rejects(analyzeFeatureTimeline({ repoPath: repo.dir, ref: 'no-such-branch' }), (error) => {
+    assert.ok(error instanceof BadRevisionError);
+    assert.ok(error instanceof GitError);
+    assert.match(error.stderr, /no-such-branch/);
+    return true;
+  });
+});
+
+test('git calls that run past their timeout are stopped', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  await assert.rejects(runGit(slowGit(5), repo.dir, { timeout: 200 }), GitTimeoutError);
+});
+
+test('the timeout counts time without output, not the whole call', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  // Prints a line every 100ms for 600ms in all
+  const trickle = ['-c', 'alias.trickle=!for i in 1 2 3 4 5 6; do echo $i; sleep 0.1; done', 'trickle'];
+  assert.equal(await runGit(trickle, repo.dir, { timeout: 300 }), '1\n2\n3\n4\n5\n6\n');
+});
+
+test('a slow consumer of streamed commits never times git out', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  for (const date of ['2024-01-01', '2024-01-02', '2024-01-03']) {
+    repo.write({ 'src/app.js': `export const date = '${date}';\n` });
+    repo.commit(date);
+  }
+  
+  const dates = [];
+  for await (const c of streamCommits(repo.dir, { revisions: buildRevisionArgs(), timeout: 200 })) {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    dates.push(c.date.slice(0, 10));
+  }
+  assert.deepEqual(dates, ['2024-01-03', '2024-01-02', '2024-01-01']);
+});
+
+test('git calls stop when their signal aborts', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 200);
+  await assert.rejects(runGit(slowGit(5), repo.dir, { signal: controller.signal }), GitAbortedError);
+  await assert.rejects(runGit(['status'], repo.dir, { signal: AbortSignal.abort() }), { name: 'AbortError' });
+});
+
+test('paths with spaces and shell metacharacters are passed to git as-is', async (t) => {
+  const repo = createRepo('git timeline $(touch pwned) ');
+  t.after(() => repo.remove());
+  
+  const file = 'src/price list; echo $HOME.js';
+  repo.write({ [file]: 'export const prices = [];\n' });
+  const hash = repo.commit('2024-01-01');
+  
+  const commits = [];
+  for await (const c of streamCommits(repo.dir)) commits.push(c);
+  assert.deepEqual(commits[0].files.map(f => f.path), [file]);
+  assert.match(await getFileDiff(repo.dir, hash, file), /\+export const prices = \[\];/);
+  assert.equal(existsSync(path.join(repo.dir, 'pwned')), false);
+});
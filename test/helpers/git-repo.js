@@ -0,0 +1,46 @@
+/**
+ * Throwaway git repositories for tests
+ */
+
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+const IDENTITY = ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', '-c', 'commit.gpgsign=false'];
+
+/**
+ * Empty repository in a temp directory, with helpers to write files and commit them
+ * (`prefix` names the directory, e.g. to put spaces in the repository path)
+ */
+export function createRepo(prefix = 'git-timeline-') {
+  const dir = mkdtempSync(path.join(tmpdir(), prefix));
+  const git = (args, env = {}) => execFileSync('git', [...IDENTITY, ...args], {
+    cwd: dir,
+    encoding: 'utf8',
+    env: { ...process.env, ...env }
+  }).trim();
+  git(['init', '-q', '-b', 'main']);
+  
+  return {
+    dir,
+    git,
+    // { 'src/app.js': 'contents' }
+    write(files) {
+      for (const [file, contents] of Object.entries(files)) {
+        mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        writeFileSync(path.join(dir, file), contents);
+      }
+    },
+    // Commit everything at a fixed date ("2024-01-01"), returning the new hash
+    commit(date, message = date, args = []) {
+      const stamp = `${date}T10:00:00Z`;
+      git(['add', '-A']);
+      git(['commit', '-q', '--allow-empty', '-m', message, ...args], { GIT_AUTHOR_DATE: stamp, GIT_COMMITTER_DATE: stamp });
+      return git(['rev-parse', 'HEAD']);
+    },
+    remove() {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
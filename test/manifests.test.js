@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  extractManifestDependencies,
+  extractManifestVersions,
+  extractManifestRemovals,
+  extractVersionChanges,
+  registerManifestParser,
+  getManifestFiles
+} from '../tools/detectors/manifests.js';
+
+const PACKAGE_JSON = `diff --git a/package.json b/package.json
+index 1111111..2222222 100644
+--- a/package.json
++++ b/package.json
+@@ -3,8 +3,9 @@
+   "dependencies": {
+-    "express": "^4.18.2",
+-    "moment": "^2.29.4",
++    "express": "^5.0.0",
++    "dayjs": "^1.11.10",
+     "zod": "^3.22.0"
+   },
+   "devDependencies": {
++    "vitest": "^1.2.0",
+     "typescript": "^5.3.0"
+   }
+`;
+
+const REQUIREMENTS_TXT = `diff --git a/requirements.txt b/requirements.txt
+index 1111111..2222222 100644
+--- a/requirements.txt
++++ b/requirements.txt
+@@ -1,2 +1,4 @@
+ flask==2.3.0
+-requests>=2.28
++requests>=2.31
++sqlalchemy[asyncio]>=2.0  # ORM
++# celery
+`;
+
+const GO_MOD = `diff --git a/go.mod b/go.mod
+index 1111111..2222222 100644
+--- a/go.mod
++++ b/go.mod
+@@ -3,5 +3,7 @@ go 1.21
+ require (
+ 	github.com/gin-gonic/gin v1.9.1
++	github.com/jackc/pgx/v5 v5.5.0
++	golang.org/x/sync v0.5.0 // indirect
+ )
+`;
+
+const CARGO_TOML = `diff --git a/Cargo.toml b/Cargo.toml
+index 1111111..2222222 100644
+--- a/Cargo.toml
++++ b/Cargo.toml
+@@ -5,3 +5,5 @@ edition = "2021"
+ [dependencies]
+ serde = "1.0"
++tokio = { version = "1.35", features = ["full"] }
++axum = "0.7"
+`;
+
+test('package.json diffs yield added, removed and bumped dependencies', () => {
+  assert.deepEqual(extractManifestDependencies('package.json', PACKAGE_JSON), ['express', 'dayjs', 'vitest']);
+  assert.deepEqual(extractManifestVersions('package.json', PACKAGE_JSON), { express: '^5.0.0', dayjs: '^1.11.10', vitest: '^1.2.0' });
+  assert.deepEqual(extractManifestRemovals('package.json', PACKAGE_JSON), ['moment']);
+  assert.deepEqual(extractVersionChanges('package.json', PACKAGE_JSON), [{ name: 'express', from: '^4.18.2', to: '^5.0.0' }]);
+});
+
+test('requirements files are matched at any depth, skipping comments and extras', () => {
+  assert.deepEqual(extractManifestDependencies('services/api/requirements.txt', REQUIREMENTS_TXT), ['requests', 'sqlalchemy']);
+  assert.deepEqual(extractVersionChanges('requirements.txt', REQUIREMENTS_TXT), [{ name: 'requests', from: '>=2.28', to: '>=2.31' }]);
+});
+
+test('go.mod diffs skip indirect requirements', () => {
+  assert.deepEqual(extractManifestDependencies('go.mod', GO_MOD), ['github.com/jackc/pgx/v5']);
+});
+
+test('Cargo.toml diffs read inline tables and plain versions', () => {
+  assert.deepEqual(extractManifestDependencies('Cargo.toml', CARGO_TOML), ['tokio', 'axum']);
+});
+
+test('files without a parser yield nothing', () => {
+  assert.deepEqual(extractManifestDependencies('README.md', CARGO_TOML), []);
+  assert.deepEqual(extractManifestRemovals('README.md', CARGO_TOML), []);
+});
+
+test('registered parsers add their manifest files', () => {
+  const composer = `diff --git a/composer.json b/composer.json
+--- a/composer.json
++++ b/composer.json
+@@ -1,3 +1,4 @@
+ {
++  "laravel/framework": "^10.0",
+ }
+`;
+  registerManifestParser({
+    ecosystem: 'php',
+    files: ['composer.json'],
+    pattern: /^composer\.json$/,
+    extract: diff => [...diff.matchAll(/^\+\s*"([\w-]+\/[\w-]+)"/gm)].map(match => match[1])
+  });
+  
+  assert.ok(getManifestFiles().includes('composer.json'));
+  assert.deepEqual(extractManifestDependencies('composer.json', composer), ['laravel/framework']);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildRevisionArgs, streamCommits, MERGE_STRATEGIES } from '../tools/utils/git-commands.js';
+import { GitError, InvalidOptionError } from '../tools/utils/git-errors.js';
+import { analyzeFeatureTimeline } from '../tools/git.js';
+import { createRepo } from './helpers/git-repo.js';
+
+// main: init (01-01) - docs (01-05) - merge of feature (01-07); feature: billing (01-03)
+function createMergedRepo() {
+  const repo = createRepo();
+  repo.write({ 'src/app.js': 'export const app = {};\n' });
+  repo.commit('2024-01-01', 'init');
+  repo.git(['checkout', '-q', '-b', 'feature']);
+  repo.write({ 'src/billing/invoice.js': 'export function invoice() {}\n' });
+  repo.commit('2024-01-03', 'billing');
+  repo.git(['checkout', '-q', 'main']);
+  repo.write({ 'docs/readme.md': '# Docs\n' });
+  repo.commit('2024-01-05', 'docs');
+  const stamp = '2024-01-07T10:00:00Z';
+  repo.git(['merge', '-q', '--no-ff', 'feature', '-m', 'merge feature'], { GIT_AUTHOR_DATE: stamp, GIT_COMMITTER_DATE: stamp });
+  return repo;
+}
+
+async function collect(repoPath, mergeStrategy) {
+  const commits = [];
+  for await (const c of streamCommits(repoPath, { revisions: buildRevisionArgs({ mergeStrategy }) })) {
+    commits.push({ message: c.message, files: c.files.map(f => f.path) });
+  }
+  return commits;
+}
+
+test('buildRevisionArgs maps each merge strategy to git log options', () => {
+  assert.deepEqual(MERGE_STRATEGIES, ['ignore', 'first-parent', 'merge-unit']);
+  assert.deepEqual(buildRevisionArgs(), ['--no-merges', 'HEAD']);
+  assert.deepEqual(buildRevisionArgs({ mergeStrategy: 'first-parent' }), ['--first-parent', '-m', 'HEAD']);
+  assert.deepEqual(buildRevisionArgs({ mergeStrategy: 'merge-unit', ref: 'v1..v2' }), ['v1..v2']);
+});
+
+test('unknown merge strategies are rejected with a typed git error', () => {
+  assert.throws(() => buildRevisionArgs({ mergeStrategy: 'squash' }), (error) => {
+    assert.ok(error instanceof InvalidOptionError);
+    assert.ok(error instanceof GitError);
+    return true;
+  });
+});
+
+test('analyzers rethrow an unknown merge strategy instead of writing an empty timeline', async (t) => {
+  const repo = createMergedRepo();
+  t.after(() => repo.remove());
+  
+  await assert.rejects(analyzeFeatureTimeline({ repoPath: repo.dir, mergeStrategy: 'squash' }), InvalidOptionError);
+});
+
+test('each strategy walks merged history differently', async (t) => {
+  const repo = createMergedRepo();
+  t.after(() => repo.remove());
+  
+  assert.deepEqual((await collect(repo.dir, 'ignore')).map(c => c.message), ['docs', 'billing', 'init']);
+  
+  // The mainline only, with the branch's changes on the merge commit
+  const firstParent = await collect(repo.dir, 'first-parent');
+  assert.deepEqual(firstParent.map(c => c.message), ['merge feature', 'docs', 'init']);
+  assert.deepEqual(firstParent[0].files, ['src/billing/invoice.js']);
+  
+  assert.deepEqual((await collect(repo.dir, 'merge-unit')).map(c => c.message), ['merge feature', 'docs', 'billing', 'init']);
+});
+
+test('merge-unit dates branch work at the merge that landed it', async (t) => {
+  const repo = createMergedRepo();
+  t.after(() => repo.remove());
+  
+  const dates = async (mergeStrategy) => (await analyzeFeatureTimeline({ repoPath: repo.dir, mergeStrategy })).events
+    .filter(e => e.tags.includes('invoice'))
+    .map(e => e.date);
+  
+  assert.deepEqual(await dates('ignore'), ['2024-01-03']);
+  assert.deepEqual(await dates('first-parent'), ['2024-01-07']);
+  assert.deepEqual(await dates('merge-unit'), ['2024-01-07']);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { generateTimelineHtml, generateTimelineMd, generateDashboard } from '../tools/generators/output.js';
+
+// Titles and tags come from repository contents (route paths, symbol names)
+const EVENT = {
+  date: '2024-01-01',
+  title: '<script>alert(1)</script> API',
+  icon: '🔌',
+  description: 'Added GET /items/<id>',
+  tags: ['GET /items/<id>'],
+  retired: ['<old>']
+};
+
+test('timeline HTML escapes titles, tags and ranges', (t) => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'git-timeline-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'timeline.html');
+  
+  generateTimelineHtml(file, 'API Timeline', [EVENT], { range: 'main..<feature>' });
+  const html = readFileSync(file, 'utf8');
+  
+  assert.ok(!html.includes('<script>alert(1)</script>'));
+  assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt; API'));
+  assert.ok(html.includes('GET /items/&lt;id&gt;'));
+  assert.ok(html.includes('&lt;old&gt;'));
+  assert.ok(html.includes('main..&lt;feature&gt;'));
+});
+
+test('dashboard HTML escapes titles and tags', (t) => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'git-timeline-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  
+  generateDashboard(dir, [EVENT], [EVENT]);
+  const html = readFileSync(path.join(dir, '.timeline', 'index.html'), 'utf8');
+  
+  assert.ok(!html.includes('<script>alert(1)</script>'));
+  assert.ok(!html.includes('<id>'));
+});
+
+test('timeline Markdown keeps titles and tags as written', (t) => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'git-timeline-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'timeline.md');
+  
+  generateTimelineMd(file, 'API Timeline', [{ ...EVENT, title: 'Orders & Invoices API' }]);
+  const md = readFileSync(file, 'utf8');
+  
+  assert.ok(md.includes('## 🔌 Orders & Invoices API\n'));
+  assert.ok(!md.includes('&amp;'));
+  assert.ok(md.includes('`GET /items/<id>`'));
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+
+import { createMetadataProvider, createNodeModulesProvider, createCatalogProvider } from '../tools/utils/package-metadata.js';
+import { analyzeToolingTimeline } from '../tools/git.js';
+import { createRepo } from './helpers/git-repo.js';
+
+// Provider answering from a fixed table, recording every lookup
+function fakeProvider(name, table) {
+  const calls = [];
+  return {
+    name,
+    calls,
+    async lookup(packageName) {
+      calls.push(packageName);
+      return table[packageName] || null;
+    }
+  };
+}
+
+test('providers are asked in order: node_modules, then the catalog, then the registry', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  repo.write({
+    'node_modules/hono/package.json': JSON.stringify({ name: 'hono', description: 'Web framework (installed)' }),
+    'node_modules/@acme/ui/package.json': JSON.stringify({ name: '@acme/ui', keywords: ['react', 'components'] })
+  });
+  const registry = fakeProvider('registry', {
+    hono: { description: 'Web framework (registry)', keywords: [] },
+    'left-pad': { description: 'String padding', keywords: [] }
+  });
+  const metadata = createMetadataProvider(repo.dir, {
+    providers: [
+      createNodeModulesProvider(repo.dir),
+      createCatalogProvider({ hono: { description: 'Web framework (catalog)' }, zod: { description: 'Schema validation' } }),
+      registry
+    ]
+  });
+  
+  assert.deepEqual(await metadata.lookup('hono'), { description: 'Web framework (installed)', keywords: [], source: 'node_modules' });
+  assert.deepEqual(await metadata.lookup('@acme/ui'), { description: '', keywords: ['react', 'components'], source: 'node_modules' });
+  assert.deepEqual(await metadata.lookup('zod'), { description: 'Schema validation', keywords: [], source: 'catalog' });
+  assert.deepEqual(await metadata.lookup('left-pad'), { description: 'String padding', keywords: [], source: 'registry' });
+  assert.deepEqual(registry.calls, ['left-pad']);
+});
+
+test('a package no provider knows is only looked up once', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  const registry = fakeProvider('registry', {});
+  const metadata = createMetadataProvider(repo.dir, { providers: [registry] });
+  
+  assert.equal(await metadata.lookup('internal-tool'), null);
+  assert.equal(await metadata.lookup('internal-tool'), null);
+  assert.deepEqual(registry.calls, ['internal-tool']);
+});
+
+test('save() persists answers only, and later runs read them from the cache', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  const first = createMetadataProvider(repo.dir, {
+    providers: [fakeProvider('registry', { hono: { description: 'Web framework', keywords: ['web'] } })]
+  });
+  await first.lookup('hono');
+  await first.lookup('internal-tool');
+  first.save();
+  
+  const cache = JSON.parse(readFileSync(path.join(repo.dir, '.timeline', 'package-metadata.json'), 'utf8'));
+  assert.deepEqual(Object.keys(cache.packages), ['hono']);
+  
+  // The cache answers without asking any provider; misses are asked again
+  const registry = fakeProvider('registry', {});
+  const second = createMetadataProvider(repo.dir, { providers: [registry] });
+  assert.deepEqual(await second.lookup('hono'), { description: 'Web framework', keywords: ['web'], source: 'registry' });
+  assert.equal(await second.lookup('internal-tool'), null);
+  assert.deepEqual(registry.calls, ['internal-tool']);
+});
+
+test('only npm dependencies are looked up', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  // "requests" and "rails" are valid npm names too, but not npm dependencies here
+  repo.write({
+    'package.json': JSON.stringify({ name: 'app', dependencies: { 'left-pad': '^1.3.0' } }, null, 2) + '\n',
+    'requirements.txt': 'requests==2.31.0\n',
+    'Gemfile': "source 'https://rubygems.org'\ngem 'rails', '~> 7.1'\n"
+  });
+  repo.commit('2024-01-01');
+  
+  const registry = fakeProvider('registry', { 'left-pad': { description: 'String padding', keywords: [] } });
+  const { events } = await analyzeToolingTimeline({ repoPath: repo.dir, metadataProviders: [registry] });
+  assert.deepEqual(registry.calls, ['left-pad']);
+  assert.deepEqual(events.flatMap(e => Object.entries(e.descriptions || {})), [['left-pad', 'String padding']]);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { analyzeFeatureTimeline } from '../tools/git.js';
+import { createRepo } from './helpers/git-repo.js';
+
+test('phases ship in the first tag that contains them', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  repo.write({ 'src/auth/login.js': 'export function login() {}\n' });
+  repo.commit('2024-01-01');
+  
+  // Written before v1.0.0 on a branch, merged only after it
+  repo.git(['checkout', '-q', '-b', 'billing']);
+  repo.write({ 'src/billing/invoice.js': 'export function invoice() {}\n' });
+  repo.commit('2024-01-02');
+  repo.git(['checkout', '-q', 'main']);
+  
+  repo.write({ 'src/search/index.js': 'export function search() {}\n' });
+  repo.commit('2024-01-03');
+  repo.git(['tag', 'v1.0.0']);
+  
+  repo.git(['merge', '-q', '--no-ff', '--no-edit', 'billing'], { GIT_AUTHOR_DATE: '2024-01-04T10:00:00Z', GIT_COMMITTER_DATE: '2024-01-04T10:00:00Z' });
+  repo.git(['tag', 'v1.1.0']);
+  
+  repo.write({ 'src/reports/export.js': 'export function exportCsv() {}\n' });
+  repo.commit('2024-01-05');
+  
+  const { events, milestones } = await analyzeFeatureTimeline({ repoPath: repo.dir });
+  const releaseOn = date => events.find(e => e.date === date)?.release ?? null;
+  
+  assert.deepEqual(milestones.map(m => m.name), ['v1.0.0', 'v1.1.0']);
+  assert.equal(releaseOn('2024-01-01'), 'v1.0.0');
+  assert.equal(releaseOn('2024-01-02'), 'v1.1.0');
+  assert.equal(releaseOn('2024-01-03'), 'v1.0.0');
+  assert.equal(releaseOn('2024-01-05'), null);
+});
+
+test('tags outside the pattern are not milestones', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  repo.write({ 'src/auth/login.js': 'export function login() {}\n' });
+  repo.commit('2024-01-01');
+  repo.git(['tag', 'nightly-1']);
+  repo.git(['tag', 'v1.0.0']);
+  
+  const { events, milestones } = await analyzeFeatureTimeline({ repoPath: repo.dir, tagPattern: 'v*' });
+  
+  assert.deepEqual(milestones.map(m => m.name), ['v1.0.0']);
+  assert.equal(events[0].release, 'v1.0.0');
+});
@@ -0,0 +1,191 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+
+import {
+  extractRouteChanges,
+  createRouteState,
+  applyRouteChanges,
+  hasRouteUpdate,
+  generateApiPhaseInfo,
+  formatEndpoint
+} from '../tools/detectors/routes.js';
+import { analyzeApiTimeline } from '../tools/git.js';
+import { GitTimeoutError } from '../tools/utils/git-errors.js';
+import { createRepo } from './helpers/git-repo.js';
+
+// As printed by `git show`: Express, a Next.js app route, a pages/api file and a NestJS controller
+const NEW_ENDPOINTS = `commit 1111111111111111111111111111111111111111
+Author: Test <test@example.com>
+Date:   Mon Jan 1 10:00:00 2024 +0000
+  
+    endpoints
+
+diff --git a/src/routes/users.js b/src/routes/users.js
+new file mode 100644
+index 0000000..1111111
+--- /dev/null
++++ b/src/routes/users.js
+@@ -0,0 +1,6 @@
++const router = express.Router();
++// router.get('/debug', handler) is documented elsewhere
++router.get('/users', listUsers);
++router.post('/users', createUser);
++router.route('/users/:id').get(getUser).delete(deleteUser);
++module.exports = router;
+diff --git a/app/api/(shop)/products/[id]/route.ts b/app/api/(shop)/products/[id]/route.ts
+new file mode 100644
+index 0000000..2222222
+--- /dev/null
++++ b/app/api/(shop)/products/[id]/route.ts
+@@ -0,0 +1,2 @@
++export async function GET(request: Request) {}
++export const PATCH = handler;
+diff --git a/pages/api/health.ts b/pages/api/health.ts
+new file mode 100644
+index 0000000..3333333
+--- /dev/null
++++ b/pages/api/health.ts
+@@ -0,0 +1 @@
++export default function handler(req, res) { res.json({ ok: true }); }
+diff --git a/src/orders/orders.controller.ts b/src/orders/orders.controller.ts
+new file mode 100644
+index 0000000..4444444
+--- /dev/null
++++ b/src/orders/orders.controller.ts
+@@ -0,0 +1,7 @@
++@Controller('orders')
++export class OrdersController {
++  @Get(':id')
++  findOne() {}
++  @Post()
++  create() {}
++}
+`;
+
+// A rename with an edited handler, and a deleted pages/api file
+const RENAME_AND_DELETE = `diff --git a/src/routes/users.js b/src/routes/people.js
+similarity 80%
+rename from src/routes/users.js
+rename to src/routes/people.js
+index 1111111..5555555 100644
+--- a/src/routes/users.js
++++ b/src/routes/people.js
+@@ -2,3 +2,3 @@ const router = express.Router();
+ // router.get('/debug', handler) is documented elsewhere
+ router.get('/users', listUsers);
+-router.post('/users', createUser);
++router.post('/users', validate, createUser);
+diff --git a/pages/api/health.ts b/pages/api/health.ts
+deleted file mode 100644
+index 3333333..0000000
+--- a/pages/api/health.ts
++++ /dev/null
+@@ -1 +0,0 @@
+-export default function handler(req, res) { res.json({ ok: true }); }
+`;
+
+test('extractRouteChanges reads Express, Next.js and NestJS routes, but not comments', () => {
+  const { routes, controllers, moves } = extractRouteChanges(NEW_ENDPOINTS);
+  
+  assert.deepEqual(routes.map(r => `${r.method} ${r.path}${r.controller ? ' (controller)' : ''}`), [
+    'GET /users',
+    'POST /users',
+    'GET /users/:id',
+    'DELETE /users/:id',
+    'GET /api/products/:id',
+    'PATCH /api/products/:id',
+    'ANY /api/health',
+    'GET /:id (controller)',
+    'POST / (controller)'
+  ]);
+  assert.deepEqual(controllers, [{ file: 'src/orders/orders.controller.ts', prefix: '/orders', removed: false }]);
+  assert.deepEqual(moves, []);
+});
+
+test('renames move routes and deleted files remove theirs', () => {
+  const { routes, moves } = extractRouteChanges(RENAME_AND_DELETE);
+  
+  assert.deepEqual(moves, [{ from: 'src/routes/users.js', to: 'src/routes/people.js' }]);
+  assert.deepEqual(routes.map(r => [r.method, r.path, r.file, r.removed]), [
+    ['POST', '/users', 'src/routes/people.js', true],
+    ['POST', '/users', 'src/routes/people.js', false],
+    ['ANY', '/api/health', 'pages/api/health.ts', true]
+  ]);
+});
+
+test('endpoint updates distinguish added, changed and removed endpoints', () => {
+  const state = createRouteState();
+  
+  const added = applyRouteChanges(state, [extractRouteChanges(NEW_ENDPOINTS)]);
+  assert.deepEqual(added.added.map(formatEndpoint).slice(-2), ['GET /orders/:id', 'POST /orders']);
+  assert.equal(generateApiPhaseInfo(added).title, 'New API Endpoints');
+  
+  // GET /users moved with its file unchanged, so only POST /users changed
+  const update = applyRouteChanges(state, [extractRouteChanges(RENAME_AND_DELETE)]);
+  assert.ok(hasRouteUpdate(update));
+  assert.deepEqual(generateApiPhaseInfo(update), {
+    title: 'Updated Users API',
+    description: 'Changed POST /users, removed ANY /api/health',
+    icon: '🛠️',
+    tools: ['POST /users'],
+    retired: ['ANY /api/health']
+  });
+});
+
+test('a resource of its own names the phase', () => {
+  const info = generateApiPhaseInfo(applyRouteChanges(createRouteState(), [extractRouteChanges(`diff --git a/src/routes/users.js b/src/routes/users.js
+new file mode 100644
+index 0000000..1111111
+--- /dev/null
++++ b/src/routes/users.js
+@@ -0,0 +1,2 @@
++router.get('/users', listUsers);
++router.post('/users', createUser);
+`)]));
+  
+  assert.equal(info.title, 'Users API');
+  assert.equal(info.description, 'Added GET /users and POST /users');
+});
+
+const day = i => new Date(Date.UTC(2024, 0, 1) + i * 86400000).toISOString().slice(0, 10);
+const readRouteCache = repo => JSON.parse(readFileSync(path.join(repo.dir, '.timeline', 'route-cache.json'), 'utf8')).commits;
+
+test('route patches are read in batches and stay with their commits', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  // More commits than one patch batch, each adding an endpoint next to another source file
+  const hashes = [];
+  for (let i = 0; i < 105; i++) {
+    repo.write({ [`src/routes/r${i}.js`]: `router.get('/r${i}', handler);\n`, 'src/version.js': `export const version = ${i};\n` });
+    hashes.push(repo.commit(day(i)));
+  }
+  
+  const { events } = await analyzeApiTimeline({ repoPath: repo.dir });
+  const cache = readRouteCache(repo);
+  assert.deepEqual(hashes.map(hash => cache[hash].routes.map(formatEndpoint)), hashes.map((hash, i) => [`GET /r${i}`]));
+  assert.equal(events.flatMap(e => e.tools).length, 105);
+});
+
+test('an interrupted run keeps the route patches it already read', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  // Diffing the oldest commit hangs in a textconv filter, after a first batch of 100 commits
+  repo.git(['config', 'diff.slow.textconv', 'sleep 5; cat']);
+  repo.write({ '.gitattributes': 'src/slow/*.js diff=slow\n', 'src/slow/legacy.js': "router.get('/legacy', handler);\n" });
+  const slow = repo.commit(day(0));
+  const hashes = [];
+  for (let i = 1; i <= 100; i++) {
+    repo.write({ [`src/routes/r${i}.js`]: `router.get('/r${i}', handler);\n` });
+    hashes.push(repo.commit(day(i)));
+  }
+  
+  await assert.rejects(analyzeApiTimeline({ repoPath: repo.dir, timeout: 2000 }), GitTimeoutError);
+  const cache = readRouteCache(repo);
+  assert.equal(Object.keys(cache).length, 100);
+  assert.ok(hashes.every(hash => hash in cache));
+  assert.equal(slow in cache, false);
+});
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  isSchemaSource,
+  extractSchemaChanges,
+  createSchemaState,
+  applySchemaChanges,
+  hasSchemaUpdate,
+  generateSchemaPhaseInfo
+} from '../tools/detectors/schema.js';
+
+// As printed by `git show`: a Prisma schema edit and a SQL migration
+const PRISMA_AND_SQL = `commit 1111111111111111111111111111111111111111
+Author: Test <test@example.com>
+Date:   Mon Jan 1 10:00:00 2024 +0000
+  
+    schema
+
+diff --git a/prisma/schema.prisma b/prisma/schema.prisma
+index 1111111..2222222 100644
+--- a/prisma/schema.prisma
++++ b/prisma/schema.prisma
+@@ -8,3 +8,17 @@ datasource db {
+ model User {
+   id    Int    @id @default(autoincrement())
++  email String @unique
++  posts Post[]
+ }
++
++model Post {
++  id       Int    @id @default(autoincrement())
++  title    String
++  author   User   @relation(fields: [authorId], references: [id])
++  authorId Int
++}
++
++enum Role {
++  ADMIN
++}
+diff --git a/migrations/20240101120000_orders.sql b/migrations/20240101120000_orders.sql
+new file mode 100644
+index 0000000..3333333
+--- /dev/null
++++ b/migrations/20240101120000_orders.sql
+@@ -0,0 +1,9 @@
++-- Orders
++CREATE TABLE orders (
++  id SERIAL PRIMARY KEY,
++  total INTEGER NOT NULL,
++  CONSTRAINT orders_total_check CHECK (total >= 0)
++);
++ALTER TABLE users ADD COLUMN last_login TIMESTAMP;
++ALTER TABLE sessions DROP COLUMN legacy_token;
++DROP TABLE audit_log;
+`;
+
+// Knex migration: only the up section counts
+const KNEX_MIGRATION = `diff --git a/db/migrations/20240102_add_invoices.js b/db/migrations/20240102_add_invoices.js
+new file mode 100644
+index 0000000..4444444
+--- /dev/null
++++ b/db/migrations/20240102_add_invoices.js
+@@ -0,0 +1,10 @@
++exports.up = function (knex) {
++  return knex.schema.createTable('invoices', (table) => {
++    table.increments('id');
++    table.string('number').notNullable();
++    table.integer('amount');
++  });
++};
++exports.down = function (knex) {
++  return knex.schema.dropTable('invoices');
++};
+`;
+
+// Entities the sample patch builds on
+const EXISTING = [
+  { name: 'User', kind: 'model', created: true, dropped: false, columns: ['id'], droppedColumns: [] },
+  { name: 'audit_log', kind: 'table', created: true, dropped: false, columns: ['id'], droppedColumns: [] },
+  { name: 'sessions', kind: 'table', created: true, dropped: false, columns: ['id', 'legacy_token'], droppedColumns: [] }
+];
+
+test('isSchemaSource matches schemas and migrations, not any SQL file', () => {
+  assert.equal(isSchemaSource('prisma/schema.prisma'), true);
+  assert.equal(isSchemaSource('migrations/20240101120000_orders.sql'), true);
+  assert.equal(isSchemaSource('src/db.sql'), false);
+});
+
+test('extractSchemaChanges reads Prisma models and SQL DDL, merging table and model names', () => {
+  assert.deepEqual(extractSchemaChanges(PRISMA_AND_SQL), [
+    { name: 'User', kind: 'model', created: false, dropped: false, columns: ['email', 'last_login'], droppedColumns: [] },
+    { name: 'Post', kind: 'model', created: true, dropped: false, columns: ['id', 'title', 'authorId'], droppedColumns: [] },
+    { name: 'orders', kind: 'table', created: true, dropped: false, columns: ['id', 'total'], droppedColumns: [] },
+    { name: 'sessions', kind: 'table', created: false, dropped: false, columns: [], droppedColumns: ['legacy_token'] },
+    { name: 'audit_log', kind: 'table', created: false, dropped: true, columns: [], droppedColumns: [] }
+  ]);
+});
+
+test('extractSchemaChanges skips the down section of migrations', () => {
+  assert.deepEqual(extractSchemaChanges(KNEX_MIGRATION), [
+    { name: 'invoices', kind: 'table', created: true, dropped: false, columns: ['id', 'number', 'amount'], droppedColumns: [] }
+  ]);
+});
+
+test('schema phases describe created, extended, trimmed and dropped entities', () => {
+  const state = createSchemaState();
+  applySchemaChanges(state, [EXISTING]);
+  
+  const update = applySchemaChanges(state, [extractSchemaChanges(PRISMA_AND_SQL)]);
+  assert.ok(hasSchemaUpdate(update));
+  assert.deepEqual(generateSchemaPhaseInfo(update), {
+    title: 'Post & Orders Entities',
+    description: 'Added Post (id, title and authorId) and orders (id and total), added email and last_login to User, removed legacy_token from sessions, dropped audit_log',
+    icon: '🗄️',
+    tools: ['Post', 'orders', 'User', 'sessions'],
+    retired: ['audit_log']
+  });
+});
+
+test('a single new table names the phase', () => {
+  const info = generateSchemaPhaseInfo(applySchemaChanges(createSchemaState(), [extractSchemaChanges(KNEX_MIGRATION)]));
+  
+  assert.equal(info.title, 'Invoices Table');
+  assert.equal(info.description, 'Added invoices (id, number and amount)');
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  extractScriptChanges,
+  createScriptState,
+  applyScriptChanges,
+  hasScriptUpdate,
+  generateScriptPhaseInfo
+} from '../tools/detectors/scripts.js';
+
+const NEW_PACKAGE_JSON = `diff --git a/package.json b/package.json
+new file mode 100644
+index 0000000..1111111
+--- /dev/null
++++ b/package.json
+@@ -0,0 +1,8 @@
++{
++  "name": "app",
++  "scripts": {
++    "dev": "vite",
++    "test": "jest"
++  },
++  "dependencies": {}
++}
+`;
+
+const NEW_SCRIPTS = `diff --git a/package.json b/package.json
+index 1111111..2222222 100644
+--- a/package.json
++++ b/package.json
+@@ -2,7 +2,10 @@
+   "name": "app",
+   "scripts": {
+     "dev": "vite",
+-    "test": "jest"
++    "test": "vitest run",
++    "test:e2e": "playwright test",
++    "lint": "eslint .",
++    "release": "changeset publish"
+   },
+   "dependencies": {}
+ }
+`;
+
+test('script diffs yield each script with its workflow and previous command', () => {
+  const changes = extractScriptChanges({ 'package.json': NEW_SCRIPTS });
+  
+  assert.deepEqual(changes.map(c => [c.script, c.workflow, c.command, c.previous]), [
+    ['test', 'test', 'vitest run', 'jest'],
+    ['test:e2e', 'e2e', 'playwright test', null],
+    ['lint', 'lint', 'eslint .', null],
+    ['release', 'release', 'changeset publish', null]
+  ]);
+});
+
+test('workspace scripts are qualified with their workspace', () => {
+  const diff = NEW_SCRIPTS.replaceAll('/package.json', '/apps/web/package.json');
+  const [change] = extractScriptChanges({ 'apps/web/package.json': diff });
+  
+  assert.equal(change.script, 'web: test');
+  assert.equal(change.source, 'apps/web/package.json#test');
+});
+
+test('new workflows and switched test runners make one phase', () => {
+  const state = createScriptState();
+  const initial = applyScriptChanges(state, extractScriptChanges({ 'package.json': NEW_PACKAGE_JSON }));
+  assert.equal(generateScriptPhaseInfo(initial).description, 'Added test and dev server workflows');
+  
+  const update = applyScriptChanges(state, extractScriptChanges({ 'package.json': NEW_SCRIPTS }));
+  assert.ok(hasScriptUpdate(update));
+  assert.deepEqual(update.switched, [{ script: 'test', workflow: 'test', from: 'jest', to: 'vitest' }]);
+  assert.deepEqual(generateScriptPhaseInfo(update), {
+    title: 'Script Workflows',
+    description: 'Added e2e test, release and lint workflows and switched the test script from jest to vitest',
+    icon: '📜',
+    tools: ['test:e2e', 'lint', 'release', 'test']
+  });
+});
+
+test('manifests without script changes yield nothing', () => {
+  const dependencyOnly = `diff --git a/package.json b/package.json
+index 1111111..2222222 100644
+--- a/package.json
++++ b/package.json
+@@ -6,3 +6,4 @@
+   "dependencies": {
++    "zod": "^3.22.0",
+     "express": "^4.18.2"
+   }
+`;
+  assert.deepEqual(extractScriptChanges({ 'package.json': dependencyOnly }), []);
+});
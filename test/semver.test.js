@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseVersion, isMajorUpgrade, formatMajor } from '../tools/utils/semver.js';
+
+test('parseVersion reads the lower bound of common range styles', () => {
+  assert.deepEqual(parseVersion('^17.0.2'), { major: 17, minor: 0, patch: 2 });
+  assert.deepEqual(parseVersion('~> 7.1'), { major: 7, minor: 1, patch: 0 });
+  assert.deepEqual(parseVersion('>=2.31'), { major: 2, minor: 31, patch: 0 });
+  assert.deepEqual(parseVersion('v1.9.0'), { major: 1, minor: 9, patch: 0 });
+  assert.deepEqual(parseVersion('18.x'), { major: 18, minor: 0, patch: 0 });
+});
+
+test('parseVersion gives up on ranges that name no version', () => {
+  for (const range of ['*', 'latest', '', null, 'workspace:^1.0.0', 'file:../shared', 'github:acme/ui#v2.0.0', 'git+https://example.com/acme/ui.git']) {
+    assert.equal(parseVersion(range), null, String(range));
+  }
+});
+
+test('isMajorUpgrade flags breaking bumps only', () => {
+  assert.equal(isMajorUpgrade('^1.2', '^2.0'), true);
+  assert.equal(isMajorUpgrade('17.x', '18.x'), true);
+  // Before 1.0 the minor version is the breaking one
+  assert.equal(isMajorUpgrade('~0.3', '~0.4'), true);
+  assert.equal(isMajorUpgrade('0.3.1', '0.3.9'), false);
+  assert.equal(isMajorUpgrade('^18.2.0', '^18.3.1'), false);
+  assert.equal(isMajorUpgrade('^2.0.0', '^1.9.0'), false);
+});
+
+test('isMajorUpgrade ignores wildcards, workspace links and git ranges', () => {
+  assert.equal(isMajorUpgrade('*', '^2.0.0'), false);
+  assert.equal(isMajorUpgrade('^1.0.0', '*'), false);
+  assert.equal(isMajorUpgrade('workspace:^1.0.0', 'workspace:^2.0.0'), false);
+  assert.equal(isMajorUpgrade('github:acme/ui#v1.0.0', 'github:acme/ui#v2.0.0'), false);
+});
+
+test('formatMajor labels the breaking part of a version', () => {
+  assert.equal(formatMajor('^18.2.0'), 'v18');
+  assert.equal(formatMajor('0.7.1'), 'v0.7');
+  assert.equal(formatMajor('latest'), 'latest');
+});
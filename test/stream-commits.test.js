@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { streamCommits, buildRevisionArgs } from '../tools/utils/git-commands.js';
+import { createRepo } from './helpers/git-repo.js';
+
+const packageJson = deps => JSON.stringify({ name: 'app', dependencies: Object.fromEntries(deps.map(d => [d, '^1.0.0'])) }, null, 2) + '\n';
+
+test('one record per commit, newest first, with files and manifest patches', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  repo.write({ 'package.json': '{\n  "dependencies": {\n    "express": "^4.18.2"\n  }\n}\n', 'src/app.js': 'export const app = 1;\n' });
+  const first = repo.commit('2024-01-01');
+  repo.write({ 'src/app.js': 'export const app = 2;\nexport const port = 3000;\n' });
+  const second = repo.commit('2024-01-02', 'Listen on a port');
+  
+  const commits = [];
+  for await (const c of streamCommits(repo.dir)) commits.push(c);
+  
+  assert.deepEqual(commits.map(c => c.hash), [second, first]);
+  assert.equal(commits[0].message, 'Listen on a port');
+  assert.deepEqual(commits[0].author, { name: 'Test', email: 'test@example.com' });
+  assert.deepEqual(commits[0].files, [{ status: 'M', path: 'src/app.js', oldPath: null, similarity: null, additions: 2, deletions: 1 }]);
+  assert.deepEqual(commits[0].manifestDiffs, {});
+  assert.deepEqual(Object.keys(commits[1].manifestDiffs), ['package.json']);
+  assert.match(commits[1].manifestDiffs['package.json'], /^\+\s+"express": "\^4\.18\.2"/m);
+  assert.deepEqual(commits[1].files.map(f => f.path).sort(), ['package.json', 'src/app.js']);
+});
+
+test('renames keep their old path and similarity', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  repo.write({ 'src/billing.js': 'export function invoice(order) {\n  return order.total * 1.2;\n}\n' });
+  repo.commit('2024-01-01');
+  repo.git(['mv', 'src/billing.js', 'src/payments.js']);
+  repo.commit('2024-01-02');
+  
+  const commits = [];
+  for await (const c of streamCommits(repo.dir, { maxCommits: 1 })) commits.push(c);
+  
+  assert.equal(commits.length, 1);
+  assert.deepEqual(commits[0].files, [{ status: 'R', path: 'src/payments.js', oldPath: 'src/billing.js', similarity: 100, additions: 0, deletions: 0 }]);
+});
+
+test('manifest patches stay with their commits across batches', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  // More commits than one manifest batch; every 25th adds a dependency
+  const deps = [];
+  const expected = new Map();
+  for (let i = 0; i < 130; i++) {
+    const day = new Date(Date.UTC(2024, 0, 1) + i * 86400000).toISOString().slice(0, 10);
+    if (i % 25 === 0) {
+      deps.push(`dep-${i}`);
+      repo.write({ 'package.json': packageJson(deps), 'services/api/requirements.txt': `flask==${i}\n` });
+    } else {
+      repo.write({ 'src/app.js': `export const version = ${i};\n` });
+    }
+    const hash = repo.commit(day);
+    if (i % 25 === 0) expected.set(hash, `dep-${i}`);
+  }
+  
+  const seen = new Map();
+  let count = 0;
+  const manifestFiles = ['package.json', 'requirements*.txt'];
+  for await (const c of streamCommits(repo.dir, { revisions: buildRevisionArgs(), manifestFiles })) {
+    count++;
+    const files = Object.keys(c.manifestDiffs);
+    if (files.length === 0) continue;
+    assert.deepEqual(files.sort(), ['package.json', 'services/api/requirements.txt']);
+    const added = [...c.manifestDiffs['package.json'].matchAll(/^\+\s+"(dep-\d+)"/gm)].map(m => m[1]);
+    seen.set(c.hash, added.at(-1));
+  }
+  
+  assert.equal(count, 130);
+  assert.deepEqual(seen, expected);
+});
+
+test('scoped streams report paths relative to the sub-project', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  repo.write({ 'services/api/package.json': '{\n  "dependencies": {\n    "express": "^4.18.2"\n  }\n}\n', 'web/package.json': '{}\n' });
+  repo.commit('2024-01-01');
+  
+  const commits = [];
+  for await (const c of streamCommits(repo.dir, { revisions: buildRevisionArgs(), scope: 'services/api' })) commits.push(c);
+  
+  assert.deepEqual(commits[0].files.map(f => f.path), ['package.json']);
+  assert.deepEqual(Object.keys(commits[0].manifestDiffs), ['package.json']);
+});
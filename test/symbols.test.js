@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractSymbols, symbolTerms, describeSymbols } from '../tools/detectors/symbols.js';
+import { generateFeaturePhaseInfo } from '../tools/detectors/features.js';
+
+// As printed by `git show`: ESM and CommonJS exports, an edited export and a test file
+const PATCH = `commit 1111111111111111111111111111111111111111
+Author: Test <test@example.com>
+Date:   Mon Jan 1 10:00:00 2024 +0000
+  
+    billing
+
+diff --git a/src/billing/invoices.ts b/src/billing/invoices.ts
+new file mode 100644
+index 0000000..1111111
+--- /dev/null
++++ b/src/billing/invoices.ts
+@@ -0,0 +1,6 @@
++export async function createInvoice(data: InvoiceInput) {
++  return db.insert(data);
++}
++export const sendInvoiceReminder = async (id: string) => {};
++export const INVOICE_LIMIT = 10;
++export { formatCents } from './money';
+diff --git a/src/components/billing/InvoiceList.tsx b/src/components/billing/InvoiceList.tsx
+new file mode 100644
+index 0000000..2222222
+--- /dev/null
++++ b/src/components/billing/InvoiceList.tsx
+@@ -0,0 +1,2 @@
++export default function InvoiceList({ items }) { return null; }
++export const InvoiceForm = ({ onSubmit }: Props) => null;
+diff --git a/src/notify/mailer.js b/src/notify/mailer.js
+index 3333333..4444444 100644
+--- a/src/notify/mailer.js
++++ b/src/notify/mailer.js
+@@ -1,3 +1,4 @@
+ class Mailer {}
+-function sendWelcomeEmail() {}
+-module.exports = { Mailer, sendWelcomeEmail };
++function sendWelcomeEmail(user) {}
++function sendResetEmail() {}
++module.exports = { Mailer, sendWelcomeEmail, sendResetEmail };
+diff --git a/src/billing/invoices.test.ts b/src/billing/invoices.test.ts
+new file mode 100644
+index 0000000..5555555
+--- /dev/null
++++ b/src/billing/invoices.test.ts
+@@ -0,0 +1 @@
++export function helper() {}
+`;
+
+test('extractSymbols reads new function, component and CommonJS exports', () => {
+  assert.deepEqual(extractSymbols(PATCH), {
+    'src/billing/invoices.ts': [{ name: 'createInvoice', kind: 'function' }, { name: 'sendInvoiceReminder', kind: 'function' }],
+    'src/components/billing/InvoiceList.tsx': [{ name: 'InvoiceList', kind: 'component' }, { name: 'InvoiceForm', kind: 'component' }],
+    'src/notify/mailer.js': [{ name: 'sendResetEmail', kind: 'function' }]
+  });
+});
+
+test('extractSymbols ignores empty patches', () => {
+  assert.deepEqual(extractSymbols(''), {});
+});
+
+test('symbol names give business terms and a description', () => {
+  const symbols = Object.values(extractSymbols(PATCH)).flat();
+  
+  assert.deepEqual(symbolTerms(symbols), ['Invoice', 'Reset Email']);
+  assert.equal(describeSymbols(symbols), 'Added InvoiceList and InvoiceForm components and createInvoice, sendInvoiceReminder and sendResetEmail functions');
+});
+
+test('symbols in files no domain claims still name the card', () => {
+  const domains = new Map([['Database', { icon: '🗄️', files: ['prisma/schema.prisma'] }]]);
+  const symbols = new Map([['src/billing.js', [{ name: 'Billing', kind: 'class' }]]]);
+  const changedFiles = ['src/billing.js', 'prisma/schema.prisma'];
+  
+  const [withDomain] = generateFeaturePhaseInfo(domains, [], changedFiles, [], symbols);
+  assert.equal(withDomain.title, 'Billing Features');
+  assert.equal(withDomain.description, 'Added Billing class');
+  
+  const [alone] = generateFeaturePhaseInfo(new Map(), [], ['src/billing.js'], [], symbols);
+  assert.deepEqual(alone, { title: 'Billing Features', icon: '✨', description: 'Added Billing class', tags: ['Billing'] });
+});
+
+test('unclaimed symbols take the last card when three domains changed', () => {
+  const domains = new Map([
+    ['Authentication', { icon: '🔐', files: ['src/auth/login.js'] }],
+    ['Payments', { icon: '💳', files: ['src/payments/stripe.js'] }],
+    ['Dashboard', { icon: '📊', files: ['src/dashboard/charts.js'] }]
+  ]);
+  const symbols = new Map([['src/billing.js', [{ name: 'Billing', kind: 'class' }]]]);
+  
+  const cards = generateFeaturePhaseInfo(domains, [], [], [], symbols);
+  assert.equal(cards.length, 3);
+  assert.equal(cards[2].description, 'Added Billing class');
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createToolingContext, detectConfigTool, detectMigrations, generateToolingPhaseInfo, generateUpgradePhaseInfo } from '../tools/detectors/tooling.js';
+import { analyzeToolingTimeline } from '../tools/git.js';
+import { createRepo } from './helpers/git-repo.js';
+
+const packageJson = deps => JSON.stringify({ name: 'app', devDependencies: Object.fromEntries(deps.map(d => [d, '^1.0.0'])) }, null, 2) + '\n';
+
+test('a removed tool replaced within its category is a migration', () => {
+  assert.deepEqual(detectMigrations(['jest'], ['vitest']), [
+    { category: 'testing', title: 'Testing', from: 'jest', to: 'vitest', replaced: ['jest'] }
+  ]);
+  assert.deepEqual(detectMigrations(['web: jest'], ['api: vitest']), []);
+});
+
+test('unrelated or companion tools are not migrations', () => {
+  assert.deepEqual(detectMigrations(['moment'], ['stripe']), []);
+  assert.deepEqual(detectMigrations(['eslint'], ['eslint-plugin-react']), []);
+});
+
+test('replacing jest with vitest makes a migration card that retires jest', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  repo.write({ 'package.json': packageJson(['jest', 'moment']) });
+  repo.commit('2024-01-01');
+  repo.write({ 'package.json': packageJson(['vitest', 'moment']) });
+  repo.commit('2024-01-02');
+  
+  const { events } = await analyzeToolingTimeline({ repoPath: repo.dir });
+  const migration = events.find(e => e.date === '2024-01-02');
+  assert.equal(migration.title, 'Testing Migration');
+  assert.equal(migration.description, 'Migrated testing from jest to vitest');
+  assert.deepEqual(migration.tags, ['vitest']);
+  assert.deepEqual(migration.retired, ['jest']);
+});
+
+test('an unrelated removal and addition on the same day are not a migration', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  repo.write({ 'package.json': packageJson(['jest', 'moment']) });
+  repo.commit('2024-01-01');
+  repo.write({ 'package.json': packageJson(['jest', 'stripe']) });
+  repo.commit('2024-01-02');
+  
+  const { events } = await analyzeToolingTimeline({ repoPath: repo.dir });
+  const day = events.filter(e => e.date === '2024-01-02');
+  assert.ok(day.every(e => !/Migration/.test(e.title)));
+  assert.deepEqual(day.flatMap(e => e.tags), ['stripe']);
+  assert.deepEqual(day.flatMap(e => e.retired || []), ['moment']);
+});
+
+const describeTools = async (packages, configTools) =>
+  (await generateToolingPhaseInfo(createToolingContext(), packages, configTools, [])).description;
+
+test('two-category descriptions never repeat "infrastructure"', async () => {
+  assert.equal(await describeTools(['express'], ['GitHub Actions']), 'Configured backend and ci/cd infrastructure');
+  assert.equal(await describeTools(['express', 'terraform'], []), 'Configured backend and infrastructure');
+  assert.equal(await describeTools(['terraform'], ['GitHub Actions']), 'Configured infrastructure and ci/cd');
+});
+
+test('tools are only announced once per context', async () => {
+  const context = createToolingContext();
+  
+  assert.deepEqual((await generateToolingPhaseInfo(context, ['express'], [], [])).tools, ['express']);
+  assert.deepEqual((await generateToolingPhaseInfo(context, ['express'], [], [])).tools, []);
+  assert.deepEqual((await generateToolingPhaseInfo(createToolingContext(), ['express'], [], [])).tools, ['express']);
+});
+
+test('one major upgrade names the library and its new major', () => {
+  const info = generateUpgradePhaseInfo([{ name: 'web: react', from: '^17.0.2', to: '^18.2.0' }]);
+  assert.equal(info.title, 'Upgraded react to v18');
+  assert.equal(info.description, 'Upgraded react from ^17.0.2 to ^18.2.0');
+  assert.deepEqual(info.tools, ['web: react']);
+});
+
+test('several major upgrades share one phase', () => {
+  const two = generateUpgradePhaseInfo([
+    { name: 'react', from: '^17.0.2', to: '^18.2.0' },
+    { name: 'vite', from: '~0.9.0', to: '~0.10.0' }
+  ]);
+  assert.equal(two.title, 'Major Upgrades');
+  assert.equal(two.description, 'Upgraded react from ^17.0.2 to ^18.2.0 and vite from ~0.9.0 to ~0.10.0');
+  
+  const three = generateUpgradePhaseInfo(['react', 'vite', 'eslint'].map(name => ({ name, from: '^1.0.0', to: '^2.0.0' })));
+  assert.equal(three.description, 'Upgraded 3 libraries to new major versions');
+});
+
+const CIRCLECI_CONFIG = `version: 2.1
+jobs:
+  test:
+    docker:
+      - image: cimg/node:20.11
+    steps:
+      - checkout
+      - run: npm test
+workflows:
+  main:
+    jobs: [test]
+`;
+
+const APP_CONFIG = `version: 2
+server:
+  port: 8080
+features:
+  signup: true
+`;
+
+// Diff of a newly added file, as streamCommits returns it
+const addedFileDiff = content => '--- /dev/null\n+++ b/config.yml\n' + content.trimEnd().split('\n').map(line => '+' + line).join('\n');
+
+test('an ambiguous config file is recognized by its contents', () => {
+  assert.equal(detectConfigTool('config.yml', addedFileDiff(CIRCLECI_CONFIG)), 'CircleCI');
+  assert.equal(detectConfigTool('config.yml', addedFileDiff(APP_CONFIG)), null);
+  assert.equal(detectConfigTool('config.yml'), null);
+});
+
+test('a config file names its tool in the timeline only when its contents match', async (t) => {
+  const repo = createRepo();
+  t.after(() => repo.remove());
+  
+  repo.write({ 'package.json': packageJson(['vitest']), 'config.yml': APP_CONFIG });
+  repo.commit('2024-01-01');
+  repo.write({ 'ci/config.yml': CIRCLECI_CONFIG });
+  repo.commit('2024-01-02');
+  
+  const { events } = await analyzeToolingTimeline({ repoPath: repo.dir });
+  assert.deepEqual(events.map(e => [e.date, e.tags]), [['2024-01-01', ['vitest']], ['2024-01-02', ['CircleCI']]]);
+});
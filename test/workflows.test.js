@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  extractWorkflowChanges,
+  createWorkflowState,
+  applyWorkflowChanges,
+  hasWorkflowUpdate,
+  generateWorkflowPhaseInfo
+} from '../tools/detectors/workflows.js';
+
+const CI_PATH = '.github/workflows/ci.yml';
+
+const NEW_CI = `diff --git a/.github/workflows/ci.yml b/.github/workflows/ci.yml
+new file mode 100644
+index 0000000..1111111
+--- /dev/null
++++ b/.github/workflows/ci.yml
+@@ -0,0 +1,16 @@
++name: CI
++on: [push, pull_request]
++jobs:
++  test:
++    runs-on: ubuntu-latest
++    strategy:
++      matrix:
++        node-version: [18.x, 20.x]
++    steps:
++      - uses: actions/checkout@v4
++      - uses: actions/setup-node@v4
++        with:
++          node-version: \${{ matrix.node-version }}
++      - run: npm ci
++      - run: npm test
++      - uses: codecov/codecov-action@v3
+`;
+
+const PUBLISH_IMAGE = `diff --git a/.github/workflows/ci.yml b/.github/workflows/ci.yml
+index 1111111..2222222 100644
+--- a/.github/workflows/ci.yml
++++ b/.github/workflows/ci.yml
+@@ -14,3 +14,6 @@ jobs:
+       - run: npm ci
+       - run: npm test
+-      - uses: codecov/codecov-action@v3
++      - uses: docker/build-push-action@v5
++        with:
++          push: true
+`;
+
+test('a new workflow reports its name, actions, capabilities and node matrix', () => {
+  const [change] = extractWorkflowChanges([{ status: 'A', path: CI_PATH, oldPath: null }], { [CI_PATH]: NEW_CI });
+  
+  assert.equal(change.name, 'CI');
+  assert.equal(change.status, 'added');
+  assert.deepEqual(change.actions, ['actions/checkout', 'actions/setup-node', 'codecov/codecov-action']);
+  assert.deepEqual(change.capabilities, ['matrix', 'coverage']);
+  assert.deepEqual(change.nodeVersions, ['18', '20']);
+});
+
+test('edits report replaced actions and capabilities as removed', () => {
+  const [change] = extractWorkflowChanges([{ status: 'M', path: CI_PATH, oldPath: null }], { [CI_PATH]: PUBLISH_IMAGE });
+  
+  assert.deepEqual(change.actions, ['docker/build-push-action']);
+  assert.deepEqual(change.removedActions, ['codecov/codecov-action']);
+  assert.deepEqual(change.capabilities, ['container']);
+  assert.deepEqual(change.removedCapabilities, ['coverage']);
+});
+
+test('only a new workflow file names its pipeline', () => {
+  const diff = `diff --git a/.github/workflows/ci.yml b/.github/workflows/ci.yml
+index 1111111..2222222 100644
+--- a/.github/workflows/ci.yml
++++ b/.github/workflows/ci.yml
+@@ -1,3 +1,3 @@
+-name: CI
++name: Build
+ on: [push, pull_request]
+ jobs:
+@@ -14,2 +14,3 @@ jobs:
+       - run: npm test
++      - run: npm run lint
+`;
+  const [change] = extractWorkflowChanges([{ status: 'M', path: CI_PATH, oldPath: null }], { [CI_PATH]: diff });
+  
+  assert.equal(change.name, 'ci');
+});
+
+test('workflow phases describe new pipelines, then new capabilities', () => {
+  const state = createWorkflowState();
+  
+  const created = applyWorkflowChanges(state, extractWorkflowChanges([{ status: 'A', path: CI_PATH, oldPath: null }], { [CI_PATH]: NEW_CI }));
+  assert.deepEqual(generateWorkflowPhaseInfo(created), {
+    title: 'New Workflow: CI',
+    description: 'Added the CI workflow with matrix testing on Node 18 and 20 and coverage reporting',
+    icon: '🔄',
+    tools: ['actions/checkout', 'actions/setup-node', 'codecov/codecov-action'],
+    capabilities: ['matrix', 'coverage']
+  });
+  
+  const extended = applyWorkflowChanges(state, extractWorkflowChanges([{ status: 'M', path: CI_PATH, oldPath: null }], { [CI_PATH]: PUBLISH_IMAGE }));
+  const info = generateWorkflowPhaseInfo(extended);
+  assert.equal(info.title, 'Container Publishing');
+  assert.equal(info.description, 'Extended workflows with container image publishing');
+});
+
+test('a renamed workflow is the same pipeline', () => {
+  const state = createWorkflowState();
+  applyWorkflowChanges(state, extractWorkflowChanges([{ status: 'A', path: CI_PATH, oldPath: null }], { [CI_PATH]: NEW_CI }));
+  
+  const renamed = extractWorkflowChanges([{ status: 'R', path: '.github/workflows/test.yml', oldPath: CI_PATH }], {});
+  assert.equal(hasWorkflowUpdate(applyWorkflowChanges(state, renamed)), false);
+  assert.deepEqual(Array.from(state.workflows.keys()), ['.github/workflows/test.yml']);
+});
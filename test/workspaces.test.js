@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { analyzeToolingTimeline } from '../tools/git.js';
+import { createRepo } from './helpers/git-repo.js';
+
+const packageJson = deps => JSON.stringify({ name: 'pkg', dependencies: Object.fromEntries(deps.map(d => [d, '^1.0.0'])) }, null, 2) + '\n';
+
+// Root tooling on 01-01, then a web and an api package on 01-02
+function createMonorepo() {
+  const repo = createRepo();
+  repo.write({ 'package.json': packageJson(['typescript']) });
+  repo.commit('2024-01-01');
+  repo.write({ 'apps/web/package.json': packageJson(['react', 'react-dom']), 'apps/api/package.json': packageJson(['express']) });
+  repo.commit('2024-01-02');
+  return repo;
+}
+
+test('workspace dependencies are tagged with their workspace', async (t) => {
+  const repo = createMonorepo();
+  t.after(() => repo.remove());
+  
+  const { events } = await analyzeToolingTimeline({ repoPath: repo.dir });
+  const tags = events.filter(e => e.date === '2024-01-02').flatMap(e => e.tags).sort();
+  assert.deepEqual(tags, ['api: express', 'web: react', 'web: react-dom']);
+  assert.ok(events.every(e => !e.lane));
+});
+
+test('workspace lanes give each package its own lane', async (t) => {
+  const repo = createMonorepo();
+  t.after(() => repo.remove());
+  
+  const { events } = await analyzeToolingTimeline({ repoPath: repo.dir, workspaceLanes: true });
+  const lanes = Object.fromEntries(events.filter(e => e.date === '2024-01-02').map(e => [e.lane, e.tags.sort()]));
+  assert.deepEqual(lanes, { api: ['express'], web: ['react', 'react-dom'] });
+  assert.deepEqual(events.filter(e => e.date === '2024-01-01').map(e => [e.lane, e.tags]), [['root', ['typescript']]]);
+});
@@ -0,0 +1,304 @@
+/**
+ * Container Detection - Dockerfile and docker-compose contents over time
+ *
+ * Dockerfile diffs give the build stages (FROM lines), so the timeline can show
+ * base image changes (node:18-alpine → node:20-slim) and multi-stage builds;
+ * compose diffs give the services (postgres, redis, mailhog...) and their images.
+ *
+ * Per-commit changes are cached with the tooling analysis: bump
+ * DETECTOR_VERSION in tooling.js whenever they change.
+ */
+
+// Diffs collected with the manifests
+export const CONTAINER_FILES = [
+  'Dockerfile', 'Dockerfile.*', '*.Dockerfile',
+  'docker-compose*.yml', 'docker-compose*.yaml', 'compose.yml', 'compose.yaml', 'compose.*.yml', 'compose.*.yaml'
+];
+
+const DOCKERFILE = /(^|\/)(Dockerfile(\.[\w.-]+)?|[\w.-]+\.Dockerfile)$/;
+const COMPOSE_FILE = /(^|\/)(docker-compose|compose)(\.[\w.-]+)?\.ya?ml$/;
+
+function diffLines(diff) {
+  return (diff || '').split('\n').filter(line => !line.startsWith('+++') && !line.startsWith('---'));
+}
+
+// =============================================================================
+// PER-COMMIT CHANGES
+// =============================================================================
+
+/**
+ * "FROM --platform=$BUILDPLATFORM node:20-slim AS build" → { image: 'node:20-slim', alias: 'build' }
+ */
+function parseFrom(text) {
+  const match = text.match(/^\s*FROM\s+(?:--platform=\S+\s+)?(\S+)(?:\s+AS\s+(\S+))?/i);
+  return match ? { image: match[1], alias: match[2]?.toLowerCase() || null } : null;
+}
+
+/**
+ * Build stages added and removed by a Dockerfile diff
+ */
+function dockerfileChange(filePath, diff, removed, oldPath = null) {
+  const stages = prefix => diffLines(diff)
+    .filter(line => line.startsWith(prefix))
+    .map(line => parseFrom(line.slice(1)))
+    .filter(Boolean);
+  return { kind: 'dockerfile', path: filePath, oldPath, removed, addedStages: stages('+'), removedStages: stages('-') };
+}
+
+/**
+ * Services added and removed by a compose diff, with the images they run
+ * Hunk headers carry the enclosing top-level key ("@@ -4,6 +4,9 @@ services:"),
+ * so services are told apart from volumes and networks in partial diffs.
+ * Services sit at the indentation of the first key under "services:"; a hunk
+ * starting inside a service only shows it as the shallowest key seen so far.
+ */
+function composeChange(filePath, diff, removed, oldPath = null) {
+  const added = new Set();
+  const dropped = new Set();
+  const images = {};
+  let section = null;
+  let service = null;
+  let serviceIndent = null;
+  let indentSettled = false;
+  
+  for (const line of diffLines(diff)) {
+    if (line.startsWith('@@')) {
+      section = line.replace(/^@@[^@]*@@\s?/, '').match(/^([A-Za-z_][\w-]*):/)?.[1] || section;
+      service = null;
+      continue;
+    }
+    const text = line.slice(1);
+    const topLevel = text.match(/^([A-Za-z_][\w-]*):/);
+    if (topLevel) {
+      section = topLevel[1];
+      service = null;
+      if (section === 'services') {
+        serviceIndent = null;
+        indentSettled = true;
+      }
+      continue;
+    }
+    if (section !== 'services') continue;
+  
+    const key = text.match(/^( +)([\w.-]+):\s*(.*)$/);
+    if (!key) continue;
+    const indent = key[1].length;
+    if (serviceIndent === null || (!indentSettled && indent < serviceIndent)) serviceIndent = indent;
+    
+    if (indent === serviceIndent && /^(#.*)?$/.test(key[3])) {
+      service = key[2];
+      if (line.startsWith('+')) added.add(service);
+      if (line.startsWith('-')) dropped.add(service);
+      continue;
+    }
+    const image = key[2] === 'image' && indent > serviceIndent && key[3].match(/^['"]?([^'"\s#]+)/);
+    if (image && service && line.startsWith('+')) images[service] = image[1];
+  }
+  
+  return {
+    kind: 'compose',
+    path: filePath,
+    oldPath,
+    removed,
+    services: Array.from(added, name => ({ name, image: images[name] || null })),
+    removedServices: Array.from(dropped).filter(name => !added.has(name)),
+    images: Object.entries(images).filter(([name]) => !added.has(name)).map(([name, image]) => ({ name, image }))
+  };
+}
+
+/**
+ * Dockerfile and compose changes in one commit:
+ * [{ kind: 'dockerfile', path, oldPath, removed, addedStages, removedStages }
+ *  | { kind: 'compose', path, oldPath, removed, services, removedServices, images }]
+ * `oldPath` is set for renamed files, whose contents carry over.
+ */
+export function extractContainerChanges(files, manifestDiffs) {
+  const changes = [];
+  
+  for (const f of files) {
+    const removed = f.status === 'D';
+    const oldPath = f.status === 'R' ? f.oldPath : null;
+    
+    if (DOCKERFILE.test(f.path)) {
+      changes.push(dockerfileChange(f.path, manifestDiffs[f.path], removed, oldPath && DOCKERFILE.test(oldPath) ? oldPath : null));
+    } else if (COMPOSE_FILE.test(f.path)) {
+      changes.push(composeChange(f.path, manifestDiffs[f.path], removed, oldPath && COMPOSE_FILE.test(oldPath) ? oldPath : null));
+    } else if (oldPath && DOCKERFILE.test(oldPath)) {
+      changes.push(dockerfileChange(oldPath, '', true));
+    } else if (oldPath && COMPOSE_FILE.test(oldPath)) {
+      changes.push(composeChange(oldPath, '', true));
+    }
+  }
+  
+  return changes;
+}
+
+// =============================================================================
+// CONTAINER STATE
+// =============================================================================
+
+/**
+ * Empty state for a timeline run: stages per Dockerfile, services per compose file
+ */
+export function createContainerState() {
+  return { dockerfiles: new Map(), composeFiles: new Map() };
+}
+
+const sameStage = (a, b) => a.image === b.image && a.alias === b.alias;
+
+/**
+ * Replace removed FROM lines in place, so a changed base image keeps its stage position
+ */
+function applyStages(stages, { addedStages, removedStages }) {
+  const next = stages.slice();
+  const freed = [];
+  for (const stage of removedStages) {
+    const index = next.findIndex((s, i) => !freed.includes(i) && sameStage(s, stage));
+    if (index >= 0) freed.push(index);
+  }
+  freed.sort((a, b) => a - b);
+  
+  addedStages.forEach((stage, i) => {
+    if (i < freed.length) next[freed[i]] = stage;
+    else next.push(stage);
+  });
+  return next.filter((_, i) => !freed.slice(addedStages.length).includes(i));
+}
+
+/**
+ * Image the final stage runs on, following stage aliases ("FROM build AS runtime")
+ */
+function finalImage(stages) {
+  let stage = stages[stages.length - 1];
+  for (let hops = 0; stage && hops < stages.length; hops++) {
+    const parent = stages.find(s => s.alias && s.alias === stage.image.toLowerCase());
+    if (!parent || parent === stage) break;
+    stage = parent;
+  }
+  return stage?.image || null;
+}
+
+function composeServices(state) {
+  const services = new Map();
+  for (const fileServices of state.composeFiles.values()) {
+    for (const [name, image] of fileServices) {
+      if (!services.has(name)) services.set(name, image);
+    }
+  }
+  return services;
+}
+
+/**
+ * Apply one day's changes (oldest first) to `state`
+ * Returns the updates worth a phase:
+ * [{ kind: 'baseImage', path, from, to } | { kind: 'multiStage', path, stages } | { kind: 'services', services: [{ name, image }] }]
+ */
+export function applyContainerChanges(state, changes) {
+  const dockerfilesBefore = new Map(state.dockerfiles);
+  const servicesBefore = composeServices(state);
+  const renamedFrom = new Map();
+  
+  for (const change of changes) {
+    const files = change.kind === 'dockerfile' ? state.dockerfiles : state.composeFiles;
+    const current = files.get(change.path) || files.get(change.oldPath);
+    if (change.oldPath) {
+      files.delete(change.oldPath);
+      renamedFrom.set(change.path, change.oldPath);
+    }
+    if (change.removed) {
+      files.delete(change.path);
+      continue;
+    }
+    
+    if (change.kind === 'dockerfile') {
+      state.dockerfiles.set(change.path, applyStages(current || [], change));
+      continue;
+    }
+    const services = new Map(current || []);
+    change.removedServices.forEach(name => services.delete(name));
+    change.services.forEach(({ name, image }) => services.set(name, image));
+    change.images.forEach(({ name, image }) => { if (services.has(name)) services.set(name, image); });
+    state.composeFiles.set(change.path, services);
+  }
+  
+  const updates = [];
+  for (const [filePath, stages] of state.dockerfiles) {
+    const before = dockerfilesBefore.get(filePath) || dockerfilesBefore.get(renamedFrom.get(filePath)) || [];
+    const from = finalImage(before);
+    const to = finalImage(stages);
+    // A new Dockerfile is the "Docker" tool itself, not a base image change
+    if (from && to && from !== to) updates.push({ kind: 'baseImage', path: filePath, from, to });
+    if (before.length < 2 && stages.length >= 2) updates.push({ kind: 'multiStage', path: filePath, stages: stages.length });
+  }
+  
+  const newServices = Array.from(composeServices(state))
+    .filter(([name]) => !servicesBefore.has(name))
+    .map(([name, image]) => ({ name, image }));
+  if (newServices.length > 0) updates.push({ kind: 'services', services: newServices });
+  
+  return updates;
+}
+
+// =============================================================================
+// PHASE INFO GENERATION
+// =============================================================================
+
+/**
+ * Tag for a service: its image without registry, namespace or tag ("bitnami/redis:7" → "redis"),
+ * or the service name for services built from source
+ */
+function serviceTag({ name, image }) {
+  return image ? image.split('/').pop().split(/[:@]/)[0] : name;
+}
+
+function joinPhrases(phrases) {
+  return phrases.length <= 2 ? phrases.join(' and ') : `${phrases.slice(0, -1).join(', ')} and ${phrases[phrases.length - 1]}`;
+}
+
+/**
+ * Describe one update as { title, phrase, icon, tools }
+ */
+function describeUpdate(update) {
+  const where = update.path && update.path.includes('/') ? ` in ${update.path}` : '';
+  
+  if (update.kind === 'baseImage') {
+    return {
+      title: 'Base Image Update',
+      phrase: `moved the base image from ${update.from} to ${update.to}${where}`,
+      icon: '🐳',
+      tools: [update.to]
+    };
+  }
+  if (update.kind === 'multiStage') {
+    return {
+      title: 'Multi-Stage Build',
+      phrase: `split the Docker build into ${update.stages} stages${where}`,
+      icon: '🏗️',
+      tools: []
+    };
+  }
+  
+  const names = update.services.map(s => (s.image && serviceTag(s) !== s.name ? `${s.name} (${serviceTag(s)})` : s.name));
+  return {
+    title: update.services.length === 1 ? `Added ${update.services[0].name} Service` : 'Compose Services',
+    phrase: `added ${joinPhrases(names)} to docker-compose`,
+    icon: '🧩',
+    tools: update.services.map(serviceTag)
+  };
+}
+
+/**
+ * One phase for a day's container updates
+ * e.g. "Base Image Update" - "Moved the base image from node:18-alpine to node:20-slim"
+ */
+export function generateContainerPhaseInfo(updates) {
+  const described = updates.map(describeUpdate);
+  const sentence = joinPhrases(described.map(d => d.phrase));
+  
+  return {
+    title: described.length === 1 ? described[0].title : 'Container Updates',
+    description: sentence.charAt(0).toUpperCase() + sentence.slice(1),
+    icon: described.length === 1 ? described[0].icon : '🐳',
+    tools: [...new Set(described.flatMap(d => d.tools))]
+  };
+}
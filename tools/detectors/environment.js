@@ -0,0 +1,276 @@
+/**
+ * Environment Detection - package managers and runtime versions over time
+ *
+ * Package managers come from lockfiles appearing and disappearing and from the
+ * package.json `packageManager` field; runtime targets from package.json
+ * `engines`/`volta`, .nvmrc, .node-version and .tool-versions.
+ *
+ * Per-commit changes are cached with the tooling analysis: bump
+ * DETECTOR_VERSION in tooling.js whenever they change.
+ */
+
+import { parseVersion, isMajorUpgrade } from '../utils/semver.js';
+import { getWorkspaceName, qualifyPackage, parseQualifiedPackage } from './tooling.js';
+
+// Lockfiles by package manager (only their presence matters, never their diffs)
+const LOCKFILES = [
+  { pattern: /^(package-lock|npm-shrinkwrap)\.json$/, manager: 'npm' },
+  { pattern: /^yarn\.lock$/, manager: 'yarn' },
+  { pattern: /^pnpm-lock\.yaml$/, manager: 'pnpm' },
+  { pattern: /^bun\.lockb?$/, manager: 'bun' }
+];
+
+// Files pinning runtime versions; their diffs are collected with the manifests
+export const RUNTIME_FILES = ['.nvmrc', '.node-version', '.tool-versions'];
+
+// Display names; `minor` runtimes are told apart by minor version (Python 3.11 vs 3.12)
+const RUNTIMES = {
+  node: { label: 'Node.js' },
+  deno: { label: 'Deno' },
+  bun: { label: 'Bun' },
+  python: { label: 'Python', minor: true },
+  ruby: { label: 'Ruby', minor: true },
+  go: { label: 'Go', minor: true },
+  java: { label: 'Java' },
+  rust: { label: 'Rust', minor: true },
+  elixir: { label: 'Elixir', minor: true },
+  erlang: { label: 'Erlang' }
+};
+
+// asdf plugin names that differ from the runtime
+const TOOL_VERSIONS_ALIASES = { nodejs: 'node', golang: 'go' };
+
+function basename(filePath) {
+  return filePath.split('/').pop();
+}
+
+// =============================================================================
+// PER-COMMIT CHANGES
+// =============================================================================
+
+/**
+ * Changes from one diff: values set on added lines, and removed values not set again
+ */
+function collectChanges(diff, readLine) {
+  const added = new Map();
+  const removed = new Map();
+  
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('+++') || line.startsWith('---') || line.startsWith('@@')) continue;
+    const change = readLine(line.slice(1));
+    if (!change) continue;
+    if (line.startsWith('+') && !added.has(change.source)) added.set(change.source, change);
+    if (line.startsWith('-')) removed.set(change.source, change);
+  }
+  
+  return [
+    ...added.values(),
+    ...Array.from(removed.values()).filter(c => !added.has(c.source)).map(c => ({ ...c, removed: true }))
+  ];
+}
+
+/**
+ * `packageManager` field and the node version in `engines`/`volta`
+ */
+function packageJsonChanges(manifestPath, diff) {
+  let section = null;
+  return collectChanges(diff, (text) => {
+    const block = text.match(/^\s*"(engines|volta)"\s*:\s*\{\s*(\})?/);
+    if (block) {
+      section = block[2] ? null : block[1];
+      return null;
+    }
+    if (section && /^\s*\}/.test(text)) {
+      section = null;
+      return null;
+    }
+  
+    const field = text.match(/^\s*"([^"]+)"\s*:\s*"([^"]*)"/);
+    if (!field) return null;
+    if (!section && field[1] === 'packageManager') {
+      // "pnpm@8.6.0+sha256.abc..."
+      const [tool, version] = field[2].split('@');
+      return { kind: 'packageManager', tool, version: version?.split('+')[0] || null, source: `${manifestPath}#packageManager` };
+    }
+    if (section && field[1] === 'node') {
+      return { kind: 'runtime', tool: 'node', version: field[2], source: `${manifestPath}#${section}` };
+    }
+    return null;
+  });
+}
+
+/**
+ * .nvmrc / .node-version hold a single node version ("20", "v20.11.0", "lts/iron")
+ */
+function nodeVersionFileChanges(filePath, diff) {
+  return collectChanges(diff, (text) => {
+    const version = text.trim();
+    return version && !version.startsWith('#') ? { kind: 'runtime', tool: 'node', version, source: filePath } : null;
+  });
+}
+
+/**
+ * .tool-versions holds one "<tool> <version>" line per runtime (asdf, mise)
+ */
+function toolVersionsChanges(filePath, diff) {
+  return collectChanges(diff, (text) => {
+    const match = text.match(/^\s*([a-z][\w-]*)\s+(\S+)/);
+    if (!match) return null;
+    const tool = TOOL_VERSIONS_ALIASES[match[1]] || match[1];
+    return RUNTIMES[tool] ? { kind: 'runtime', tool, version: match[2], source: `${filePath}#${tool}` } : null;
+  });
+}
+
+/**
+ * Package manager and runtime changes in one commit, attributed to their workspace:
+ * [{ kind: 'packageManager' | 'runtime', tool, version, source, removed }]
+ * `source` identifies where the value lives, so a tool retires with its last source.
+ */
+export function extractEnvironmentChanges(files, manifestDiffs) {
+  const changes = [];
+  
+  // Lockfiles: only added, renamed and deleted ones change anything
+  const lockfileManager = filePath => LOCKFILES.find(l => l.pattern.test(basename(filePath)))?.manager;
+  const lockfileChange = (filePath, removed) => ({
+    kind: 'packageManager',
+    tool: lockfileManager(filePath),
+    version: null,
+    source: filePath,
+    removed
+  });
+  for (const f of files) {
+    if (f.status === 'R' && lockfileManager(f.oldPath)) changes.push(lockfileChange(f.oldPath, true));
+    if (lockfileManager(f.path) && f.status !== 'M') changes.push(lockfileChange(f.path, f.status === 'D'));
+  }
+  
+  for (const [manifestPath, diff] of Object.entries(manifestDiffs)) {
+    const name = basename(manifestPath);
+    if (name === 'package.json') changes.push(...packageJsonChanges(manifestPath, diff));
+    else if (name === '.nvmrc' || name === '.node-version') changes.push(...nodeVersionFileChanges(manifestPath, diff));
+    else if (name === '.tool-versions') changes.push(...toolVersionsChanges(manifestPath, diff));
+  }
+  
+  return changes.map(c => ({ ...c, tool: qualifyPackage(c.tool, getWorkspaceName(c.source.split('#')[0])) }));
+}
+
+// =============================================================================
+// ENVIRONMENT STATE
+// =============================================================================
+
+/**
+ * Package manager of a workspace: the `packageManager` field wins over lockfiles,
+ * otherwise the most recently added lockfile
+ */
+function currentPackageManager(sources, workspace) {
+  const candidates = Array.from(sources.values())
+    .filter(s => s.kind === 'packageManager' && parseQualifiedPackage(s.tool).workspace === workspace);
+  return candidates.find(s => s.source.endsWith('#packageManager')) || candidates[candidates.length - 1] || null;
+}
+
+/**
+ * Runtime version: explicit pins win over `engines` ranges, latest pin first
+ */
+function currentRuntime(sources, tool) {
+  const candidates = Array.from(sources.values()).filter(s => s.kind === 'runtime' && s.tool === tool);
+  const pins = candidates.filter(s => !s.source.endsWith('#engines'));
+  return pins[pins.length - 1] || candidates[candidates.length - 1] || null;
+}
+
+/**
+ * "v20" for node, "v3.11" for python; unparsable versions ("lts/iron") as written
+ */
+function formatRuntimeVersion(tool, version) {
+  const parsed = parseVersion(version);
+  if (!parsed) return version;
+  return RUNTIMES[parseQualifiedPackage(tool).name]?.minor ? `v${parsed.major}.${parsed.minor}` : `v${parsed.major}`;
+}
+
+function isRuntimeUpgrade(tool, from, to) {
+  const a = parseVersion(from);
+  const b = parseVersion(to);
+  if (!a || !b) return false;
+  return b.major > a.major || (b.major === a.major && Boolean(RUNTIMES[parseQualifiedPackage(tool).name]?.minor) && b.minor > a.minor);
+}
+
+/**
+ * Apply one day's changes (oldest first) to the live `sources` (Map source → change)
+ * Returns the updates worth a phase: [{ kind, tool, from, to }] with from/to = { tool, version } or null
+ */
+export function applyEnvironmentChanges(sources, changes) {
+  const workspaces = new Set(changes.filter(c => c.kind === 'packageManager').map(c => parseQualifiedPackage(c.tool).workspace));
+  const runtimes = new Set(changes.filter(c => c.kind === 'runtime').map(c => c.tool));
+  const managersBefore = new Map(Array.from(workspaces, w => [w, currentPackageManager(sources, w)]));
+  const runtimesBefore = new Map(Array.from(runtimes, t => [t, currentRuntime(sources, t)]));
+  
+  for (const change of changes) {
+    // Re-inserting keeps the Map in order of recency
+    sources.delete(change.source);
+    if (!change.removed) sources.set(change.source, change);
+  }
+  
+  const updates = [];
+  for (const [workspace, from] of managersBefore) {
+    const to = currentPackageManager(sources, workspace);
+    if (from?.tool === to?.tool && !isMajorUpgrade(from?.version, to?.version)) continue;
+    updates.push({ kind: 'packageManager', tool: (to || from).tool, from, to });
+  }
+  for (const [tool, from] of runtimesBefore) {
+    const to = currentRuntime(sources, tool);
+    if (from && to && formatRuntimeVersion(tool, from.version) === formatRuntimeVersion(tool, to.version)) continue;
+    if (!from && !to) continue;
+    updates.push({ kind: 'runtime', tool, from, to });
+  }
+  return updates;
+}
+
+// =============================================================================
+// PHASE INFO GENERATION
+// =============================================================================
+
+/**
+ * Describe one update as { title, phrase, icon }
+ */
+function describeUpdate({ kind, tool, from, to }) {
+  const name = t => parseQualifiedPackage(t).name;
+  
+  if (kind === 'packageManager') {
+    if (!to) return { title: `Dropped ${name(from.tool)}`, phrase: `dropped the ${name(from.tool)} lockfile`, icon: '🧹' };
+    if (!from) return { title: `Adopted ${name(to.tool)}`, phrase: `adopted ${name(to.tool)} for dependency management`, icon: '🧰' };
+    if (from.tool !== to.tool) return { title: `Switched to ${name(to.tool)}`, phrase: `switched package manager from ${name(from.tool)} to ${name(to.tool)}`, icon: '🔀' };
+    return {
+      title: `Upgraded ${name(to.tool)} to ${formatRuntimeVersion(to.tool, to.version)}`,
+      phrase: `upgraded ${name(to.tool)} from ${from.version} to ${to.version}`,
+      icon: '⬆️'
+    };
+  }
+  
+  const label = RUNTIMES[name(tool)]?.label || name(tool);
+  const version = change => formatRuntimeVersion(tool, change.version);
+  if (!to) return { title: `Dropped ${label} Pin`, phrase: `dropped the ${label} version pin`, icon: '🧹' };
+  if (!from) return { title: `${label} ${version(to)} Runtime`, phrase: `targeted ${label} ${version(to)}`, icon: '🧰' };
+  if (isRuntimeUpgrade(tool, from.version, to.version)) {
+    return { title: `Upgraded ${label} to ${version(to)}`, phrase: `upgraded ${label} from ${version(from)} to ${version(to)}`, icon: '⬆️' };
+  }
+  return { title: `${label} ${version(to)} Runtime`, phrase: `moved ${label} from ${version(from)} to ${version(to)}`, icon: '🧰' };
+}
+
+/**
+ * One phase for a day's package manager and runtime updates
+ * e.g. "Switched to pnpm" or "Toolchain Setup" - "Adopted npm for dependency management and targeted Node.js v20"
+ */
+export function generateEnvironmentPhaseInfo(updates) {
+  const described = updates.map(describeUpdate);
+  const phrases = described.map(d => d.phrase);
+  const sentence = phrases.length <= 2 ? phrases.join(' and ') : `${phrases.slice(0, -1).join(', ')} and ${phrases[phrases.length - 1]}`;
+  const current = updates.filter(u => u.to);
+  const dropped = updates.filter(u => !u.to).map(u => u.from.tool);
+  
+  return {
+    title: described.length === 1 ? described[0].title : (updates.every(u => !u.from) ? 'Toolchain Setup' : 'Toolchain Update'),
+    description: sentence.charAt(0).toUpperCase() + sentence.slice(1),
+    icon: described.length === 1 ? described[0].icon : '🧰',
+    tools: current.map(u => u.to.tool),
+    versions: Object.fromEntries(current.filter(u => u.to.version).map(u => [u.to.tool, u.to.version])),
+    ...(dropped.length > 0 ? { retired: dropped } : {})
+  };
+}
@@ -8,14 +8,27 @@
  * - Derive from file paths and names, NOT commit messages
  * - Domain over Technical: "What business capability?" not "What layer?"
  * - DYNAMIC: No hardcoded domains - derive from actual file structure
+ * - Opt-in: newly exported symbols (detectors/symbols.js) name cards more precisely
  */
 
+import { symbolTerms, sortSymbols, describeSymbols } from './symbols.js';
+
+// Bump whenever per-commit detection changes so cached analyses are rebuilt
+export const DETECTOR_VERSION = 3;
+
 // =============================================================================
 // EXCLUDED FILES - Non-feature files
 // =============================================================================
 
 const EXCLUDED_FILES = [
   /package(-lock)?\.json$/,
+  /requirements.*\.txt$/,
+  /pyproject\.toml$/,
+  /go\.(mod|sum)$/,
+  /Cargo\.toml$/,
+  /pom\.xml$/,
+  /build\.gradle(\.kts)?$/,
+  /Gemfile$/,
   /yarn\.lock$/,
   /pnpm-lock\.yaml$/,
   /\.md$/,
@@ -420,32 +433,52 @@ function scoreDomains(candidates) {
 
 /**
  * Detect domains from file paths (dynamic, no hardcoded patterns)
+ * Files matching a project category rule's `files` patterns belong to that category
  */
-export function detectDomainFromFiles(files) {
+export function detectDomainFromFiles(files, categoryRules = []) {
   const sourceFiles = files.filter(f => isSourceFile(f));
   
   if (sourceFiles.length === 0) {
     return new Map();
   }
   
+  // Project categories claim their files first and lead the day
+  const domainMap = new Map();
+  const unclaimed = [];
+  for (const file of sourceFiles) {
+    const rule = categoryRules.find(r => r.files.some(rx => rx.test(file)));
+    if (!rule) {
+      unclaimed.push(file);
+      continue;
+    }
+    const name = rule.name || rule.title || rule.id;
+    if (!domainMap.has(name)) domainMap.set(name, { icon: rule.icon || inferIcon(name), files: [] });
+    domainMap.get(name).files.push(file);
+  }
+  
+  if (unclaimed.length === 0) {
+    return domainMap;
+  }
+  
   // Extract domain candidates from folder structure
-  const candidates = extractDomainCandidates(sourceFiles);
+  const candidates = extractDomainCandidates(unclaimed);
   
   if (candidates.size === 0) {
-    // Fallback: create generic domain from file changes
-    const fallback = new Map();
-    fallback.set('Code Updates', {
-      icon: '✨',
-      files: sourceFiles
-    });
-    return fallback;
+    // Fallback: create generic domain from file changes (unless a project category has the day)
+    if (domainMap.size === 0) {
+      domainMap.set('Code Updates', {
+        icon: '✨',
+        files: unclaimed
+      });
+    }
+    return domainMap;
   }
   
   // Score and convert to map
   const scored = scoreDomains(candidates);
-  const domainMap = new Map();
   
   for (const domain of scored) {
+    if (domainMap.has(domain.name)) continue;
     domainMap.set(domain.name, {
       icon: domain.icon,
       files: domain.files
@@ -455,6 +488,74 @@ export function detectDomainFromFiles(files) {
   return domainMap;
 }
 
+// =============================================================================
+// RESTRUCTURING DETECTION
+// =============================================================================
+
+// A rename that also rewrote much of the file is new work, not restructuring
+const MIN_MOVE_SIMILARITY = 80;
+
+/**
+ * Extract moved source files from a commit's file records
+ * Returns [{ from, to, similarity }] for renames (git status R) that kept most of the file
+ */
+export function extractMoves(files) {
+  return files
+    .filter(f => f.status === 'R' && f.oldPath && f.similarity >= MIN_MOVE_SIMILARITY && isSourceFile(f.path))
+    .map(f => ({ from: f.oldPath, to: f.path, similarity: f.similarity }));
+}
+
+/**
+ * Describe a single move in plain words
+ * E.g., "src/rules/a.js" → "src/engine/rules/a.js" = "Moved rules into engine"
+ */
+function describeMove({ from, to }) {
+  const fromParts = from.split('/');
+  const toParts = to.split('/');
+  const fromName = fromParts.pop().replace(/\.[^.]+$/, '');
+  const toName = toParts.pop().replace(/\.[^.]+$/, '');
+  
+  // Same folder - a plain rename
+  if (fromParts.join('/') === toParts.join('/')) {
+    return `Renamed ${fromName} to ${toName}`;
+  }
+  
+  // Subject is the folder that moved (or the file itself when moved from root)
+  const subject = fromParts.length > 0 ? fromParts[fromParts.length - 1] : fromName;
+  const targetParts = toParts[toParts.length - 1] === subject ? toParts.slice(0, -1) : toParts;
+  const target = targetParts.length > 0 ? targetParts[targetParts.length - 1] : 'project root';
+  
+  return `Moved ${subject} into ${target}`;
+}
+
+/**
+ * Generate a restructuring card for moved/renamed files
+ */
+function generateRestructuringInfo(moves) {
+  // Most common move first (e.g. a whole folder moving)
+  const counts = new Map();
+  for (const move of moves) {
+    const phrase = describeMove(move);
+    counts.set(phrase, (counts.get(phrase) || 0) + 1);
+  }
+  const phrases = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+  
+  const others = phrases.length - 1;
+  const fileCount = moves.length;
+  let description = phrases[0];
+  if (others > 0) description += ` and ${others} other move${others > 1 ? 's' : ''}`;
+  description += ` (${fileCount} file${fileCount > 1 ? 's' : ''})`;
+  
+  const tags = extractFileNames(moves.map(m => m.to));
+  
+  return {
+    title: 'Code Restructuring',
+    icon: '🏗️',
+    description,
+    tags: tags.length > 0 ? tags : extractFolderTags(moves.map(m => m.to))
+  };
+}
+
 // =============================================================================
 // PHASE INFO GENERATION
 // =============================================================================
@@ -462,10 +563,68 @@ export function detectDomainFromFiles(files) {
 /**
  * Generate feature phase info with improved titles, descriptions, and file-based tags
  * Can return MULTIPLE events for the same day if distinct features were touched
+ * Moved files produce a restructuring card instead of new features
+ * `symbols` (file → new exported symbols) takes over titles, descriptions and tags when set
+ */
+export function generateFeaturePhaseInfo(domains, libraries = [], changedFiles = [], moves = [], symbols = new Map()) {
+  if (moves.length === 0) {
+    return generateDomainPhaseInfo(domains, libraries, changedFiles, symbols);
+  }
+  
+  const restructuring = generateRestructuringInfo(moves);
+  if (domains.size === 0 && symbols.size === 0) {
+    return [restructuring];
+  }
+  
+  // Keep the day at max 3 cards
+  return [...generateDomainPhaseInfo(domains, libraries, changedFiles, symbols).slice(0, 2), restructuring];
+}
+
+/**
+ * Title, description and tags from the new symbols of a card's files, or null if there are none
+ * E.g. InvoiceList, InvoiceForm, createInvoice → "Invoice Management" - "Added InvoiceList and InvoiceForm components and createInvoice function"
+ */
+function generateSymbolInfo(files, symbols) {
+  const found = files.flatMap(file => symbols.get(file) || []);
+  if (found.length === 0) return null;
+  
+  const terms = symbolTerms(found);
+  let title = null;
+  if (terms.length === 1) title = makeDescriptiveTitle(terms[0]);
+  if (terms.length === 2) title = `${terms[0]} & ${terms[1]}`;
+  
+  return {
+    title,
+    description: describeSymbols(found),
+    tags: [...new Set(sortSymbols(found).map(s => s.name))].slice(0, 8)
+  };
+}
+
+/**
+ * Card for new symbols in files no domain claims, named after the symbols or else their files
  */
-export function generateFeaturePhaseInfo(domains, libraries = [], changedFiles = []) {
+function generateSymbolCard(files, symbolInfo) {
+  return {
+    title: symbolInfo.title || generateBusinessTitle(files) || 'Code Updates',
+    icon: '✨',
+    description: symbolInfo.description,
+    tags: symbolInfo.tags
+  };
+}
+
+function generateDomainPhaseInfo(domains, libraries, changedFiles, symbols) {
   const domainList = Array.from(domains.keys());
   
+  // Symbol-bearing files the path heuristic left out of every domain
+  const claimed = new Set(Array.from(domains.values()).flatMap(domain => domain.files || []));
+  const unclaimedFiles = Array.from(symbols.keys()).filter(file => !claimed.has(file));
+  const unclaimedInfo = generateSymbolInfo(unclaimedFiles, symbols);
+  
+  // Cards from the symbols alone when no domain claims their files
+  if (domainList.length === 0 && unclaimedInfo) {
+    return [generateSymbolCard(unclaimedFiles, unclaimedInfo)];
+  }
+  
   // If no domains detected, return generic update
   if (domainList.length === 0) {
     const fileTags = extractFileNames(changedFiles);
@@ -484,7 +643,9 @@ export function generateFeaturePhaseInfo(domains, libraries = [], changedFiles =
   if (domainList.length >= 3) {
     const events = [];
     
-    for (let i = 0; i < Math.min(3, domainList.length); i++) {
+    // Unclaimed symbols take the last of the 3 cards
+    const domainCards = unclaimedInfo ? 2 : 3;
+    for (let i = 0; i < domainCards; i++) {
       const domainName = domainList[i];
       const domainConfig = domains.get(domainName);
       const domainFiles = domainConfig.files || [];
@@ -499,13 +660,15 @@ export function generateFeaturePhaseInfo(domains, libraries = [], changedFiles =
       // Generate specific description
       const description = generateSpecificDescription(domainName, domainFiles);
       
+      const symbolInfo = generateSymbolInfo(domainFiles, symbols);
       events.push({
-        title: descriptiveTitle,
+        title: symbolInfo?.title || descriptiveTitle,
         icon: domainConfig.icon,
-        description,
-        tags: fileTags.length > 0 ? fileTags : [domainName.toLowerCase()]
+        description: symbolInfo?.description || description,
+        tags: symbolInfo?.tags || (fileTags.length > 0 ? fileTags : [domainName.toLowerCase()])
       });
     }
+    if (unclaimedInfo) events.push(generateSymbolCard(unclaimedFiles, unclaimedInfo));
     
     return events;
   }
@@ -536,11 +699,12 @@ export function generateFeaturePhaseInfo(domains, libraries = [], changedFiles =
     description = `Implemented ${primary.toLowerCase()} and ${other.toLowerCase()} features`;
   }
   
+  const symbolInfo = generateSymbolInfo([...allFiles, ...unclaimedFiles], symbols);
   return [{
-    title: descriptiveTitle,
+    title: symbolInfo?.title || descriptiveTitle,
     icon: primaryConfig.icon,
-    description,
-    tags: fileTags.length > 0 ? fileTags : [primary.toLowerCase()]
+    description: symbolInfo?.description || description,
+    tags: symbolInfo?.tags || (fileTags.length > 0 ? fileTags : [primary.toLowerCase()])
   }];
 }
 
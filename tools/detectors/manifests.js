@@ -0,0 +1,339 @@
+/**
+ * Manifest Parsers - dependencies introduced per ecosystem
+ *
+ * Each parser reads the diff of one manifest file and returns the dependencies
+ * ADDED by that diff with their declared versions; removals and version bumps
+ * run the same parser on the inverted diff. Parsers only see diffs (not full files), so section headers
+ * are tracked from both context and added lines.
+ *
+ * Results feed the per-commit analysis cache: bump DETECTOR_VERSION in
+ * tooling.js whenever a parser changes.
+ */
+
+import { extractAddedDependencies } from './tooling.js';
+
+// =============================================================================
+// DIFF HELPERS
+// =============================================================================
+
+/**
+ * Diff body lines as { added, text } (file headers and hunk headers dropped)
+ */
+function diffLines(diff) {
+  const lines = [];
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('+++') || line.startsWith('---') || line.startsWith('@@')) continue;
+    if (line.startsWith('+')) lines.push({ added: true, text: line.slice(1) });
+    else if (line.startsWith(' ')) lines.push({ added: false, text: line.slice(1) });
+  }
+  return lines;
+}
+
+/**
+ * Added entries of TOML dependency tables, e.g. [dependencies] serde = "1",
+ * [dependencies.tokio] or PEP 621 `dependencies = ["requests>=2"]` arrays
+ */
+function extractTomlDependencies(diff, { tablePattern, arrayPattern, ignore = [] }) {
+  const entries = [];
+  let section = '';
+  let dotted = null;
+  let inArray = false;
+  
+  for (const { added, text } of diffLines(diff)) {
+    const header = text.match(/^\s*\[([^\]]+)\]\s*$/);
+    if (header) {
+      section = header[1].trim();
+      inArray = false;
+      // [dependencies.serde] names the dependency in the header itself
+      const match = section.match(/^(.*dependencies)\.([A-Za-z0-9_-]+)$/);
+      dotted = match && tablePattern.test(match[1]) ? match[2] : null;
+      if (added && dotted) entries.push({ name: dotted, version: null });
+      continue;
+    }
+    
+    // version = "1.0" inside a [dependencies.serde] table (a bump leaves the header as context)
+    if (dotted) {
+      const version = text.match(/^\s*version\s*=\s*["']([^"']+)["']/);
+      if (added && version) entries.push({ name: dotted, version: version[1] });
+      continue;
+    }
+    
+    // PEP 621: dependencies = [ ... ] / optional-dependencies groups
+    const arrayStart = text.match(/^\s*([A-Za-z0-9_.-]+)\s*=\s*\[(.*)$/);
+    if (arrayPattern && arrayStart && arrayPattern.test(`${section}.${arrayStart[1]}`)) {
+      inArray = !arrayStart[2].includes(']');
+      if (added) entries.push(...quotedRequirements(arrayStart[2]));
+      continue;
+    }
+    if (inArray) {
+      if (added) entries.push(...quotedRequirements(text));
+      if (text.includes(']')) inArray = false;
+      continue;
+    }
+    
+    // Tables: name = "1.0" / name = { version = "1.0" }
+    if (added && tablePattern.test(section)) {
+      const entry = text.match(/^\s*([A-Za-z0-9_.-]+)\s*=\s*(?:["']([^"']+)["']|\{.*?\bversion\s*=\s*["']([^"']+)["'])?/);
+      if (entry && !ignore.includes(entry[1])) entries.push({ name: entry[1], version: entry[2] || entry[3] || null });
+    }
+  }
+  
+  return uniqueEntries(entries);
+}
+
+/**
+ * Swap added and removed lines, so an "added" parser reports removals
+ */
+function invertDiff(diff) {
+  return diff.split('\n').map(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) return line;
+    if (line.startsWith('+')) return `-${line.slice(1)}`;
+    if (line.startsWith('-')) return `+${line.slice(1)}`;
+    return line;
+  }).join('\n');
+}
+
+/**
+ * Entries from quoted PEP 508 requirements: "requests[socks]>=2.0"
+ */
+function quotedRequirements(text) {
+  return Array.from(
+    text.matchAll(/["']([A-Za-z0-9][A-Za-z0-9._-]*)(?:\[[^\]]*\])?\s*([=<>!~]=?[^;,"'\s]*)?/g),
+    m => ({ name: m[1], version: m[2] || null })
+  );
+}
+
+/**
+ * One entry per name, keeping the first declared version
+ */
+function uniqueEntries(entries) {
+  const byName = new Map();
+  for (const entry of entries) {
+    if (!byName.has(entry.name) || (!byName.get(entry.name).version && entry.version)) {
+      byName.set(entry.name, entry);
+    }
+  }
+  return Array.from(byName.values());
+}
+
+// =============================================================================
+// ECOSYSTEM PARSERS
+// =============================================================================
+// Each returns [{ name, version }] for the dependencies a diff adds, where
+// `version` is the declared range ("^18.2.0", "~> 7.0") or null.
+
+function extractPackageJson(diff) {
+  const versions = new Map();
+  for (const { added, text } of diffLines(diff)) {
+    const match = added && text.match(/^\s*["']([^"']+)["']\s*:\s*["']([^"']*)["']/);
+    if (match && !versions.has(match[1])) versions.set(match[1], match[2]);
+  }
+  return extractAddedDependencies(diff).map(name => ({ name, version: versions.get(name) || null }));
+}
+
+function extractRequirementsTxt(diff) {
+  const entries = [];
+  for (const { added, text } of diffLines(diff)) {
+    // Skip comments, options (-r, -e, --index-url) and URLs
+    if (!added || /^\s*(#|-|$)/.test(text) || /:\/\//.test(text)) continue;
+    const match = text.match(/^\s*([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*([=<>!~]=?\s*[^;#,\s]+)?/);
+    if (match) entries.push({ name: match[1], version: match[2]?.replace(/\s+/g, '') || null });
+  }
+  return uniqueEntries(entries);
+}
+
+function extractPyproject(diff) {
+  return extractTomlDependencies(diff, {
+    // Poetry: [tool.poetry.dependencies], [tool.poetry.group.dev.dependencies]
+    tablePattern: /^tool\.poetry\.(dev-)?dependencies$|^tool\.poetry\.group\.[^.]+\.dependencies$/,
+    // PEP 621: [project] dependencies, [project.optional-dependencies] groups, [build-system] requires
+    arrayPattern: /^project\.dependencies$|^project\.optional-dependencies\.|^build-system\.requires$/,
+    ignore: ['python']
+  });
+}
+
+function extractCargoToml(diff) {
+  return extractTomlDependencies(diff, {
+    tablePattern: /^((target\..+|workspace)\.)?(dev-|build-)?dependencies$/
+  });
+}
+
+function extractGoMod(diff) {
+  const entries = [];
+  let inRequire = false;
+  for (const { added, text } of diffLines(diff)) {
+    if (/^\s*require\s*\(/.test(text)) {
+      inRequire = true;
+      continue;
+    }
+    if (inRequire && /^\s*\)/.test(text)) {
+      inRequire = false;
+      continue;
+    }
+    
+    // Indirect requirements are transitive, not chosen by the project
+    if (!added || /\/\/\s*indirect/.test(text)) continue;
+    const match = inRequire
+      ? text.match(/^\s*([^\s()]+)\s+(v\S+)/)
+      : text.match(/^\s*require\s+([^\s()]+)\s+(v\S+)/);
+    if (match) entries.push({ name: match[1], version: match[2] });
+  }
+  return uniqueEntries(entries);
+}
+
+function extractPomXml(diff) {
+  const entries = [];
+  // Open <dependency>/<plugin> blocks; a bump only adds the <version> line
+  const blocks = [];
+  const close = (block) => {
+    if (block.added && block.name) entries.push({ name: block.name, version: block.version });
+  };
+  
+  for (const { added, text } of diffLines(diff)) {
+    // Only artifacts inside <dependency> or <plugin> blocks (not the project's own)
+    if (/<(dependency|plugin)>/.test(text)) blocks.push({ name: null, version: null, added: false });
+    const block = blocks[blocks.length - 1];
+    const artifact = text.match(/<artifactId>\s*([^<\s]+)\s*<\/artifactId>/);
+    const version = text.match(/<version>\s*([^<\s]+)\s*<\/version>/);
+    if (block && artifact && !block.name) {
+      block.name = artifact[1];
+      block.added ||= added;
+    }
+    if (block && version && !block.version) {
+      block.version = version[1];
+      block.added ||= added;
+    }
+    if (/<\/(dependency|plugin)>/.test(text) && blocks.length > 0) close(blocks.pop());
+  }
+  // Blocks cut off by the end of a hunk
+  blocks.forEach(close);
+  
+  return uniqueEntries(entries);
+}
+
+function extractGradle(diff) {
+  const entries = [];
+  const configurations = 'implementation|api|compileOnly|runtimeOnly|testImplementation|testRuntimeOnly|testCompileOnly|annotationProcessor|kapt|ksp|developmentOnly|compile|testCompile';
+  const dependency = new RegExp(`^\\s*(${configurations})\\s*\\(?\\s*["']([^:"']+):([^:"']+)(?::([^:"']+))?`);
+  for (const { added, text } of diffLines(diff)) {
+    if (!added) continue;
+    const dep = text.match(dependency);
+    if (dep) {
+      entries.push({ name: dep[3], version: dep[4] || null });
+      continue;
+    }
+    
+    // plugins { id 'org.springframework.boot' version '3.2.0' }
+    const plugin = text.match(/^\s*id\s*\(?\s*["']([^"']+)["']\s*\)?(?:\s*version\s*\(?\s*["']([^"']+)["'])?/);
+    if (plugin) entries.push({ name: plugin[1], version: plugin[2] || null });
+  }
+  return uniqueEntries(entries);
+}
+
+function extractGemfile(diff) {
+  const entries = [];
+  for (const { added, text } of diffLines(diff)) {
+    // gem 'rails', '~> 7.0'
+    const match = added && text.match(/^\s*gem\s*\(?\s*["']([^"']+)["'](?:\s*,\s*["']([~<>=!\s]*\d[^"']*)["'])?/);
+    if (match) entries.push({ name: match[1], version: match[2] || null });
+  }
+  return uniqueEntries(entries);
+}
+
+// =============================================================================
+// PARSER REGISTRY
+// =============================================================================
+
+/**
+ * `files` are pathspec globs for git; `pattern` matches a manifest's basename
+ */
+const MANIFEST_PARSERS = [
+  { ecosystem: 'npm', files: ['package.json'], pattern: /^package\.json$/, extract: extractPackageJson },
+  { ecosystem: 'python', files: ['requirements*.txt'], pattern: /^requirements.*\.txt$/, extract: extractRequirementsTxt },
+  { ecosystem: 'python', files: ['pyproject.toml'], pattern: /^pyproject\.toml$/, extract: extractPyproject },
+  { ecosystem: 'go', files: ['go.mod'], pattern: /^go\.mod$/, extract: extractGoMod },
+  { ecosystem: 'rust', files: ['Cargo.toml'], pattern: /^Cargo\.toml$/, extract: extractCargoToml },
+  { ecosystem: 'java', files: ['pom.xml'], pattern: /^pom\.xml$/, extract: extractPomXml },
+  { ecosystem: 'java', files: ['build.gradle', 'build.gradle.kts'], pattern: /^build\.gradle(\.kts)?$/, extract: extractGradle },
+  { ecosystem: 'ruby', files: ['Gemfile'], pattern: /^Gemfile$/, extract: extractGemfile },
+];
+
+/**
+ * Add support for another manifest format
+ * e.g. registerManifestParser({ ecosystem: 'php', files: ['composer.json'], pattern: /^composer\.json$/, extract })
+ * `extract(diff)` returns added dependency names, or [{ name, version }] to support version bumps
+ */
+export function registerManifestParser(parser) {
+  MANIFEST_PARSERS.push(parser);
+}
+
+/**
+ * Manifest file globs to collect diffs for
+ */
+export function getManifestFiles() {
+  return [...new Set(MANIFEST_PARSERS.flatMap(p => p.files))];
+}
+
+export function findManifestParser(manifestPath) {
+  const basename = manifestPath.split('/').pop();
+  return MANIFEST_PARSERS.find(p => p.pattern.test(basename)) || null;
+}
+
+/**
+ * Ecosystem of a manifest ("npm", "python", ...), or null for unknown files
+ */
+export function getManifestEcosystem(manifestPath) {
+  return findManifestParser(manifestPath)?.ecosystem || null;
+}
+
+/**
+ * [{ name, version }] added by a diff (plain names from custom parsers have no version)
+ */
+function extractEntries(parser, diff) {
+  return parser.extract(diff).map(entry => (typeof entry === 'string' ? { name: entry, version: null } : entry));
+}
+
+/**
+ * Dependencies added by one manifest diff, whatever its ecosystem
+ */
+export function extractManifestDependencies(manifestPath, diff) {
+  const parser = findManifestParser(manifestPath);
+  return parser ? extractEntries(parser, diff).map(entry => entry.name) : [];
+}
+
+/**
+ * Declared versions of the dependencies a manifest diff adds: { name: "^18.2.0" }
+ */
+export function extractManifestVersions(manifestPath, diff) {
+  const parser = findManifestParser(manifestPath);
+  if (!parser) return {};
+  
+  return Object.fromEntries(
+    extractEntries(parser, diff).filter(entry => entry.version).map(entry => [entry.name, entry.version])
+  );
+}
+
+/**
+ * Dependencies removed by one manifest diff. Version bumps and moves between
+ * sections remove and add the same name, so they don't count.
+ */
+export function extractManifestRemovals(manifestPath, diff) {
+  const parser = findManifestParser(manifestPath);
+  if (!parser) return [];
+  
+  const added = new Set(extractEntries(parser, diff).map(entry => entry.name));
+  return extractEntries(parser, invertDiff(diff)).map(entry => entry.name).filter(name => !added.has(name));
+}
+
+/**
+ * Version bumps in one manifest diff: [{ name, from, to }] with the declared ranges
+ */
+export function extractVersionChanges(manifestPath, diff) {
+  const parser = findManifestParser(manifestPath);
+  if (!parser) return [];
+  
+  const previous = new Map(extractEntries(parser, invertDiff(diff)).map(entry => [entry.name, entry.version]));
+  return extractEntries(parser, diff)
+    .filter(entry => entry.version && previous.get(entry.name) && previous.get(entry.name) !== entry.version)
+    .map(entry => ({ name: entry.name, from: previous.get(entry.name), to: entry.version }));
+}
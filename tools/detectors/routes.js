@@ -0,0 +1,373 @@
+/**
+ * Route Detection - HTTP endpoints from route definitions
+ *
+ * Commit patches are read for route registrations, so the API timeline shows
+ * when each endpoint appeared, changed and went away:
+ * - Express, Fastify, Koa-router and Hono style calls: app.get('/users', ...)
+ * - Next.js route handlers (app/api/users/route.ts exporting GET, POST...)
+ *   and API routes (pages/api/users.ts)
+ * - NestJS controllers: @Controller('users') with @Get(':id') handlers
+ *
+ * Results are cached per commit hash in .timeline/: bump DETECTOR_VERSION
+ * whenever extraction changes.
+ */
+
+// Bump whenever route extraction changes so cached routes are rebuilt
+export const DETECTOR_VERSION = 1;
+
+const ROUTE_FILE = /\.[cm]?[jt]sx?$/;
+const NOT_ROUTE_FILE = /\.d\.[cm]?ts$|\.(test|spec|stories)\.[cm]?[jt]sx?$|(^|\/)(__tests__|__mocks__|node_modules|dist|build|\.next)\//;
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'all'];
+const METHOD = METHODS.join('|');
+
+// Objects routes are registered on; HTTP clients (axios, fetch wrappers) are left out
+const ROUTER_NAME = /^(app|server|fastify|router|routes|api|hono|[\w$]+(Router|Routes|App|Server))$/;
+
+// router.get('/users/:id', handler) - the handler argument tells it apart from a client call
+const CALL_ROUTE = new RegExp(`([A-Za-z_$][\\w$]*)\\.(${METHOD})\\s*\\(\\s*(['"\`])(\\/[^'"\`$]*)\\3\\s*,`, 'gi');
+// router.route('/users').get(list).post(create)
+const CHAINED_ROUTE = /([A-Za-z_$][\w$]*)\.route\(\s*(['"`])(\/[^'"`$]*)\2\s*\)((?:\s*\.\w+\s*\([^)]*\))+)/;
+// fastify.route({ method: 'GET', url: '/users', ... }) on one line
+const OBJECT_ROUTE = /\.route\(\s*\{([^}]*)\}/;
+
+// Next.js route handlers and API routes
+const APP_ROUTE_FILE = /(^|\/)app\/((?:[^/]+\/)*)route\.[cm]?[jt]s$/;
+const PAGES_API_FILE = /(^|\/)pages\/(api(?:\/[^/]+)*)\.[cm]?[jt]sx?$/;
+const HANDLER_EXPORT = /^\s*export\s+(?:(?:async\s+)?function\s*|(?:const|let|var)\s+)(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\b/;
+const HANDLER_LIST = /^\s*export\s*\{([^}]*)\}/;
+
+// NestJS
+const NEST_CONTROLLER = /@Controller\(\s*(?:(['"`])([^'"`]*)\1|\{[^}]*\bpath\s*:\s*(['"`])([^'"`]*)\3[^}]*\})?\s*\)/;
+const NEST_ROUTE = /@(Get|Post|Put|Patch|Delete|Head|Options|All)\(\s*(?:(['"`])([^'"`]*)\2)?\s*\)/;
+
+/**
+ * Whether a changed file is read for routes
+ */
+export function isRouteSource(filePath) {
+  return ROUTE_FILE.test(filePath) && !NOT_ROUTE_FILE.test(filePath);
+}
+
+/**
+ * "/users/" → "/users", "users//:id" → "/users/:id"
+ */
+function normalizePath(...parts) {
+  const joined = parts.filter(Boolean).join('/').replace(/\/{2,}/g, '/').replace(/^\/?/, '/');
+  return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+}
+
+/**
+ * URL path of a Next.js file route: route groups and parallel slots are dropped,
+ * [id] → :id, [...slug] and [[...slug]] → *slug, index files name their folder
+ */
+function fileRoutePath(segments) {
+  const parts = segments.split('/')
+    .filter(segment => segment && !/^\(.*\)$/.test(segment) && !segment.startsWith('@'))
+    .map(segment => segment
+      .replace(/^\[\[?\.\.\.(.+?)\]?\]$/, '*$1')
+      .replace(/^\[(.+)\]$/, ':$1'));
+  if (parts[parts.length - 1] === 'index') parts.pop();
+  return normalizePath(...parts);
+}
+
+/**
+ * URL path a Next.js route file serves, or null for other files
+ */
+function fileRoute(filePath) {
+  const match = filePath.match(APP_ROUTE_FILE) || filePath.match(PAGES_API_FILE);
+  return match ? fileRoutePath(match[2]) : null;
+}
+
+// =============================================================================
+// PER-COMMIT ROUTES
+// =============================================================================
+
+/**
+ * Routes registered on one line of code: [{ method, path }]
+ */
+function readCallRoutes(text) {
+  const routes = [];
+  const chained = text.match(CHAINED_ROUTE);
+  if (chained && ROUTER_NAME.test(chained[1])) {
+    for (const [, method] of chained[4].matchAll(/\.(\w+)\s*\(/g)) {
+      if (METHODS.includes(method.toLowerCase())) routes.push({ method: method.toUpperCase(), path: normalizePath(chained[3]) });
+    }
+    return routes;
+  }
+  
+  const object = text.match(OBJECT_ROUTE);
+  if (object) {
+    const method = object[1].match(/\bmethod\s*:\s*['"`](\w+)['"`]/);
+    const url = object[1].match(/\b(?:url|path)\s*:\s*['"`](\/[^'"`$]*)['"`]/);
+    if (method && url) routes.push({ method: method[1].toUpperCase(), path: normalizePath(url[1]) });
+    return routes;
+  }
+  
+  for (const [, receiver, method, , routePath] of text.matchAll(CALL_ROUTE)) {
+    if (ROUTER_NAME.test(receiver)) routes.push({ method: method.toUpperCase(), path: normalizePath(routePath) });
+  }
+  return routes;
+}
+
+/**
+ * HTTP methods exported by a Next.js route handler line
+ */
+function readHandlerExports(text) {
+  const single = text.match(HANDLER_EXPORT);
+  if (single) return [single[1]];
+  const list = text.match(HANDLER_LIST);
+  if (!list) return [];
+  return list[1].split(',')
+    .map(entry => entry.trim().split(/\s+as\s+/).pop().trim())
+    .filter(name => /^(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)$/.test(name));
+}
+
+/**
+ * Route changes of one file in a patch
+ */
+function readFile({ oldPath, newPath, status, lines }) {
+  const filePath = newPath || oldPath;
+  const routes = [];
+  const controllers = [];
+  
+  // Next.js API routes are whole files: one endpoint each, for any method
+  if (PAGES_API_FILE.test(filePath) && (status === 'A' || status === 'D')) {
+    routes.push({ method: 'ANY', path: fileRoute(filePath), file: filePath, line: '', removed: status === 'D' });
+  }
+  
+  const handlerPath = APP_ROUTE_FILE.test(filePath) ? fileRoute(filePath) : null;
+  for (const line of lines) {
+    const removed = line.startsWith('-');
+    const text = line.slice(1).trim();
+    // Routes in comments and doc examples are not registered
+    if (/^(\/\/|\/?\*)/.test(text)) continue;
+  
+    if (handlerPath) {
+      readHandlerExports(text).forEach(method => routes.push({ method, path: handlerPath, file: filePath, line: text, removed }));
+      continue;
+    }
+  
+    const controller = text.match(NEST_CONTROLLER);
+    if (controller) {
+      controllers.push({ file: filePath, prefix: normalizePath(controller[2] ?? controller[4] ?? ''), removed });
+      continue;
+    }
+    const nest = text.match(NEST_ROUTE);
+    if (nest) {
+      routes.push({ method: nest[1].toUpperCase(), path: normalizePath(nest[3] || ''), file: filePath, line: text, removed, controller: true });
+      continue;
+    }
+    readCallRoutes(text).forEach(route => routes.push({ ...route, file: filePath, line: text, removed }));
+  }
+  
+  return { routes, controllers };
+}
+
+/**
+ * Route changes in a commit's patch (as printed by `git show`):
+ * { moves: [{ from, to }], routes: [{ method, path, file, line, removed, controller? }], controllers: [{ file, prefix, removed }] }
+ * Renamed files keep the routes of their unchanged lines (`moves`).
+ * NestJS handler paths are relative to their controller (`controller: true`),
+ * whose prefix may come from an earlier commit.
+ */
+export function extractRouteChanges(diff) {
+  const files = [];
+  let file = null;
+  
+  for (const line of (diff || '').split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      file = { oldPath: null, newPath: null, status: 'M', lines: [] };
+      files.push(file);
+      continue;
+    }
+    if (!file) continue;
+    if (line.startsWith('new file mode')) file.status = 'A';
+    else if (line.startsWith('deleted file mode')) file.status = 'D';
+    else if (line.startsWith('rename from ')) Object.assign(file, { status: 'R', oldPath: line.slice(12) });
+    else if (line.startsWith('rename to ')) file.newPath = line.slice(10);
+    else if (line.startsWith('--- ')) file.oldPath = line.startsWith('--- a/') ? line.slice(6) : file.oldPath;
+    else if (line.startsWith('+++ ')) file.newPath = line.startsWith('+++ b/') ? line.slice(6) : null;
+    else if (/^[+-]/.test(line)) file.lines.push(line);
+  }
+  
+  const moves = [];
+  const routes = [];
+  const controllers = [];
+  for (const f of files) {
+    if (f.status === 'D') f.newPath = null;
+    if (f.status === 'R' && isRouteSource(f.oldPath)) moves.push({ from: f.oldPath, to: f.newPath });
+    if (!(f.newPath || f.oldPath) || !isRouteSource(f.newPath || f.oldPath)) continue;
+    const found = readFile(f);
+    routes.push(...found.routes);
+    controllers.push(...found.controllers);
+  }
+  
+  return { moves, routes, controllers };
+}
+
+// =============================================================================
+// ROUTE STATE
+// =============================================================================
+
+/**
+ * Empty state for a timeline run: where each endpoint is defined, NestJS controller prefixes
+ */
+export function createRouteState() {
+  return { endpoints: new Map(), controllers: new Map() };
+}
+
+const endpointKey = ({ method, path }) => `${method} ${path}`;
+
+/**
+ * Definition lines of an endpoint, to tell edits from moves
+ */
+function definitions(files) {
+  return files ? Array.from(files.values()).sort().join('\n') : null;
+}
+
+function setDefinition(state, key, file, line) {
+  if (!state.endpoints.has(key)) state.endpoints.set(key, new Map());
+  state.endpoints.get(key).set(file, line);
+}
+
+function deleteDefinition(state, key, file) {
+  const files = state.endpoints.get(key);
+  files?.delete(file);
+  if (files?.size === 0) state.endpoints.delete(key);
+}
+
+/**
+ * Carry a renamed file's definitions over; Next.js route files serve their new path
+ */
+function moveFile(state, { from, to }, touch) {
+  if (state.controllers.has(from)) {
+    state.controllers.set(to, state.controllers.get(from));
+    state.controllers.delete(from);
+  }
+  for (const [key, files] of Array.from(state.endpoints)) {
+    if (!files.has(from)) continue;
+    const line = files.get(from);
+    const method = key.slice(0, key.indexOf(' '));
+    const movedPath = fileRoute(from) ? fileRoute(to) : key.slice(method.length + 1);
+    touch(key);
+    deleteDefinition(state, key, from);
+    // A route file moved out of app/ or pages/api no longer serves anything
+    if (!movedPath) continue;
+    const movedKey = endpointKey({ method, path: movedPath });
+    touch(movedKey);
+    setDefinition(state, movedKey, to, line);
+  }
+}
+
+/**
+ * Apply one day's changes (oldest first, one extractRouteChanges() result per commit) to `state`
+ * Returns { added, changed, removed } endpoints as [{ method, path, file }]
+ * An endpoint defined again with a different line is changed; moved unchanged is not.
+ */
+export function applyRouteChanges(state, changes) {
+  const before = new Map();
+  const touch = key => {
+    if (!before.has(key)) before.set(key, definitions(state.endpoints.get(key)));
+  };
+  
+  for (const { moves, routes, controllers } of changes) {
+    moves.forEach(move => moveFile(state, move, touch));
+    // Controllers removed with their handlers still give those handlers their prefix
+    controllers.filter(c => !c.removed).forEach(c => state.controllers.set(c.file, c.prefix));
+  
+    // Removed lines first, so a line moved within its file stays defined
+    for (const route of [...routes.filter(r => r.removed), ...routes.filter(r => !r.removed)]) {
+      const key = endpointKey(route.controller
+        ? { ...route, path: normalizePath(state.controllers.get(route.file), route.path) }
+        : route);
+      touch(key);
+      if (route.removed) deleteDefinition(state, key, route.file);
+      else setDefinition(state, key, route.file, route.line);
+    }
+  
+    controllers.filter(c => c.removed && !controllers.some(o => !o.removed && o.file === c.file))
+      .forEach(c => state.controllers.delete(c.file));
+  }
+  
+  const update = { added: [], changed: [], removed: [] };
+  for (const [key, was] of before) {
+    const files = state.endpoints.get(key);
+    const now = definitions(files);
+    const method = key.slice(0, key.indexOf(' '));
+    const endpoint = { method, path: key.slice(method.length + 1), file: files ? Array.from(files.keys())[0] : null };
+    if (was === null && now !== null) update.added.push(endpoint);
+    else if (was !== null && now === null) update.removed.push(endpoint);
+    else if (was !== now) update.changed.push(endpoint);
+  }
+  return update;
+}
+
+/**
+ * Whether a day's update is worth a phase
+ */
+export function hasRouteUpdate(update) {
+  return update.added.length > 0 || update.changed.length > 0 || update.removed.length > 0;
+}
+
+// =============================================================================
+// PHASE INFO GENERATION
+// =============================================================================
+
+function joinPhrases(phrases) {
+  return phrases.length <= 2 ? phrases.join(' and ') : `${phrases.slice(0, -1).join(', ')} and ${phrases[phrases.length - 1]}`;
+}
+
+/**
+ * Resource an endpoint belongs to: its first path segment past api/version prefixes
+ * "/api/v1/users/:id" → "Users"
+ */
+function resourceOf({ path }) {
+  const segment = path.split('/')
+    .find(part => part && !/^(api|rest|v\d+)$/i.test(part) && !/^[:*]/.test(part));
+  if (!segment) return 'Root';
+  return segment.split(/[-_.]+/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+export function formatEndpoint({ method, path }) {
+  return `${method} ${path}`;
+}
+
+function listEndpoints(endpoints) {
+  const shown = endpoints.slice(0, 3).map(formatEndpoint);
+  return joinPhrases(endpoints.length > 3 ? [...shown, `${endpoints.length - 3} more`] : shown);
+}
+
+/**
+ * One phase for a day's endpoint update
+ * e.g. "Users API" - "Added GET /users and POST /users, changed DELETE /orders/:id"
+ */
+export function generateApiPhaseInfo({ added, changed, removed }) {
+  const phrases = [];
+  if (added.length > 0) phrases.push(`added ${listEndpoints(added)}`);
+  if (changed.length > 0) phrases.push(`changed ${listEndpoints(changed)}`);
+  if (removed.length > 0) phrases.push(`removed ${listEndpoints(removed)}`);
+  const sentence = phrases.join(', ');
+  
+  // Title by resource: the new ones when there are any, else what changed or went away
+  const shown = added.length > 0 ? added : changed.length > 0 ? changed : removed;
+  const resources = [...new Set(shown.map(resourceOf))];
+  let title = resources.length === 1 ? `${resources[0]} API` : resources.length === 2 ? `${resources[0]} & ${resources[1]} APIs` : null;
+  let icon = '🔌';
+  if (added.length === 0 && changed.length > 0) {
+    title = title ? `Updated ${title}` : 'API Updates';
+    icon = '🛠️';
+  } else if (added.length === 0) {
+    title = title ? `Removed ${title}` : 'Retired Endpoints';
+    icon = '🧹';
+  } else if (!title) {
+    title = 'New API Endpoints';
+  }
+  
+  return {
+    title,
+    description: sentence.charAt(0).toUpperCase() + sentence.slice(1),
+    icon,
+    tools: [...added, ...changed].map(formatEndpoint),
+    retired: removed.map(formatEndpoint)
+  };
+}
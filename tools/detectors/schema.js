@@ -0,0 +1,501 @@
+/**
+ * Schema Detection - tables, models and columns from migrations and schema files
+ *
+ * Commit patches are read for the entities they introduce, so the data model
+ * timeline shows when each table or model appeared and grew:
+ * - Migrations (append-only: only their added "up" code counts): Prisma
+ *   migrations/…/migration.sql, Drizzle Kit and Rails-style timestamped SQL,
+ *   Knex, Sequelize and TypeORM migration files
+ * - Schema files (declarative: added and removed lines count): Prisma
+ *   schema.prisma models, Drizzle pgTable/mysqlTable/sqliteTable definitions
+ *
+ * Results are cached per commit hash in .timeline/: bump DETECTOR_VERSION
+ * whenever extraction changes.
+ */
+
+// Bump whenever schema extraction changes so cached entities are rebuilt
+export const DETECTOR_VERSION = 1;
+
+const PRISMA_FILE = /\.prisma$/;
+const SCRIPT_FILE = /\.[cm]?[jt]s$/;
+const MIGRATION_FILE = /(^|\/)(migrations|migrate)\/.+\.(sql|[cm]?[jt]s)$|(^|\/)drizzle\/[^/]+\.sql$|(^|\/)(\d{8,}[_-][\w.-]+|V\d+(\.\d+)*__[\w.-]+)\.sql$/;
+const DOWN_MIGRATION_FILE = /[._-]down\.sql$/;
+// Drizzle tables are usually defined under db/ or in a schema file; the contents decide
+const DRIZZLE_CANDIDATE = /(^|\/)(db|database|drizzle|schema|schemas)\/|schema\.[cm]?[jt]s$/;
+const NOT_SCHEMA_FILE = /\.d\.[cm]?ts$|\.(test|spec)\.[cm]?[jt]s$|(^|\/)(__tests__|__mocks__|node_modules|dist|build)\//;
+
+// Migration sections that undo the migration
+const DOWN_SECTION = /\bexports\.down\b|\bdown\s*[:(=]|\basync\s+down\b|^\s*--\s*(migrate:down|\+goose\s+down)/i;
+const UP_SECTION = /\bexports\.up\b|\bup\s*[:(=]|\basync\s+up\b|^\s*--\s*(migrate:up|\+goose\s+up)/i;
+
+// SQL
+const SQL_NAME = '(?:[`"\\[]?\\w+[`"\\]]?\\.)?[`"\\[]?(\\w+)[`"\\]]?';
+const SQL_CREATE_TABLE = new RegExp(`CREATE\\s+(?:UNLOGGED\\s+|TEMP(?:ORARY)?\\s+)?TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?${SQL_NAME}\\s*\\((.*)$`, 'i');
+const SQL_DROP_TABLE = new RegExp(`DROP\\s+TABLE\\s+(?:IF\\s+EXISTS\\s+)?${SQL_NAME}`, 'i');
+const SQL_ALTER_TABLE = new RegExp(`ALTER\\s+TABLE\\s+(?:ONLY\\s+)?(?:IF\\s+EXISTS\\s+)?${SQL_NAME}\\s*(.*)$`, 'i');
+const SQL_ADD_COLUMN = /^\s*,?\s*ADD\s+(?:COLUMN\s+)?(?:IF\s+NOT\s+EXISTS\s+)?[`"[]?(\w+)[`"\]]?/i;
+const SQL_DROP_COLUMN = /^\s*,?\s*DROP\s+(?:COLUMN\s+)?(?:IF\s+EXISTS\s+)?[`"[]?(\w+)[`"\]]?/i;
+const SQL_COLUMN = /^\s*[`"[]?([A-Za-z_]\w*)[`"\]]?\s+[A-Za-z]/;
+const SQL_NOT_COLUMN = /^(constraint|primary|unique|foreign|key|index|check|exclude|like|period|fulltext|spatial|table|column|if)$/i;
+
+// Knex, Sequelize and TypeORM migrations
+const QUOTED = '[\'"`](\\w+)[\'"`]';
+const CREATE_TABLE_CALL = new RegExp(`\\.createTable(?:IfNotExists)?\\(\\s*${QUOTED}`);
+const ALTER_TABLE_CALL = new RegExp(`\\.(?:alterTable|table)\\(\\s*${QUOTED}`);
+const DROP_TABLE_CALL = new RegExp(`\\.dropTable(?:IfExists)?\\(\\s*${QUOTED}`);
+const ADD_COLUMN_CALL = new RegExp(`\\.addColumn\\(\\s*${QUOTED}\\s*,\\s*(?:${QUOTED}|new\\s+TableColumn\\(\\s*\\{\\s*name\\s*:\\s*${QUOTED})`);
+const REMOVE_COLUMN_CALL = new RegExp(`\\.(?:removeColumn|dropColumn)\\(\\s*(?:${QUOTED}\\s*,\\s*)?${QUOTED}\\s*\\)`);
+const KNEX_COLUMN = new RegExp(`\\b[\\w$]+\\.(?:string|text|integer|bigInteger|tinyint|smallint|mediumint|bigint|increments|bigIncrements|boolean|date|datetime|time|timestamp|decimal|float|double|uuid|json|jsonb|binary|enu|enum|specificType|geometry|point)\\(\\s*${QUOTED}`);
+const TYPEORM_TABLE = /new\s+Table\(\s*\{/;
+const NAME_PROPERTY = new RegExp(`^\\s*\\{?\\s*name\\s*:\\s*${QUOTED}`);
+const OBJECT_KEY = /^(\s*)['"]?([A-Za-z_$][\w$]*)['"]?\s*:\s*\{/;
+
+// Prisma and Drizzle schemas
+const PRISMA_BLOCK = /^(model|view|enum|type|generator|datasource)\s+(\w+)\s*\{/;
+const PRISMA_FIELD = /^\s+([A-Za-z_]\w*)\s+([A-Za-z_][\w.]*)(\[\])?\??(\s|$)/;
+const PRISMA_SCALAR = /^(String|Int|BigInt|Float|Decimal|Boolean|DateTime|Json|Bytes|Unsupported)$/;
+const DRIZZLE_TABLE = /(?:const|let)\s+[\w$]+\s*=\s*(?:pg|mysql|sqlite|singlestore)Table\(\s*['"`](\w+)['"`]/;
+const DRIZZLE_COLUMN = /^\s+([A-Za-z_$][\w$]*)\s*:\s*[\w$.]+\(/;
+
+/**
+ * Whether a changed file is read for entities
+ */
+export function isSchemaSource(filePath) {
+  if (NOT_SCHEMA_FILE.test(filePath)) return false;
+  return PRISMA_FILE.test(filePath) || MIGRATION_FILE.test(filePath) ||
+    (SCRIPT_FILE.test(filePath) && DRIZZLE_CANDIDATE.test(filePath));
+}
+
+/**
+ * Key an entity or column is matched by across sources: "users", "User" and
+ * "user" are one entity, "created_at" and "createdAt" one column
+ */
+export function entityKey(name) {
+  const key = name.toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (key.endsWith('ies') && key.length > 4) return `${key.slice(0, -3)}y`;
+  if (/(ss|x|ch|sh)es$/.test(key)) return key.slice(0, -2);
+  if (key.endsWith('s') && !key.endsWith('ss') && key.length > 3) return key.slice(0, -1);
+  return key;
+}
+
+function columnKey(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// =============================================================================
+// PER-COMMIT ENTITIES
+// =============================================================================
+
+/**
+ * Entity changes of one commit, merged by entity
+ */
+function createCollector() {
+  const entities = new Map();
+  const entity = (name, kind) => {
+    const key = entityKey(name);
+    if (!entities.has(key)) {
+      entities.set(key, { name, kind, created: false, dropped: false, columns: [], droppedColumns: [] });
+    }
+    // Prisma model names read better than the tables they map to
+    if (kind === 'model') Object.assign(entities.get(key), { name, kind });
+    return entities.get(key);
+  };
+  
+  return {
+    create: (name, kind) => { entity(name, kind).created = true; },
+    drop: (name, kind) => { entity(name, kind).dropped = true; },
+    addColumn: (name, kind, column) => { entity(name, kind).columns.push(column); },
+    dropColumn: (name, kind, column) => { entity(name, kind).droppedColumns.push(column); },
+  
+    // An entity both dropped and created in one commit was only edited
+    result: () => Array.from(entities.values()).map(e => {
+      const columns = [...new Set(e.columns)];
+      const droppedColumns = [...new Set(e.droppedColumns)];
+      const edited = e.created && e.dropped;
+      return {
+        ...e,
+        created: e.created && !edited,
+        dropped: e.dropped && !edited,
+        columns: columns.filter(c => !droppedColumns.some(d => columnKey(d) === columnKey(c))),
+        droppedColumns: droppedColumns.filter(d => !columns.some(c => columnKey(c) === columnKey(d)))
+      };
+    })
+  };
+}
+
+/**
+ * Column names of SQL column definitions, skipping constraints:
+ * { names, closed } where `closed` tells the statement's closing parenthesis was reached
+ */
+function sqlColumns(definitions) {
+  const names = [];
+  let depth = 0;
+  let current = '';
+  for (const char of definitions) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (depth < 0) break;
+    if (char === ',' && depth === 0) {
+      names.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  names.push(current);
+  
+  return {
+    names: names.map(definition => definition.match(SQL_COLUMN)?.[1]).filter(name => name && !SQL_NOT_COLUMN.test(name)),
+    closed: depth < 0
+  };
+}
+
+/**
+ * Added lines of a migration, up sections only
+ */
+function readMigration(lines, collect) {
+  let down = false;
+  let sqlTable = null;
+  let alterTable = null;
+  let codeTable = null;
+  let keyIndent = null;
+  let typeormTable = false;
+  
+  for (const line of lines) {
+    const text = line.slice(1);
+    if (DOWN_SECTION.test(text)) down = true;
+    else if (UP_SECTION.test(text)) down = false;
+    if (down || !line.startsWith('+')) continue;
+  
+    // SQL, in .sql files or in queryRunner.query() and knex.raw() strings
+    let match;
+    if (sqlTable) {
+      const { names, closed } = sqlColumns(text);
+      names.forEach(column => collect.addColumn(sqlTable, 'table', column));
+      if (closed) sqlTable = null;
+      continue;
+    }
+    if ((match = text.match(SQL_CREATE_TABLE))) {
+      const { names, closed } = sqlColumns(match[2]);
+      collect.create(match[1], 'table');
+      names.forEach(column => collect.addColumn(match[1], 'table', column));
+      if (!closed) sqlTable = match[1];
+      continue;
+    }
+    if ((match = text.match(SQL_DROP_TABLE))) {
+      collect.drop(match[1], 'table');
+      continue;
+    }
+    const alter = text.match(SQL_ALTER_TABLE);
+    if (alter) alterTable = alter[1];
+    if (alterTable) {
+      const clause = alter ? alter[2] : text;
+      const added = clause.match(SQL_ADD_COLUMN);
+      const dropped = clause.match(SQL_DROP_COLUMN);
+      if (added && !SQL_NOT_COLUMN.test(added[1])) collect.addColumn(alterTable, 'table', added[1]);
+      if (dropped && !SQL_NOT_COLUMN.test(dropped[1])) collect.dropColumn(alterTable, 'table', dropped[1]);
+      if (/;/.test(text) || (!added && !dropped && !alter)) alterTable = null;
+      if (alter || added || dropped) continue;
+    }
+  
+    // Knex and Sequelize: createTable('users', ...) followed by columns
+    if ((match = text.match(CREATE_TABLE_CALL))) {
+      collect.create(match[1], 'table');
+      codeTable = match[1];
+      keyIndent = null;
+      continue;
+    }
+    if ((match = text.match(ALTER_TABLE_CALL))) {
+      codeTable = match[1];
+      keyIndent = null;
+      continue;
+    }
+    if ((match = text.match(DROP_TABLE_CALL))) {
+      collect.drop(match[1], 'table');
+      continue;
+    }
+    if ((match = text.match(ADD_COLUMN_CALL))) {
+      collect.addColumn(match[1], 'table', match[2] || match[3]);
+      codeTable = null;
+      continue;
+    }
+    if ((match = text.match(REMOVE_COLUMN_CALL))) {
+      const table = match[1] || codeTable;
+      if (table) collect.dropColumn(table, 'table', match[2]);
+      continue;
+    }
+  
+    // TypeORM: new Table({ name: 'users', columns: [{ name: 'id', ... }] })
+    if (TYPEORM_TABLE.test(text)) {
+      typeormTable = true;
+      codeTable = null;
+    } else if (/new\s+Table\w+\(/.test(text)) {
+      // Foreign keys, indices and checks have names too
+      typeormTable = false;
+    }
+    const name = text.match(NAME_PROPERTY) || (typeormTable && text.match(new RegExp(`\\bname\\s*:\\s*${QUOTED}`)));
+    if (name && typeormTable) {
+      if (!codeTable) {
+        codeTable = name[1];
+        collect.create(codeTable, 'table');
+      } else {
+        collect.addColumn(codeTable, 'table', name[1]);
+      }
+      continue;
+    }
+  
+    if (!codeTable) continue;
+    if ((match = text.match(KNEX_COLUMN))) {
+      collect.addColumn(codeTable, 'table', match[1]);
+      continue;
+    }
+    // Sequelize attributes are the outermost keys of the table object
+    const key = text.match(OBJECT_KEY);
+    if (key && (keyIndent === null || key[1].length === keyIndent)) {
+      keyIndent = key[1].length;
+      collect.addColumn(codeTable, 'table', key[2]);
+    }
+  }
+}
+
+/**
+ * Added and removed lines of a schema file, with the block (model or table)
+ * each side of the diff is in. Hunk headers carry the enclosing block
+ * ("@@ -4,6 +4,9 @@ model User {"), so fields are placed in partial diffs.
+ */
+function readSchema(lines, collect, { block, field, isEnd }) {
+  let oldBlock = null;
+  let newBlock = null;
+  
+  for (const line of lines) {
+    if (line.startsWith('@@')) {
+      oldBlock = newBlock = block(line.replace(/^@@[^@]*@@\s?/, ''));
+      continue;
+    }
+    const sign = line[0];
+    const text = line.slice(1);
+    const opened = block(text);
+    if (opened !== undefined || isEnd(text)) {
+      const current = opened ?? null;
+      if (sign !== '+') oldBlock = current;
+      if (sign !== '-') newBlock = current;
+      if (current && sign === '+') collect.create(current.name, current.kind);
+      if (current && sign === '-') collect.drop(current.name, current.kind);
+      continue;
+    }
+  
+    const name = field(text);
+    if (!name) continue;
+    if (sign === '+' && newBlock) collect.addColumn(newBlock.name, newBlock.kind, name);
+    if (sign === '-' && oldBlock) collect.dropColumn(oldBlock.name, oldBlock.kind, name);
+  }
+}
+
+const PRISMA_SCHEMA = {
+  // undefined: not a block line; null: a block that holds no entity
+  block: text => {
+    const match = text.match(PRISMA_BLOCK);
+    if (!match) return undefined;
+    return match[1] === 'model' || match[1] === 'view' ? { name: match[2], kind: 'model' } : null;
+  },
+  isEnd: text => /^\}/.test(text),
+  field: text => {
+    const match = text.match(PRISMA_FIELD);
+    if (!match || /^\s*(\/\/|@@)/.test(text) || /@relation\b/.test(text)) return null;
+    // List relations (posts Post[]) are not columns
+    if (match[3] && !PRISMA_SCALAR.test(match[2])) return null;
+    return match[1];
+  }
+};
+
+const DRIZZLE_SCHEMA = {
+  block: text => {
+    const match = text.match(DRIZZLE_TABLE);
+    return match ? { name: match[1], kind: 'table' } : undefined;
+  },
+  isEnd: text => /^\}/.test(text),
+  field: text => text.match(DRIZZLE_COLUMN)?.[1] || null
+};
+
+/**
+ * Entity changes in a commit's patch (as printed by `git show`):
+ * [{ name, kind: 'model' | 'table', created, dropped, columns, droppedColumns }]
+ * Deleted migrations and down sections are not drops: only migrations that
+ * are added or extended, and edits of schema files, change the data model.
+ */
+export function extractSchemaChanges(diff) {
+  const collect = createCollector();
+  const files = [];
+  let file = null;
+  
+  for (const line of (diff || '').split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      file = { path: null, deleted: false, inHunks: false, lines: [] };
+      files.push(file);
+      continue;
+    }
+    if (!file) continue;
+    // Removed SQL comments ("--- CreateTable") look like file headers once hunks start
+    if (line.startsWith('@@')) file.inHunks = true;
+    if (!file.inHunks) {
+      if (line.startsWith('deleted file mode')) file.deleted = true;
+      else if (line.startsWith('+++ ')) file.path = line.startsWith('+++ b/') ? line.slice(6) : file.path;
+      else if (line.startsWith('--- ')) file.path = file.path || (line.startsWith('--- a/') ? line.slice(6) : null);
+    } else if (/^[+\- @]/.test(line)) {
+      file.lines.push(line);
+    }
+  }
+  
+  for (const f of files) {
+    if (!f.path || !isSchemaSource(f.path)) continue;
+    if (PRISMA_FILE.test(f.path)) {
+      readSchema(f.lines, collect, PRISMA_SCHEMA);
+    } else if (MIGRATION_FILE.test(f.path)) {
+      if (!f.deleted && !DOWN_MIGRATION_FILE.test(f.path)) readMigration(f.lines, collect);
+    } else if (f.lines.some(line => DRIZZLE_TABLE.test(line))) {
+      readSchema(f.lines, collect, DRIZZLE_SCHEMA);
+    }
+  }
+  
+  return collect.result().filter(e => e.created || e.dropped || e.columns.length > 0 || e.droppedColumns.length > 0);
+}
+
+// =============================================================================
+// SCHEMA STATE
+// =============================================================================
+
+/**
+ * Empty state for a timeline run: entities by key, with their columns
+ */
+export function createSchemaState() {
+  return new Map();
+}
+
+function snapshot(entity) {
+  return entity ? { name: entity.name, kind: entity.kind, columns: new Map(entity.columns) } : null;
+}
+
+/**
+ * Apply one day's changes (oldest first, one extractSchemaChanges() result per commit) to `state`
+ * Returns { created, extended, dropped, trimmed } entities as [{ name, kind, columns }]
+ * (columns added for `extended`, removed for `trimmed`, none for `dropped`)
+ * An entity created and changed the same day is only created; columns of an entity
+ * that was created before the analyzed history extend it.
+ */
+export function applySchemaChanges(state, changes) {
+  const before = new Map();
+  
+  for (const change of changes.flat()) {
+    const key = entityKey(change.name);
+    if (!before.has(key)) before.set(key, snapshot(state.get(key)));
+  
+    if (change.dropped) {
+      state.delete(key);
+      continue;
+    }
+    if (!state.has(key)) state.set(key, { name: change.name, kind: change.kind, columns: new Map() });
+    const entity = state.get(key);
+    if (change.kind === 'model') Object.assign(entity, { name: change.name, kind: 'model' });
+    change.droppedColumns.forEach(column => entity.columns.delete(columnKey(column)));
+    change.columns.forEach(column => {
+      if (!entity.columns.has(columnKey(column))) entity.columns.set(columnKey(column), column);
+    });
+  }
+  
+  const update = { created: [], extended: [], dropped: [], trimmed: [] };
+  for (const [key, was] of before) {
+    const now = state.get(key);
+    if (!was && now) {
+      update.created.push({ name: now.name, kind: now.kind, columns: Array.from(now.columns.values()) });
+    } else if (was && !now) {
+      update.dropped.push({ name: was.name, kind: was.kind });
+    } else if (was && now) {
+      const added = Array.from(now.columns).filter(([column]) => !was.columns.has(column)).map(([, name]) => name);
+      const removed = Array.from(was.columns).filter(([column]) => !now.columns.has(column)).map(([, name]) => name);
+      if (added.length > 0) update.extended.push({ name: now.name, kind: now.kind, columns: added });
+      if (removed.length > 0) update.trimmed.push({ name: now.name, kind: now.kind, columns: removed });
+    }
+  }
+  return update;
+}
+
+/**
+ * Whether a day's update is worth a phase
+ */
+export function hasSchemaUpdate(update) {
+  return update.created.length > 0 || update.extended.length > 0 ||
+    update.dropped.length > 0 || update.trimmed.length > 0;
+}
+
+// =============================================================================
+// PHASE INFO GENERATION
+// =============================================================================
+
+function joinPhrases(phrases) {
+  return phrases.length <= 2 ? phrases.join(' and ') : `${phrases.slice(0, -1).join(', ')} and ${phrases[phrases.length - 1]}`;
+}
+
+/**
+ * Entity name for titles: "order_items" → "Order Items", models as declared
+ */
+function displayName({ name, kind }) {
+  if (kind === 'model') return name;
+  return name.split(/[_\s]+/).filter(Boolean).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+function listColumns(columns) {
+  return joinPhrases(columns.length > 3 ? [...columns.slice(0, 2), `${columns.length - 2} more`] : columns);
+}
+
+function listEntities(entities, describe) {
+  const shown = entities.slice(0, 3).map(describe);
+  return joinPhrases(entities.length > 3 ? [...shown, `${entities.length - 3} more`] : shown);
+}
+
+/**
+ * "Table" or "Model", plural for several entities of the same kind
+ */
+function kindLabel(entities) {
+  const kinds = [...new Set(entities.map(e => e.kind))];
+  const label = kinds.length === 1 ? (kinds[0] === 'model' ? 'Model' : 'Table') : 'Entit';
+  if (entities.length === 1) return label === 'Entit' ? 'Entity' : label;
+  return label === 'Entit' ? 'Entities' : `${label}s`;
+}
+
+/**
+ * One phase for a day's data model update
+ * e.g. "User & Post Models" - "Added User (email, name and 3 more) and Post (title and body), added role to Account"
+ */
+export function generateSchemaPhaseInfo({ created, extended, dropped, trimmed }) {
+  const phrases = [];
+  if (created.length > 0) {
+    phrases.push(`added ${listEntities(created, e => (e.columns.length > 0 ? `${e.name} (${listColumns(e.columns)})` : e.name))}`);
+  }
+  extended.forEach(e => phrases.push(`added ${listColumns(e.columns)} to ${e.name}`));
+  trimmed.forEach(e => phrases.push(`removed ${listColumns(e.columns)} from ${e.name}`));
+  if (dropped.length > 0) phrases.push(`dropped ${listEntities(dropped, e => e.name)}`);
+  const sentence = phrases.join(', ');
+  
+  let title;
+  let icon = '🗄️';
+  if (created.length > 0) {
+    title = created.length <= 2
+      ? `${created.map(displayName).join(' & ')} ${kindLabel(created)}`
+      : `New ${kindLabel(created)}`;
+  } else if (extended.length > 0 || trimmed.length > 0) {
+    const changed = [...new Set([...extended, ...trimmed].map(e => e.name))];
+    title = changed.length === 1 ? `Updated ${displayName([...extended, ...trimmed][0])}` : 'Schema Updates';
+    icon = '🧩';
+  } else {
+    title = dropped.length === 1 ? `Dropped ${displayName(dropped[0])}` : `Dropped ${kindLabel(dropped)}`;
+    icon = '🧹';
+  }
+  
+  return {
+    title,
+    description: sentence.charAt(0).toUpperCase() + sentence.slice(1),
+    icon,
+    tools: [...new Set([...created, ...extended, ...trimmed].map(e => e.name))],
+    retired: dropped.map(e => e.name)
+  };
+}
@@ -0,0 +1,365 @@
+/**
+ * Scripts Detection - package.json "scripts" over time
+ *
+ * New scripts like `test:e2e`, `db:migrate`, `release` or `storybook` are new
+ * workflows for the project. Scripts are read from the package.json diffs
+ * already collected for dependencies, classified by name (then by command),
+ * and tracked per workspace so a workflow shows up once, when it first appears.
+ *
+ * Per-commit changes are cached with the tooling analysis: bump
+ * DETECTOR_VERSION in tooling.js whenever they change.
+ */
+
+import { getWorkspaceName, qualifyPackage, parseQualifiedPackage } from './tooling.js';
+
+// Workflows by the scripts that provide them, in display order
+// `name` is tried on every script before any `command`, so "dev": "docker compose up" stays a dev server
+const SCRIPT_WORKFLOWS = [
+  {
+    id: 'e2e',
+    label: 'e2e test',
+    title: 'End-to-End Testing',
+    icon: '🎭',
+    name: /(^|:)e2e(:|$)|^(cypress|playwright)(:|$)/,
+    command: /\b(cypress (run|open)|playwright test)\b/
+  },
+  {
+    id: 'database',
+    label: 'database',
+    title: 'Database Scripts',
+    icon: '🗄️',
+    name: /^db:|(^|:)(migrate|migration|migrations|seed)(:|$)/,
+    command: /\b(prisma (migrate|db)|knex (migrate|seed)|sequelize(-cli)? db:|drizzle-kit (push|migrate|generate)|typeorm migration)/
+  },
+  {
+    id: 'release',
+    label: 'release',
+    title: 'Release Workflow',
+    icon: '📦',
+    name: /^(release|publish|changeset)(:|$)/,
+    command: /\b(semantic-release|release-it|standard-version|changeset (publish|version))\b/
+  },
+  {
+    id: 'deployment',
+    label: 'deployment',
+    title: 'Deployment Script',
+    icon: '🚀',
+    name: /^deploy(:|$)/,
+    command: /\b(vercel (deploy|--prod)|netlify deploy|fly(ctl)? deploy|wrangler (deploy|publish)|firebase deploy|(serverless|sls) deploy|gh-pages)\b/
+  },
+  {
+    id: 'storybook',
+    label: 'Storybook',
+    title: 'Storybook',
+    icon: '📚',
+    name: /^(storybook|build-storybook)(:|$)/,
+    command: /\b(storybook (dev|build)|start-storybook|build-storybook)\b/
+  },
+  { id: 'test', label: 'test', title: 'Test Scripts', icon: '🧪', name: /^(test|tests|coverage)(:|$)/ },
+  {
+    id: 'typecheck',
+    label: 'type check',
+    title: 'Type Checking',
+    icon: '📘',
+    name: /^(typecheck|type-check|types:check|check-types|tsc)(:|$)/,
+    command: /\btsc\b[^&|;]*--noEmit/
+  },
+  { id: 'lint', label: 'lint', title: 'Linting Scripts', icon: '🔍', name: /^lint(:|$)/ },
+  { id: 'format', label: 'format', title: 'Formatting Scripts', icon: '✨', name: /^(format|fmt|prettier)(:|$)/ },
+  {
+    id: 'codegen',
+    label: 'code generation',
+    title: 'Code Generation',
+    icon: '⚙️',
+    name: /^(codegen|generate|gen)(:|$)/,
+    command: /\b(graphql-codegen|openapi-typescript|openapi-generator-cli)\b/
+  },
+  {
+    id: 'docs',
+    label: 'docs',
+    title: 'Documentation Scripts',
+    icon: '📝',
+    name: /^docs(:|$)/,
+    command: /\b(typedoc|jsdoc|docusaurus|vitepress|mkdocs)\b/
+  },
+  { id: 'docker', label: 'Docker', title: 'Docker Scripts', icon: '🐳', name: /^docker(:|$)/, command: /^docker(-compose)? / },
+  { id: 'benchmark', label: 'benchmark', title: 'Benchmarks', icon: '⏱️', name: /^bench(mark)?s?(:|$)/ },
+  { id: 'build', label: 'build', title: 'Build Scripts', icon: '🔨', name: /^build(:|$)/ },
+  { id: 'dev', label: 'dev server', title: 'Dev Server', icon: '💻', name: /^(dev|start|serve)(:|$)/ }
+];
+
+// Top-level package.json fields, never scripts
+const PACKAGE_FIELDS = new Set([
+  'name', 'version', 'description', 'main', 'module', 'types', 'typings', 'type', 'license',
+  'author', 'homepage', 'packageManager', 'browser', 'bin', 'unpkg', 'jsdelivr'
+]);
+
+// Dependency ranges and other values no script has ("^1.2.0", "workspace:*", "./dist/index.js")
+const NOT_A_COMMAND = /^(\^|~|[<>=]=?|v?\d|\*$|latest$|next$|workspace:|npm:|file:|link:|git[+:]|github:|https?:|\.{0,2}\/)/;
+
+// Tokens in front of the tool a command runs ("cross-env NODE_ENV=test npx jest")
+const COMMAND_PREFIXES = new Set(['cross-env', 'env', 'npx', 'bunx', 'pnpx', 'dotenv', '--']);
+const PACKAGE_MANAGERS = new Set(['npm', 'pnpm', 'yarn', 'bun']);
+
+function basename(filePath) {
+  return filePath.split('/').pop();
+}
+
+function workflowById(id) {
+  return SCRIPT_WORKFLOWS.find(w => w.id === id);
+}
+
+/**
+ * Workflow id of a script, or null; pre/post hooks ("pretest", "postbuild") have none
+ */
+function classifyScript(name, command) {
+  const hookOf = name.match(/^(pre|post)(.+)$/)?.[2];
+  if (hookOf && SCRIPT_WORKFLOWS.some(w => w.name.test(hookOf))) return null;
+  const byName = SCRIPT_WORKFLOWS.find(w => w.name.test(name));
+  if (byName) return byName.id;
+  return (command && SCRIPT_WORKFLOWS.find(w => w.command?.test(command))?.id) || null;
+}
+
+/**
+ * Tool a command runs: "cross-env CI=1 vitest run" → "vitest"
+ * Commands that only run other scripts ("npm run build && npm run test") have none
+ */
+function commandTool(command) {
+  const tokens = (command || '').trim().split(/\s+/);
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (/^\w+=/.test(token) || COMMAND_PREFIXES.has(token) || token.startsWith('-')) continue;
+    if (PACKAGE_MANAGERS.has(token)) {
+      if (!['exec', 'dlx', 'x'].includes(tokens[i + 1])) return null;
+      i++;
+      continue;
+    }
+    return basename(token) || null;
+  }
+  return null;
+}
+
+function parseString(raw) {
+  try {
+    return JSON.parse(`"${raw}"`);
+  } catch {
+    return raw;
+  }
+}
+
+// =============================================================================
+// PER-COMMIT CHANGES
+// =============================================================================
+
+/**
+ * Scripts set and removed by one package.json diff: Map name → command per side
+ * Hunks that start inside "scripts" without showing its opening line only
+ * count scripts that classify by name, so fields of other sections don't leak in.
+ */
+function readScripts(diff) {
+  const added = new Map();
+  const removed = new Map();
+  let section = null;
+  
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('+++') || line.startsWith('---')) continue;
+    if (line.startsWith('@@')) {
+      section = null;
+      continue;
+    }
+    const text = line.slice(1);
+    const block = text.match(/^\s*"([^"]+)"\s*:\s*[{[]\s*([}\]])?/);
+    if (block) {
+      section = block[2] ? '' : block[1];
+      continue;
+    }
+    if (/^\s*[}\]]/.test(text)) {
+      section = '';
+      continue;
+    }
+  
+    const field = text.match(/^\s*"([^"]+)"\s*:\s*"((?:[^"\\]|\\.)*)"/);
+    if (!field) continue;
+    const [, name, raw] = field;
+    const command = parseString(raw);
+    const inScripts = section === 'scripts' ||
+      (section === null && !PACKAGE_FIELDS.has(name) && !NOT_A_COMMAND.test(command) && SCRIPT_WORKFLOWS.some(w => w.name.test(name)));
+    if (!inScripts) continue;
+  
+    if (line.startsWith('+') && !added.has(name)) added.set(name, command);
+    if (line.startsWith('-')) removed.set(name, command);
+  }
+  
+  return { added, removed };
+}
+
+/**
+ * Script changes in one commit, attributed to their workspace:
+ * [{ script, source, command, previous, workflow, removed }]
+ * `script` is the workspace-qualified name ("web: test:e2e"), `source` the
+ * manifest and script ("apps/web/package.json#test:e2e"), `previous` the
+ * command a changed script had before.
+ */
+export function extractScriptChanges(manifestDiffs) {
+  const changes = [];
+  
+  for (const [manifestPath, diff] of Object.entries(manifestDiffs)) {
+    if (basename(manifestPath) !== 'package.json') continue;
+    const workspace = getWorkspaceName(manifestPath);
+    const { added, removed } = readScripts(diff || '');
+    const change = (name, command, extra) => ({
+      script: qualifyPackage(name, workspace),
+      source: `${manifestPath}#${name}`,
+      command,
+      previous: null,
+      workflow: classifyScript(name, command),
+      removed: false,
+      ...extra
+    });
+  
+    for (const [name, command] of added) {
+      // Moved or reformatted, same command
+      if (removed.get(name) === command) continue;
+      changes.push(change(name, command, { previous: removed.get(name) ?? null }));
+    }
+    for (const [name, command] of removed) {
+      if (!added.has(name)) changes.push(change(name, command, { removed: true }));
+    }
+  }
+  
+  return changes;
+}
+
+// =============================================================================
+// SCRIPT STATE
+// =============================================================================
+
+/**
+ * Empty state for a timeline run: live scripts by source
+ */
+export function createScriptState() {
+  return new Map();
+}
+
+/**
+ * Workflows of a workspace: Map workflow id → script names providing it
+ */
+function workflowsIn(state, workspace) {
+  const workflows = new Map();
+  for (const { script, workflow } of state.values()) {
+    if (!workflow || parseQualifiedPackage(script).workspace !== workspace) continue;
+    if (!workflows.has(workflow)) workflows.set(workflow, []);
+    workflows.get(workflow).push(script);
+  }
+  return workflows;
+}
+
+/**
+ * Apply one day's changes (oldest first) to `state`
+ * Returns what the timeline hasn't shown yet:
+ * { added: [{ workflow, scripts }], removed: [{ workflow, scripts }], switched: [{ script, workflow, from, to }] }
+ * A workflow counts as added when a workspace gets its first script for it,
+ * and as removed when its last script goes; a script switches when its command
+ * starts running a different tool ("jest" → "vitest run").
+ */
+export function applyScriptChanges(state, changes) {
+  const workspaces = new Set(changes.map(c => parseQualifiedPackage(c.script).workspace));
+  const workflowsBefore = new Map(Array.from(workspaces, w => [w, workflowsIn(state, w)]));
+  const commandsBefore = new Map();
+  
+  for (const change of changes) {
+    if (!commandsBefore.has(change.source)) {
+      commandsBefore.set(change.source, state.get(change.source)?.command ?? change.previous);
+    }
+    state.delete(change.source);
+    if (!change.removed) state.set(change.source, change);
+  }
+  
+  const update = { added: [], removed: [], switched: [] };
+  for (const [workspace, before] of workflowsBefore) {
+    const after = workflowsIn(state, workspace);
+    for (const [workflow, scripts] of after) {
+      if (!before.has(workflow)) update.added.push({ workflow, scripts });
+    }
+    for (const [workflow, scripts] of before) {
+      if (!after.has(workflow)) update.removed.push({ workflow, scripts });
+    }
+  }
+  
+  const added = new Set(update.added.flatMap(a => a.scripts));
+  for (const [source, previous] of commandsBefore) {
+    const current = state.get(source);
+    if (!current?.workflow || added.has(current.script)) continue;
+    const from = commandTool(previous);
+    const to = commandTool(current.command);
+    if (from && to && from !== to) update.switched.push({ script: current.script, workflow: current.workflow, from, to });
+  }
+  
+  return update;
+}
+
+/**
+ * Whether a day's update is worth a phase
+ */
+export function hasScriptUpdate(update) {
+  return update.added.length > 0 || update.removed.length > 0 || update.switched.length > 0;
+}
+
+// =============================================================================
+// PHASE INFO GENERATION
+// =============================================================================
+
+function joinPhrases(phrases) {
+  return phrases.length <= 2 ? phrases.join(' and ') : `${phrases.slice(0, -1).join(', ')} and ${phrases[phrases.length - 1]}`;
+}
+
+/**
+ * Workflow labels in display order, once each (several workspaces may add the same one)
+ */
+function labelsOf(entries) {
+  const ids = new Set(entries.map(e => e.workflow));
+  return SCRIPT_WORKFLOWS.filter(w => ids.has(w.id)).map(w => w.label);
+}
+
+function workflowsPhrase(labels) {
+  return `${joinPhrases(labels)} ${labels.length === 1 ? 'workflow' : 'workflows'}`;
+}
+
+/**
+ * One phase for a day's script update
+ * e.g. "Script Workflows" - "Added e2e test and release workflows"
+ */
+export function generateScriptPhaseInfo({ added, removed, switched }) {
+  const name = script => parseQualifiedPackage(script).name;
+  const addedLabels = labelsOf(added);
+  const removedLabels = labelsOf(removed);
+  
+  const phrases = [];
+  if (added.length > 0) phrases.push(`added ${workflowsPhrase(addedLabels)}`);
+  switched.forEach(s => phrases.push(`switched the ${name(s.script)} script from ${s.from} to ${s.to}`));
+  if (removed.length > 0) phrases.push(`dropped the ${workflowsPhrase(removedLabels)}`);
+  const sentence = joinPhrases(phrases);
+  
+  let title = 'Script Workflows';
+  let icon = '📜';
+  if (phrases.length === 1 && addedLabels.length === 1) {
+    const workflow = workflowById(added[0].workflow);
+    title = workflow.title;
+    icon = workflow.icon;
+  } else if (phrases.length === 1 && switched.length === 1) {
+    title = `Switched ${name(switched[0].script)} to ${switched[0].to}`;
+    icon = '🔀';
+  } else if (phrases.length === 1 && removedLabels.length === 1) {
+    title = `Dropped ${workflowById(removed[0].workflow).title}`;
+    icon = '🧹';
+  }
+  
+  const retired = removed.flatMap(r => r.scripts);
+  return {
+    title,
+    description: sentence.charAt(0).toUpperCase() + sentence.slice(1),
+    icon,
+    tools: [...new Set([...added.flatMap(a => a.scripts), ...switched.map(s => s.script)])],
+    ...(retired.length > 0 ? { retired } : {})
+  };
+}
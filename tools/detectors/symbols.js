@@ -0,0 +1,190 @@
+/**
+ * Symbol Detection - newly exported functions, classes and React components
+ *
+ * Opt-in content-aware feature detection: the added lines of JS/TS diffs are
+ * read for exports (ESM and CommonJS), and the symbol names give feature cards
+ * titles and tags that file names alone can't ("InvoiceList", "createInvoice"
+ * → "Invoice Management").
+ *
+ * Results are cached per commit hash in .timeline/: bump DETECTOR_VERSION
+ * whenever extraction changes.
+ */
+
+// Bump whenever symbol extraction changes so cached symbols are rebuilt
+export const DETECTOR_VERSION = 2;
+
+const SYMBOL_FILE = /\.[cm]?[jt]sx?$/;
+const NOT_SYMBOL_FILE = /\.d\.[cm]?ts$|\.(test|spec|stories)\.[cm]?[jt]sx?$|(^|\/)(__tests__|__mocks__|node_modules|dist|build)\//;
+const JSX_FILE = /\.[jt]sx$|(^|\/)components?\//;
+
+const IDENTIFIER = '[A-Za-z_$][\\w$]*';
+const EXPORT_FUNCTION = new RegExp(`^\\s*export\\s+(?:default\\s+)?(?:async\\s+)?function\\s*\\*?\\s*(${IDENTIFIER})`);
+const EXPORT_CLASS = new RegExp(`^\\s*export\\s+(?:default\\s+)?(?:abstract\\s+)?class\\s+(${IDENTIFIER})(?:\\s+extends\\s+([\\w$.]+))?`);
+const EXPORT_CONST = new RegExp(`^\\s*export\\s+(?:const|let|var)\\s+(${IDENTIFIER})\\s*(?::[^=]+)?=\\s*(.*)$`);
+const EXPORT_LIST = /^\s*export\s*\{([^}]*)\}\s*;?\s*$/;
+const CJS_OBJECT = /^\s*module\.exports\s*=\s*\{([^}]*)\}/;
+const CJS_DEFAULT = new RegExp(`^\\s*module\\.exports\\s*=\\s*(?:async\\s+)?(function|class)\\s*\\*?\\s*(${IDENTIFIER})`);
+const CJS_PROPERTY = new RegExp(`^\\s*(?:module\\.)?exports\\.(${IDENTIFIER})\\s*=\\s*(.*)$`);
+
+// Values of `export const` that are functions or components, not plain constants
+const FUNCTION_VALUE = /^(async\s+)?(function\b|\(|<|[A-Za-z_$][\w$]*\s*=>)|^(React\.)?(memo|forwardRef|lazy)\s*\(|^styled[.(]/;
+
+// Leading verbs dropped from function names for titles: "createInvoice" → "Invoice"
+const VERBS = new Set([
+  'add', 'apply', 'build', 'calc', 'calculate', 'check', 'compute', 'convert', 'create', 'delete', 'fetch',
+  'find', 'format', 'get', 'handle', 'init', 'is', 'list', 'load', 'make', 'map', 'on', 'parse', 'post',
+  'put', 'remove', 'render', 'reset', 'save', 'send', 'set', 'show', 'sync', 'to', 'update', 'use', 'validate', 'with'
+]);
+
+// Technical suffixes dropped for titles, as for file names
+const TECHNICAL_SUFFIX = /^(Controller|Service|Model|Route|Router|Page|Component|View|Manager|Handler|Provider|Repository|Util|Utils|Helper|Props|Context|Store|Slice)$/;
+
+// Display order of symbol kinds
+const KINDS = ['component', 'class', 'function'];
+
+/**
+ * Whether a changed file is read for symbols
+ */
+export function isSymbolSource(filePath) {
+  return SYMBOL_FILE.test(filePath) && !NOT_SYMBOL_FILE.test(filePath);
+}
+
+function isPascalCase(name) {
+  return /^[A-Z][a-z0-9]/.test(name);
+}
+
+// =============================================================================
+// PER-COMMIT SYMBOLS
+// =============================================================================
+
+/**
+ * Exported symbols declared on one line: [{ name, kind }]
+ */
+function readExports(text, filePath) {
+  const inJsx = JSX_FILE.test(filePath);
+  const functionKind = name => (inJsx && isPascalCase(name) ? 'component' : 'function');
+  let match;
+  
+  if ((match = text.match(EXPORT_FUNCTION))) return [{ name: match[1], kind: functionKind(match[1]) }];
+  if ((match = text.match(EXPORT_CLASS))) {
+    return [{ name: match[1], kind: /(^|\.)(Pure)?Component$/.test(match[2] || '') ? 'component' : 'class' }];
+  }
+  if ((match = text.match(EXPORT_CONST))) {
+    return FUNCTION_VALUE.test(match[2].trim()) ? [{ name: match[1], kind: functionKind(match[1]) }] : [];
+  }
+  if ((match = text.match(CJS_DEFAULT))) return [{ name: match[2], kind: match[1] === 'class' ? 'class' : functionKind(match[2]) }];
+  if ((match = text.match(CJS_PROPERTY))) {
+    return FUNCTION_VALUE.test(match[2].trim()) ? [{ name: match[1], kind: functionKind(match[1]) }] : [];
+  }
+  
+  // export { a, b as c } (re-exports "from" another module are not new code), module.exports = { a, b }
+  const list = text.match(EXPORT_LIST) || text.match(CJS_OBJECT);
+  if (!list) return [];
+  return list[1].split(',')
+    .map(entry => entry.trim().split(/\s+as\s+|\s*:\s*/).pop().trim())
+    .filter(name => new RegExp(`^${IDENTIFIER}$`).test(name) && name !== 'default')
+    .map(name => ({ name, kind: isPascalCase(name) && !inJsx ? 'class' : functionKind(name) }));
+}
+
+/**
+ * New exported symbols in a commit's patch (as printed by `git show`):
+ * { [filePath]: [{ name, kind: 'component' | 'class' | 'function' }] }
+ * Exports that are also on removed lines of the same file were only edited.
+ */
+export function extractSymbols(diff) {
+  const added = new Map();
+  const removed = new Map();
+  let filePath = null;
+  
+  for (const line of (diff || '').split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      filePath = null;
+      continue;
+    }
+    if (line.startsWith('+++ ')) {
+      filePath = line.startsWith('+++ b/') ? line.slice(6) : null;
+      continue;
+    }
+    if (!filePath || !isSymbolSource(filePath) || line.startsWith('---')) continue;
+  
+    const side = line.startsWith('+') ? added : line.startsWith('-') ? removed : null;
+    if (!side) continue;
+    if (!side.has(filePath)) side.set(filePath, new Map());
+    readExports(line.slice(1), filePath).forEach(symbol => {
+      if (!side.get(filePath).has(symbol.name)) side.get(filePath).set(symbol.name, symbol);
+    });
+  }
+  
+  const symbols = {};
+  for (const [file, exports] of added) {
+    const edited = removed.get(file) || new Map();
+    const fresh = Array.from(exports.values()).filter(s => !edited.has(s.name));
+    if (fresh.length > 0) symbols[file] = fresh;
+  }
+  return symbols;
+}
+
+// =============================================================================
+// PHASE INFO GENERATION
+// =============================================================================
+
+function joinPhrases(phrases) {
+  return phrases.length <= 2 ? phrases.join(' and ') : `${phrases.slice(0, -1).join(', ')} and ${phrases[phrases.length - 1]}`;
+}
+
+/**
+ * Business term of a symbol: "InvoiceListView" → "Invoice List", "useInvoices" → "Invoices"
+ */
+function symbolTerm({ name, kind }) {
+  let words = name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .replace(/[_$]+/g, ' ')
+    .trim()
+    .split(/\s+/);
+  if (kind === 'function' && words.length > 1 && VERBS.has(words[0].toLowerCase())) words = words.slice(1);
+  if (words.length > 1 && TECHNICAL_SUFFIX.test(words[words.length - 1])) words = words.slice(0, -1);
+  return words.map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join(' ');
+}
+
+/**
+ * Symbols sorted for display: components, then classes, then functions
+ */
+export function sortSymbols(symbols) {
+  return symbols.slice().sort((a, b) => KINDS.indexOf(a.kind) - KINDS.indexOf(b.kind));
+}
+
+/**
+ * Up to two business terms from symbol names, most shared first
+ * Terms are grouped by their first word, each group named by its shortest term,
+ * so InvoiceList, InvoiceForm and createInvoice give "Invoice"
+ */
+export function symbolTerms(symbols) {
+  const groups = new Map();
+  for (const symbol of sortSymbols(symbols)) {
+    const term = symbolTerm(symbol);
+    if (term.length <= 2) continue;
+    const head = term.split(' ')[0];
+    if (!groups.has(head)) groups.set(head, []);
+    groups.get(head).push(term);
+  }
+  
+  return Array.from(groups.values())
+    .sort((a, b) => b.length - a.length)
+    .slice(0, 2)
+    .map(terms => terms.reduce((shortest, term) => (term.length < shortest.length ? term : shortest)));
+}
+
+/**
+ * "Added InvoiceList and InvoiceForm components and createInvoice function"
+ */
+export function describeSymbols(symbols) {
+  const phrases = [];
+  for (const kind of KINDS) {
+    const names = [...new Set(symbols.filter(s => s.kind === kind).map(s => s.name))];
+    if (names.length === 0) continue;
+    const shown = names.length > 3 ? [...names.slice(0, 2), `${names.length - 2} more`] : names;
+    phrases.push(`${joinPhrases(shown)} ${kind}${names.length > 1 ? (kind === 'class' ? 'es' : 's') : ''}`);
+  }
+  return `Added ${joinPhrases(phrases)}`;
+}
@@ -9,8 +9,26 @@
  * - Ignore commit messages completely
  */
 
-// Track tools that have already been shown globally
-const shownTools = new Set();
+import { formatMajor } from '../utils/semver.js';
+
+// Bump whenever per-commit detection changes so cached analyses are rebuilt
+export const DETECTOR_VERSION = 12;
+
+// =============================================================================
+// ANALYSIS CONTEXT
+// =============================================================================
+
+/**
+ * State of one timeline run, so concurrent runs never share it:
+ * - shownTools: tools already shown on the timeline (retired tools are removed again)
+ * - categoryRules: project-level category rules (see utils/category-rules.js)
+ * - categoryRulesHash: identifies those rules in cached per-commit analyses (null without a rules file)
+ * - metadataProvider: package descriptions and keywords (see utils/package-metadata.js), or null
+ * - packageEcosystems: manifest ecosystem of each dependency seen ("npm", "python", ...)
+ */
+export function createToolingContext({ categoryRules = [], categoryRulesHash = null, metadataProvider = null } = {}) {
+  return { shownTools: new Set(), categoryRules, categoryRulesHash, metadataProvider, packageEcosystems: new Map() };
+}
 
 // =============================================================================
 // PACKAGE NAME EXTRACTION
@@ -52,44 +70,184 @@ export function extractAddedDependencies(pkgDiff) {
   return [...new Set(packages)];
 }
 
+// =============================================================================
+// WORKSPACE ATTRIBUTION
+// =============================================================================
+
 /**
- * Detect tool names from config files
+ * Workspace name for a manifest path: "apps/web/package.json" → "web"
+ * The root package.json has no workspace (null)
  */
-export function extractToolsFromConfigFiles(changedFiles) {
-  const tools = [];
-  
-  const configPatterns = [
-    { pattern: /^\.github\/workflows\/.+\.ya?ml$/, name: 'GitHub Actions' },
-    { pattern: /^Dockerfile$/, name: 'Docker' },
-    { pattern: /^docker-compose\.ya?ml$/, name: 'Docker Compose' },
-    { pattern: /^\.github\/dependabot\.ya?ml$/, name: 'Dependabot' },
-    { pattern: /^\.editorconfig$/, name: 'EditorConfig' },
-    { pattern: /^\.husky\//, name: 'Husky' },
-    { pattern: /^tsconfig.*\.json$/, name: 'TypeScript' },
-    { pattern: /^\.eslintrc/, name: 'ESLint' },
-    { pattern: /^eslint\.config\./, name: 'ESLint' },
-    { pattern: /^\.prettierrc/, name: 'Prettier' },
-    { pattern: /^prettier\.config\./, name: 'Prettier' },
-    { pattern: /^jest\.config\./, name: 'Jest' },
-    { pattern: /^vitest\.config\./, name: 'Vitest' },
-    { pattern: /^playwright\.config\./, name: 'Playwright' },
-    { pattern: /^\.releaserc/, name: 'Semantic Release' },
-    { pattern: /^commitlint\.config\./, name: 'Commitizen' },
-    { pattern: /^\.czrc$/, name: 'Commitizen' },
-    { pattern: /^railway\.json$/, name: 'Railway' },
-    { pattern: /^railway\.toml$/, name: 'Railway' },
-    { pattern: /^vercel\.json$/, name: 'Vercel' },
-    { pattern: /^netlify\.toml$/, name: 'Netlify' },
-  ];
-  
-  for (const file of changedFiles) {
-    for (const { pattern, name } of configPatterns) {
-      if (pattern.test(file)) {
-        tools.push(name);
-      }
-    }
-  }
+export function getWorkspaceName(manifestPath) {
+  const parts = manifestPath.split('/');
+  return parts.length > 1 ? parts[parts.length - 2] : null;
+}
+
+/**
+ * Attribute a package to its workspace as a tag: "web: react" (root packages stay "react")
+ */
+export function qualifyPackage(name, workspace) {
+  return workspace ? `${workspace}: ${name}` : name;
+}
+
+/**
+ * Split a tag back into { workspace, name }
+ */
+export function parseQualifiedPackage(tag) {
+  const match = tag.match(/^([^:@\s][^:\s]*): (.+)$/);
+  return match ? { workspace: match[1], name: match[2] } : { workspace: null, name: tag };
+}
+
+function bareName(tag) {
+  return parseQualifiedPackage(tag).name;
+}
+
+// =============================================================================
+// CONFIG FILE DETECTION
+// =============================================================================
+
+const CONFIG_PATTERNS = [
+  // CI/CD
+  { pattern: /^\.github\/workflows\/.+\.ya?ml$/, name: 'GitHub Actions' },
+  { pattern: /^\.travis\.yml$/, name: 'Travis CI' },
+  { pattern: /^\.gitlab-ci\.ya?ml$/, name: 'GitLab CI' },
+  { pattern: /^\.circleci\/config\.ya?ml$/, name: 'CircleCI' },
+  { pattern: /(^|\/)Jenkinsfile$/, name: 'Jenkins' },
+  { pattern: /^(\.azure-pipelines\/.+\.ya?ml|azure-pipelines\.ya?ml)$/, name: 'Azure Pipelines' },
+  { pattern: /^bitbucket-pipelines\.yml$/, name: 'Bitbucket Pipelines' },
+  { pattern: /^\.buildkite\/pipeline\.ya?ml$/, name: 'Buildkite' },
+  { pattern: /^\.drone\.ya?ml$/, name: 'Drone CI' },
+  
+  // Containers and infrastructure
+  { pattern: /(^|\/)(Dockerfile(\.[\w.-]+)?|[\w.-]+\.Dockerfile)$/, name: 'Docker' },
+  { pattern: /(^|\/)(docker-compose|compose)(\.[\w.-]+)?\.ya?ml$/, name: 'Docker Compose' },
+  { pattern: /(^|\/)Chart\.yaml$/, name: 'Helm' },
+  { pattern: /(^|\/)kustomization\.ya?ml$/, name: 'Kustomize' },
+  { pattern: /^skaffold\.ya?ml$/, name: 'Skaffold' },
+  { pattern: /^(?!.*\.terraform\/).*\.tf$/, name: 'Terraform' },
+  { pattern: /^Pulumi\.ya?ml$/, name: 'Pulumi' },
+  { pattern: /^ansible\.cfg$/, name: 'Ansible' },
+  
+  // Dependency updates and repository automation
+  { pattern: /^\.github\/dependabot\.ya?ml$/, name: 'Dependabot' },
+  { pattern: /^(\.github\/)?(renovate\.json5?|\.renovaterc(\.json)?)$/, name: 'Renovate' },
+  { pattern: /^\.editorconfig$/, name: 'EditorConfig' },
+  { pattern: /^\.husky\//, name: 'Husky' },
+  { pattern: /^(\.lintstagedrc|lint-staged\.config\.)/, name: 'lint-staged' },
+  { pattern: /^\.pre-commit-config\.ya?ml$/, name: 'pre-commit' },
+  { pattern: /^\.changeset\/config\.json$/, name: 'Changesets' },
+  { pattern: /^\.releaserc/, name: 'Semantic Release' },
+  { pattern: /^commitlint\.config\./, name: 'Commitizen' },
+  { pattern: /^\.czrc$/, name: 'Commitizen' },
+  
+  // Languages, linters and formatters
+  { pattern: /^tsconfig.*\.json$/, name: 'TypeScript' },
+  { pattern: /^\.eslintrc/, name: 'ESLint' },
+  { pattern: /^eslint\.config\./, name: 'ESLint' },
+  { pattern: /^\.prettierrc/, name: 'Prettier' },
+  { pattern: /^prettier\.config\./, name: 'Prettier' },
+  { pattern: /^biome\.jsonc?$/, name: 'Biome' },
+  { pattern: /^(\.stylelintrc|stylelint\.config\.)/, name: 'Stylelint' },
+  { pattern: /^(\.babelrc|babel\.config\.)/, name: 'Babel' },
+  { pattern: /^\.?ruff\.toml$/, name: 'Ruff' },
+  { pattern: /^\.flake8$/, name: 'flake8' },
+  { pattern: /^mypy\.ini$/, name: 'mypy' },
   
+  // Testing
+  { pattern: /^jest\.config\./, name: 'Jest' },
+  { pattern: /^vitest\.config\./, name: 'Vitest' },
+  { pattern: /^playwright\.config\./, name: 'Playwright' },
+  { pattern: /^cypress(\.config\.|\.json$)/, name: 'Cypress' },
+  { pattern: /^\.mocharc/, name: 'Mocha' },
+  { pattern: /^pytest\.ini$/, name: 'pytest' },
+  { pattern: /^tox\.ini$/, name: 'tox' },
+  { pattern: /^codecov\.ya?ml$/, name: 'Codecov' },
+  
+  // Build, monorepo and frontend tooling
+  { pattern: /^vite\.config\./, name: 'Vite' },
+  { pattern: /^webpack\.config\./, name: 'Webpack' },
+  { pattern: /^rollup\.config\./, name: 'Rollup' },
+  { pattern: /^turbo\.json$/, name: 'Turborepo' },
+  { pattern: /^nx\.json$/, name: 'Nx' },
+  { pattern: /^lerna\.json$/, name: 'Lerna' },
+  { pattern: /^\.storybook\//, name: 'Storybook' },
+  { pattern: /^tailwind\.config\./, name: 'Tailwind CSS' },
+  { pattern: /^postcss\.config\./, name: 'PostCSS' },
+  
+  // Databases and monitoring
+  { pattern: /(^|\/)schema\.prisma$/, name: 'Prisma' },
+  { pattern: /^drizzle\.config\./, name: 'Drizzle' },
+  { pattern: /^(sentry\.[\w-]+\.config\.|\.sentryclirc$|sentry\.properties$)/, name: 'Sentry' },
+  
+  // Hosting
+  { pattern: /^railway\.json$/, name: 'Railway' },
+  { pattern: /^railway\.toml$/, name: 'Railway' },
+  { pattern: /^vercel\.json$/, name: 'Vercel' },
+  { pattern: /^netlify\.toml$/, name: 'Netlify' },
+  { pattern: /^fly\.toml$/, name: 'Fly.io' },
+  { pattern: /^render\.yaml$/, name: 'Render' },
+  { pattern: /^Procfile$/, name: 'Heroku' },
+];
+
+// Files whose name doesn't tell the tool (globs at any depth); their diffs are
+// collected with the manifests and the added lines decide
+export const CONTENT_INSPECTED_FILES = [
+  'config.yml', 'config.yaml', 'pipeline.yml', 'pipeline.yaml',
+  'ci/*.yml', 'ci/*.yaml', '.ci/*.yml', '.ci/*.yaml',
+  'k8s/**/*.yml', 'k8s/**/*.yaml', 'kubernetes/**/*.yml', 'kubernetes/**/*.yaml',
+  'manifests/**/*.yml', 'manifests/**/*.yaml', 'deploy/**/*.yml', 'deploy/**/*.yaml'
+];
+
+const CONTENT_INSPECTED = /(^|\/)((config|pipeline)\.ya?ml|\.?ci\/[^/]+\.ya?ml|(k8s|kubernetes|manifests|deploy)\/.+\.ya?ml)$/;
+
+// Markers that must all appear in the file, checked in order
+const CONTENT_PATTERNS = [
+  { name: 'GitHub Actions', markers: [/^on:/m, /^jobs:/m, /^\s+runs-on:/m] },
+  { name: 'CircleCI', markers: [/^version:\s*['"]?2(\.1)?['"]?\s*$/m, /^(jobs|workflows|orbs):/m] },
+  { name: 'GitLab CI', markers: [/^\s+script:/m, /^(stages:|\s+stage:)/m] },
+  { name: 'Azure Pipelines', markers: [/^(trigger|pool|stages|jobs|steps):/m, /^\s*(vmImage|- (task|script|bash|pwsh)):/m] },
+  { name: 'Buildkite', markers: [/^steps:/m, /^\s+- (command|label):/m] },
+  { name: 'Helm', markers: [/^apiVersion:/m, /^kind:/m, /\{\{.*\.(Values|Release|Chart)\b.*\}\}/] },
+  { name: 'Kubernetes', markers: [/^apiVersion:\s*\S+/m, /^kind:\s*[A-Z]\w+/m, /^metadata:/m] }
+];
+
+/**
+ * Added lines of a diff, or the removed ones when the file was deleted
+ */
+function diffContent(diff) {
+  const lines = diff.split('\n');
+  const body = prefix => lines
+    .filter(line => line.startsWith(prefix) && !line.startsWith(prefix.repeat(3)))
+    .map(line => line.slice(1));
+  const added = body('+');
+  return (added.length > 0 ? added : body('-')).join('\n');
+}
+
+/**
+ * Tool an ambiguous file belongs to, judged by its contents: a generic config.yml
+ * that is a CircleCI pipeline, a k8s/ directory of Kubernetes manifests...
+ */
+function detectToolFromContent(filePath, diff) {
+  if (!CONTENT_INSPECTED.test(filePath)) return null;
+  const content = diffContent(diff);
+  return CONTENT_PATTERNS.find(({ markers }) => markers.every(marker => marker.test(content)))?.name || null;
+}
+
+/**
+ * Tool a config file belongs to ("Docker" for Dockerfile), or null
+ * Files with ambiguous names need their `diff` to be recognized
+ */
+export function detectConfigTool(filePath, diff = null) {
+  const named = CONFIG_PATTERNS.find(({ pattern }) => pattern.test(filePath))?.name;
+  if (named || !diff) return named || null;
+  return detectToolFromContent(filePath, diff);
+}
+
+/**
+ * Detect tool names from config files (`diffs` by path, for content inspection)
+ */
+export function extractToolsFromConfigFiles(changedFiles, diffs = {}) {
+  const tools = changedFiles.map(file => detectConfigTool(file, diffs[file])).filter(Boolean);
   return [...new Set(tools)];
 }
 
@@ -100,7 +258,7 @@ export function extractToolsFromConfigFiles(changedFiles) {
 /**
  * Categorize libraries by their primary purpose
  */
-function categorizeLibraries(libraries) {
+function categorizeLibraries(libraries, categoryRules = [], metadata = new Map()) {
   const categories = {
     backend: [],
     frontend: [],
@@ -114,6 +272,7 @@ function categorizeLibraries(libraries) {
     linting: [],
     formatting: [],
     typescript: [],
+    infrastructure: [],
     deployment: [],
     cicd: [],
     scheduler: [],
@@ -121,24 +280,36 @@ function categorizeLibraries(libraries) {
     monitoring: [],
     other: []
   };
+  categoryRules.forEach(rule => { categories[rule.id] ||= []; });
   
   for (const lib of libraries) {
-    const lower = lib.toLowerCase();
+    const lower = bareName(lib).toLowerCase();
     
-    // Backend frameworks
-    if (/^(express|fastify|koa|hapi|nestjs|@nestjs)/.test(lower)) {
+    // Project rules come first, so they can claim libraries from built-in categories
+    const rule = categoryRules.find(r => r.match.some(rx => rx.test(bareName(lib))));
+    if (rule) {
+      categories[rule.id].push(lib);
+      continue;
+    }
+    
+    // Backend frameworks (npm, Python, Ruby, Go, Rust, Java)
+    if (/^(express|fastify|koa|hapi|nestjs|@nestjs)/.test(lower) ||
+        /^(django|flask|fastapi|starlette|rails|sinatra|actix-web|axum|rocket|warp|spring-boot-starter-web(flux)?|ktor-server-core)$/.test(lower) ||
+        /gin-gonic\/gin|labstack\/echo|gofiber\/fiber|go-chi\/chi|gorilla\/mux/.test(lower)) {
       categories.backend.push(lib);
     }
     // Frontend frameworks
-    else if (/^(react|vue|angular|svelte|next|nuxt|@angular|solid-js)/.test(lower)) {
+    else if (/^(react|vue|angular|svelte|next|nuxt|@angular|solid-js|astro|storybook|@storybook|tailwind)/.test(lower)) {
       categories.frontend.push(lib);
     }
     // Database
-    else if (/mongoose|prisma|@prisma|^pg$|mysql|mongodb|sequelize|typeorm|knex/.test(lower)) {
+    else if (/mongoose|prisma|@prisma|^pg$|mysql|mongodb|sequelize|typeorm|knex|drizzle/.test(lower) ||
+             /sqlalchemy|psycopg|pymongo|alembic|gorm|jackc\/pgx|^diesel$|^sqlx$|sea-orm|hibernate|data-jpa|postgresql|^activerecord$/.test(lower)) {
       categories.database.push(lib);
     }
     // Authentication
-    else if (/passport|jwt|jsonwebtoken|bcrypt|^auth|next-auth|@auth/.test(lower)) {
+    else if (/passport|jwt|jsonwebtoken|bcrypt|^auth|next-auth|@auth/.test(lower) ||
+             /^devise$|omniauth|passlib|starter-security|^oauth2$/.test(lower)) {
       categories.auth.push(lib);
     }
     // Email
@@ -150,57 +321,219 @@ function categorizeLibraries(libraries) {
       categories.payment.push(lib);
     }
     // Validation
-    else if (/^zod$|^yup$|^joi$|validator|class-validator/.test(lower)) {
+    else if (/^zod$|^yup$|^joi$|validator|class-validator/.test(lower) ||
+             /^pydantic$|^marshmallow$|^dry-validation$/.test(lower)) {
       categories.validation.push(lib);
     }
     // Testing
-    else if (/jest|vitest|mocha|chai|@testing-library|@playwright|cypress|supertest/.test(lower)) {
+    else if (/jest|vitest|mocha|chai|@testing-library|@playwright|cypress|supertest/.test(lower) ||
+             /^pytest|^hypothesis$|^tox$|^rspec|^minitest$|^capybara$|testify|^junit|mockito|assertj|^mockall$|^proptest$|maven-surefire-plugin/.test(lower)) {
       categories.testing.push(lib);
     }
     // Build tools
-    else if (/^vite$|webpack|rollup|esbuild|parcel|turbopack/.test(lower)) {
+    else if (/^vite$|webpack|rollup|esbuild|parcel|turbopack|^turbo(repo)?$|^nx$|^lerna$|babel|postcss/.test(lower) ||
+             /^setuptools$|^hatchling$|^poetry-core$|^flit-core$|^maturin$|maven-compiler-plugin/.test(lower)) {
       categories.build.push(lib);
     }
     // Linting
-    else if (/eslint|@eslint|tslint/.test(lower)) {
+    else if (/eslint|@eslint|tslint|stylelint|^biome$|@biomejs|lint-staged/.test(lower) ||
+             /^ruff$|^flake8$|^pylint$|^mypy$|^rubocop|golangci-lint|checkstyle|spotbugs/.test(lower)) {
       categories.linting.push(lib);
     }
     // Formatting
-    else if (/prettier|@prettier/.test(lower)) {
+    else if (/prettier|@prettier/.test(lower) ||
+             /^black$|^isort$|^autopep8$|^yapf$|spotless/.test(lower)) {
       categories.formatting.push(lib);
     }
     // TypeScript
     else if (/^typescript$|@types\//.test(lower)) {
       categories.typescript.push(lib);
     }
+    // Containers and infrastructure as code
+    else if (/^(docker|docker compose|kubernetes|helm|kustomize|skaffold|terraform|pulumi|ansible)$/.test(lower) ||
+             /^@pulumi\/|^aws-cdk-lib$|^cdktf$/.test(lower)) {
+      categories.infrastructure.push(lib);
+    }
     // Deployment
     else if (/@railway|@vercel|@netlify/.test(lower)) {
       categories.deployment.push(lib);
     }
     // CI/CD
-    else if (/github.*action|gitlab.*ci|circleci/.test(lower)) {
+    else if (/github.*action|gitlab.*ci|circleci|travis|jenkins|azure pipelines|bitbucket pipelines|buildkite|drone ci/.test(lower)) {
       categories.cicd.push(lib);
     }
     // Scheduler
-    else if (/node-cron|cron|bull|agenda|bee-queue/.test(lower)) {
+    else if (/node-cron|cron|bull|agenda|bee-queue/.test(lower) ||
+             /^celery$|^rq$|^apscheduler$|^sidekiq$|^resque$|^dramatiq$|quartz/.test(lower)) {
       categories.scheduler.push(lib);
     }
     // File Storage
-    else if (/multer|aws-sdk|@aws-sdk\/client-s3|cloudinary/.test(lower)) {
+    else if (/multer|aws-sdk|@aws-sdk\/client-s3|cloudinary/.test(lower) ||
+             /^boto3$|google-cloud-storage|^carrierwave$|^shrine$|aws-sdk-go|^object_store$/.test(lower)) {
       categories.fileStorage.push(lib);
     }
     // Monitoring
-    else if (/sentry|@sentry|winston|pino|morgan/.test(lower)) {
+    else if (/sentry|@sentry|winston|pino|morgan/.test(lower) ||
+             /prometheus|opentelemetry|^structlog$|sirupsen\/logrus|uber-go\/zap|^tracing$|log4j|logback|micrometer|^lograge$/.test(lower)) {
       categories.monitoring.push(lib);
     }
+    // Unknown names: fall back to what the package says about itself
     else {
-      categories.other.push(lib);
+      categories[categorizeByMetadata(metadata.get(lib))].push(lib);
     }
   }
   
   return categories;
 }
 
+// Keywords and description phrases by category, checked in order
+const KEYWORD_CATEGORIES = [
+  ['database', /\b(orm|sql|database|postgres(ql)?|mysql|sqlite|mongodb|redis|query builder)\b/],
+  ['auth', /\b(authentication|oauth2?|openid|jwt|passwordless)\b/],
+  ['email', /\b(e-?mail|smtp)\b/],
+  ['payment', /\b(payments?|billing|checkout|subscriptions)\b/],
+  ['validation', /\b(validation|validator|schema validation)\b/],
+  ['testing', /\b(testing|test runner|assertions?|mocking|e2e)\b/],
+  ['linting', /\b(linter|linting|lint)\b/],
+  ['formatting', /\b(formatter|code formatting)\b/],
+  ['build', /\b(bundler|build tool|transpiler|minifier)\b/],
+  ['scheduler', /\b(cron|job queue|task queue|scheduler|background jobs)\b/],
+  ['fileStorage', /\b(file uploads?|object storage|s3)\b/],
+  ['monitoring', /\b(logging|logger|error tracking|monitoring|tracing|observability)\b/],
+  ['backend', /\b(web framework|http server|rest api|graphql server|rpc|middleware)\b/],
+  ['frontend', /\b(ui components?|component library|user interfaces?|frontend)\b/]
+];
+
+/**
+ * Category from package metadata ({ description, keywords }), or 'other'
+ */
+function categorizeByMetadata(info) {
+  if (!info) return 'other';
+  const text = [...info.keywords, info.description].join(' ').toLowerCase();
+  return KEYWORD_CATEGORIES.find(([, pattern]) => pattern.test(text))?.[0] || 'other';
+}
+
+/**
+ * Metadata of new packages by tag (config tools are not packages)
+ * Providers know npm packages only: a Python or Ruby dependency sharing an
+ * npm package's name must not get its description.
+ */
+async function lookupMetadata({ metadataProvider, packageEcosystems }, packages) {
+  const metadata = new Map();
+  if (!metadataProvider) return metadata;
+  
+  for (const pkg of packages.filter(tag => packageEcosystems.get(tag) === 'npm')) {
+    try {
+      const info = await metadataProvider.lookup(bareName(pkg));
+      if (info) metadata.set(pkg, info);
+    } catch (error) {
+      console.error(`[WARN] Package metadata lookup failed for ${pkg}:`, error.message);
+    }
+  }
+  return metadata;
+}
+
+/**
+ * First sentence of a package description, at most `maxWords` words
+ */
+function shortDescription(description, maxWords = 8) {
+  const sentence = description.split(/(?<=\.)\s/)[0].replace(/\.$/, '');
+  const words = sentence.split(/\s+/);
+  const text = words.length > maxWords ? `${words.slice(0, maxWords).join(' ')}…` : sentence;
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+// =============================================================================
+// MIGRATION DETECTION
+// =============================================================================
+
+// Days between removing a tool and adding its replacement that still count as one migration
+export const MIGRATION_WINDOW_DAYS = 14;
+
+// Categories whose tools replace one another: [description label, title label]
+const MIGRATION_CATEGORIES = {
+  testing: ['testing', 'Testing'],
+  build: ['build tooling', 'Build Tooling'],
+  linting: ['linting', 'Linting'],
+  formatting: ['formatting', 'Formatting'],
+  frontend: ['frontend', 'Frontend'],
+  backend: ['backend', 'Backend'],
+  database: ['database', 'Database'],
+  auth: ['authentication', 'Authentication'],
+  email: ['email', 'Email'],
+  payment: ['payments', 'Payment'],
+  validation: ['validation', 'Validation'],
+  infrastructure: ['infrastructure', 'Infrastructure'],
+  deployment: ['deployment', 'Deployment'],
+  cicd: ['CI/CD', 'CI/CD'],
+  scheduler: ['background jobs', 'Background Jobs'],
+  fileStorage: ['file storage', 'File Storage'],
+  monitoring: ['monitoring', 'Monitoring']
+};
+
+/**
+ * First name segment, so plugins and companions of a tool are not its replacement:
+ * "eslint-plugin-react" → "eslint", "@testing-library/react" → "testing"
+ */
+function toolFamily(tool) {
+  return bareName(tool).toLowerCase().replace(/^@/, '').split(/[-/._ ]/)[0];
+}
+
+function primaryTool(tools) {
+  return tools.slice().sort((a, b) => bareName(a).length - bareName(b).length)[0];
+}
+
+/**
+ * Pair removed and added tools of the same category and workspace: jest → vitest
+ * Returns [{ category, title, from, to, replaced }] where `replaced` are all removed tools it accounts for
+ */
+export function detectMigrations(removedTools, addedTools, categoryRules = []) {
+  const migrations = [];
+  const workspaces = new Set(addedTools.map(t => parseQualifiedPackage(t).workspace));
+  
+  for (const workspace of workspaces) {
+    const inWorkspace = t => parseQualifiedPackage(t).workspace === workspace;
+    const removedByCategory = categorizeLibraries(removedTools.filter(inWorkspace), categoryRules);
+    const addedByCategory = categorizeLibraries(addedTools.filter(inWorkspace), categoryRules);
+    
+    for (const [category, [label, title]] of Object.entries(MIGRATION_CATEGORIES)) {
+      const removedFamilies = new Set(removedByCategory[category].map(toolFamily));
+      const addedFamilies = new Set(addedByCategory[category].map(toolFamily));
+      const replaced = removedByCategory[category].filter(t => !addedFamilies.has(toolFamily(t)));
+      const replacements = addedByCategory[category].filter(t => !removedFamilies.has(toolFamily(t)));
+      
+      if (replaced.length > 0 && replacements.length > 0) {
+        migrations.push({ category: label, title, from: primaryTool(replaced), to: primaryTool(replacements), replaced });
+      }
+    }
+  }
+  
+  return migrations;
+}
+
+// =============================================================================
+// MAJOR UPGRADES
+// =============================================================================
+
+/**
+ * Phase for breaking version bumps of tracked libraries: "Upgraded react to v18"
+ * `upgrades` are [{ name, from, to }] with the declared version ranges
+ */
+export function generateUpgradePhaseInfo(upgrades) {
+  const describe = u => `${bareName(u.name)} from ${u.from} to ${u.to}`;
+  const title = upgrades.length === 1
+    ? `Upgraded ${bareName(upgrades[0].name)} to ${formatMajor(upgrades[0].to)}`
+    : 'Major Upgrades';
+  
+  return {
+    title,
+    description: `Upgraded ${upgrades.length <= 2 ? upgrades.map(describe).join(' and ') : `${upgrades.length} libraries to new major versions`}`,
+    icon: '⬆️',
+    tools: upgrades.map(u => u.name),
+    upgrades
+  };
+}
+
 // =============================================================================
 // PHASE INFO GENERATION
 // =============================================================================
@@ -208,8 +541,53 @@ function categorizeLibraries(libraries) {
 /**
  * Generate phase title and description based on introduced libraries
  * Following INSTRUCTIONS_TOOLING.md requirements
+ * Retired tools (removed dependencies, deleted config) are listed separately
+ * and may be introduced again by a later phase. A new tool replacing one
+ * retired today or recently (`recentlyRetired`) makes a migration card.
+ * `context` is the run's state from createToolingContext().
  */
-export async function generateToolingPhaseInfo(packageNames, configTools, changedFiles, isFirstDay = false) {
+export async function generateToolingPhaseInfo(context, packageNames, configTools, changedFiles, isFirstDay = false, retiredTools = [], recentlyRetired = []) {
+  const newPackages = packageNames.filter(pkg => !context.shownTools.has(pkg));
+  const metadata = await lookupMetadata(context, newPackages);
+  const described = await describeNewTools(context, packageNames, configTools, changedFiles, isFirstDay, metadata);
+  const descriptions = Object.fromEntries(described.tools
+    .filter(tool => metadata.get(tool)?.description)
+    .map(tool => [tool, metadata.get(tool).description]));
+  const phaseInfo = Object.keys(descriptions).length > 0 ? { ...described, descriptions } : described;
+  retiredTools.forEach(tool => context.shownTools.delete(tool));
+  const retired = retiredTools.length > 0 ? { retired: retiredTools } : {};
+  
+  const migrations = detectMigrations([...recentlyRetired, ...retiredTools], phaseInfo.tools, context.categoryRules);
+  if (migrations.length > 0) {
+    const describe = m => `${m.category} from ${bareName(m.from)} to ${bareName(m.to)}`;
+    return {
+      title: migrations.length === 1 ? `${migrations[0].title} Migration` : 'Tooling Migration',
+      description: `Migrated ${migrations.map(describe).join(' and ')}`,
+      icon: '🔀',
+      tools: phaseInfo.tools,
+      ...retired,
+      migrations
+    };
+  }
+  
+  if (retiredTools.length === 0) return phaseInfo;
+  
+  if (phaseInfo.tools.length > 0) {
+    return { ...phaseInfo, ...retired };
+  }
+  
+  const names = retiredTools.map(bareName);
+  return {
+    title: 'Tooling Cleanup',
+    description: `Removed ${names.length <= 2 ? names.join(' and ') : `${names.length} tools`}`,
+    icon: '🧹',
+    tools: [],
+    ...retired
+  };
+}
+
+async function describeNewTools(context, packageNames, configTools, changedFiles, isFirstDay, metadata) {
+  const { shownTools, categoryRules } = context;
   try {
     // Filter to only NEW tools
     const newPackages = packageNames.filter(pkg => !shownTools.has(pkg));
@@ -232,34 +610,45 @@ export async function generateToolingPhaseInfo(packageNames, configTools, change
     }
     
     // Categorize the libraries
-    const categories = categorizeLibraries(allNewTools);
+    const categories = categorizeLibraries(allNewTools, categoryRules, metadata);
   
   // MULTI-CATEGORY DETECTION - Check ALL categories, show max 3 in title
   const activeCategories = [];
-  if (categories.frontend.length > 0) activeCategories.push({ name: 'Frontend', icon: '🎨' });
-  if (categories.backend.length > 0) activeCategories.push({ name: 'Backend', icon: '⚡' });
-  if (categories.database.length > 0) activeCategories.push({ name: 'Database', icon: '🗄️' });
-  if (categories.auth.length > 0) activeCategories.push({ name: 'Authentication', icon: '🔐' });
-  if (categories.email.length > 0) activeCategories.push({ name: 'Email', icon: '📧' });
-  if (categories.payment.length > 0) activeCategories.push({ name: 'Payment', icon: '💳' });
-  if (categories.validation.length > 0) activeCategories.push({ name: 'Validation', icon: '✅' });
-  if (categories.testing.length > 0) activeCategories.push({ name: 'Testing', icon: '🧪' });
-  if (categories.build.length > 0) activeCategories.push({ name: 'Build', icon: '⚙️' });
+  if (categories.frontend.length > 0) activeCategories.push({ key: 'frontend', name: 'Frontend', icon: '🎨' });
+  if (categories.backend.length > 0) activeCategories.push({ key: 'backend', name: 'Backend', icon: '⚡' });
+  if (categories.database.length > 0) activeCategories.push({ key: 'database', name: 'Database', icon: '🗄️' });
+  if (categories.auth.length > 0) activeCategories.push({ key: 'auth', name: 'Authentication', icon: '🔐' });
+  if (categories.email.length > 0) activeCategories.push({ key: 'email', name: 'Email', icon: '📧' });
+  if (categories.payment.length > 0) activeCategories.push({ key: 'payment', name: 'Payment', icon: '💳' });
+  if (categories.validation.length > 0) activeCategories.push({ key: 'validation', name: 'Validation', icon: '✅' });
+  if (categories.testing.length > 0) activeCategories.push({ key: 'testing', name: 'Testing', icon: '🧪' });
+  if (categories.build.length > 0) activeCategories.push({ key: 'build', name: 'Build', icon: '⚙️' });
   if (categories.linting.length > 0 || categories.formatting.length > 0) {
-    activeCategories.push({ name: 'Linting', icon: '✨' });
+    activeCategories.push({ key: 'linting', name: 'Linting', icon: '✨' });
   }
   if (categories.typescript.length > 0 || configTools.includes('TypeScript')) {
-    activeCategories.push({ name: 'TypeScript', icon: '📘' });
+    activeCategories.push({ key: 'typescript', name: 'TypeScript', icon: '📘' });
   }
-  if (categories.deployment.length > 0 || configTools.some(t => /Railway|Vercel|Netlify|Heroku/.test(t))) {
-    activeCategories.push({ name: 'Deployment', icon: '🚀' });
+  if (categories.infrastructure.length > 0) activeCategories.push({ key: 'infrastructure', name: 'Infrastructure', icon: '🏗️' });
+  if (categories.deployment.length > 0 || configTools.some(t => /Railway|Vercel|Netlify|Heroku|Fly\.io|Render/.test(t))) {
+    activeCategories.push({ key: 'deployment', name: 'Deployment', icon: '🚀' });
   }
   if (categories.cicd.length > 0 || configTools.includes('GitHub Actions')) {
-    activeCategories.push({ name: 'CI/CD', icon: '🔄' });
+    activeCategories.push({ key: 'cicd', name: 'CI/CD', icon: '🔄' });
+  }
+  if (categories.scheduler.length > 0) activeCategories.push({ key: 'scheduler', name: 'Scheduler', icon: '⏰' });
+  if (categories.fileStorage.length > 0) activeCategories.push({ key: 'fileStorage', name: 'Storage', icon: '📁' });
+  if (categories.monitoring.length > 0) activeCategories.push({ key: 'monitoring', name: 'Monitoring', icon: '📊' });
+  
+  // Project rules: new categories lead, overrides rename built-in ones
+  activeCategories.unshift(...categoryRules
+    .filter(rule => !rule.builtin && categories[rule.id].length > 0)
+    .map(rule => ({ key: rule.id, name: rule.name, icon: rule.icon || '📦' })));
+  for (const category of activeCategories) {
+    const override = categoryRules.find(rule => rule.builtin && rule.id === category.key);
+    if (override?.name) category.name = override.name;
+    if (override?.icon) category.icon = override.icon;
   }
-  if (categories.scheduler.length > 0) activeCategories.push({ name: 'Scheduler', icon: '⏰' });
-  if (categories.fileStorage.length > 0) activeCategories.push({ name: 'Storage', icon: '📁' });
-  if (categories.monitoring.length > 0) activeCategories.push({ name: 'Monitoring', icon: '📊' });
   
   // Multi-category title (2+ categories, show max 3)
   if (activeCategories.length >= 2) {
@@ -267,11 +656,14 @@ export async function generateToolingPhaseInfo(packageNames, configTools, change
     const title = categoryNames.join(', ').replace(/, ([^,]*)$/, ' & $1') + ' Setup';
     const primaryIcon = activeCategories[0].icon;
     
+    // "infrastructure and ci/cd", never "... infrastructure infrastructure" whichever position it is in
+    const phrases = categoryNames.map(name => name.toLowerCase());
+    const suffix = phrases.some(phrase => /\binfrastructure$/.test(phrase)) ? '' : ' infrastructure';
     let description = '';
-    if (categoryNames.length === 2) {
-      description = `Configured ${categoryNames[0].toLowerCase()} and ${categoryNames[1].toLowerCase()} infrastructure`;
-    } else if (categoryNames.length === 3) {
-      description = `Set up ${categoryNames[0].toLowerCase()}, ${categoryNames[1].toLowerCase()} and ${categoryNames[2].toLowerCase()}`;
+    if (phrases.length === 2) {
+      description = `Configured ${phrases[0]} and ${phrases[1]}${suffix}`;
+    } else if (phrases.length === 3) {
+      description = `Set up ${phrases[0]}, ${phrases[1]} and ${phrases[2]}`;
     }
     
     return {
@@ -282,9 +674,16 @@ export async function generateToolingPhaseInfo(packageNames, configTools, change
     };
   }
   
+  // PROJECT CATEGORIES - rules with their own card text win over built-in cards
+  const ruleCategory = categoryRules.find(rule =>
+    (!rule.builtin || rule.title || rule.description) && categories[rule.id].length > 0);
+  if (ruleCategory) {
+    return describeRuleCategory(ruleCategory, categories[ruleCategory.id], allNewTools);
+  }
+  
   // EMAIL INTEGRATION
   if (categories.email.length > 0) {
-    const emailLib = categories.email[0];
+    const emailLib = bareName(categories.email[0]);
     return {
       title: 'Email Integration',
       description: `Added ${emailLib} for sending transactional emails`,
@@ -315,7 +714,7 @@ export async function generateToolingPhaseInfo(packageNames, configTools, change
   
   // DATABASE INTEGRATION
   if (categories.database.length > 0) {
-    const dbLib = categories.database[0];
+    const dbLib = bareName(categories.database[0]);
     return {
       title: 'Database Integration',
       description: `Set up ${dbLib} for data persistence`,
@@ -326,7 +725,7 @@ export async function generateToolingPhaseInfo(packageNames, configTools, change
   
   // VALIDATION
   if (categories.validation.length > 0) {
-    const valLib = categories.validation[0];
+    const valLib = bareName(categories.validation[0]);
     return {
       title: 'Validation Layer',
       description: `Added ${valLib} for data validation`,
@@ -337,7 +736,7 @@ export async function generateToolingPhaseInfo(packageNames, configTools, change
   
   // TESTING INFRASTRUCTURE
   if (categories.testing.length > 0) {
-    const testLib = categories.testing[0];
+    const testLib = bareName(categories.testing[0]);
     const testType = /playwright|cypress/i.test(testLib) ? 'end-to-end' : 'unit';
     return {
       title: 'Testing Infrastructure',
@@ -369,9 +768,10 @@ export async function generateToolingPhaseInfo(packageNames, configTools, change
   
   // LINTING ONLY
   if (categories.linting.length > 0) {
+    const linter = bareName(categories.linting[0]);
     return {
       title: 'Code Linting',
-      description: 'Added ESLint for code quality checks',
+      description: `Added ${/eslint/.test(linter) ? 'ESLint' : linter} for code quality checks`,
       icon: '✨',
       tools: allNewTools
     };
@@ -379,9 +779,10 @@ export async function generateToolingPhaseInfo(packageNames, configTools, change
   
   // FORMATTING ONLY
   if (categories.formatting.length > 0) {
+    const formatter = bareName(categories.formatting[0]);
     return {
       title: 'Code Formatting',
-      description: 'Added Prettier for consistent code style',
+      description: `Added ${/prettier/.test(formatter) ? 'Prettier' : formatter} for consistent code style`,
       icon: '✨',
       tools: allNewTools
     };
@@ -389,7 +790,7 @@ export async function generateToolingPhaseInfo(packageNames, configTools, change
   
   // BUILD TOOLS
   if (categories.build.length > 0) {
-    const buildTool = categories.build[0];
+    const buildTool = bareName(categories.build[0]);
     return {
       title: 'Build Tooling',
       description: `Configured ${buildTool} for fast development builds`,
@@ -398,9 +799,28 @@ export async function generateToolingPhaseInfo(packageNames, configTools, change
     };
   }
   
+  // CONTAINERS AND INFRASTRUCTURE
+  if (categories.infrastructure.length > 0) {
+    const infraTool = bareName(categories.infrastructure[0]);
+    if (/^docker/i.test(infraTool)) {
+      return {
+        title: 'Containerization',
+        description: `Containerized the application with ${infraTool}`,
+        icon: '🐳',
+        tools: allNewTools
+      };
+    }
+    return {
+      title: 'Infrastructure as Code',
+      description: `Defined infrastructure and deployments with ${infraTool}`,
+      icon: '🏗️',
+      tools: allNewTools
+    };
+  }
+  
   // DEPLOYMENT
-  if (categories.deployment.length > 0 || configTools.some(t => /Railway|Vercel|Netlify|Heroku/.test(t))) {
-    const platform = configTools.find(t => /Railway|Vercel|Netlify|Heroku/.test(t)) || 'cloud';
+  if (categories.deployment.length > 0 || configTools.some(t => /Railway|Vercel|Netlify|Heroku|Fly\.io|Render/.test(t))) {
+    const platform = configTools.find(t => /Railway|Vercel|Netlify|Heroku|Fly\.io|Render/.test(t)) || 'cloud';
     return {
       title: 'Deployment Setup',
       description: `Configured ${platform} for production hosting`,
@@ -421,7 +841,7 @@ export async function generateToolingPhaseInfo(packageNames, configTools, change
   
   // BACKGROUND JOBS
   if (categories.scheduler.length > 0) {
-    const schedulerLib = categories.scheduler[0];
+    const schedulerLib = bareName(categories.scheduler[0]);
     return {
       title: 'Background Jobs',
       description: `Added ${schedulerLib} for scheduled tasks`,
@@ -432,7 +852,7 @@ export async function generateToolingPhaseInfo(packageNames, configTools, change
   
   // FILE STORAGE
   if (categories.fileStorage.length > 0) {
-    const storageLib = categories.fileStorage[0];
+    const storageLib = bareName(categories.fileStorage[0]);
     return {
       title: 'File Storage',
       description: `Integrated ${storageLib} for file uploads`,
@@ -453,7 +873,7 @@ export async function generateToolingPhaseInfo(packageNames, configTools, change
   
   // BACKEND FRAMEWORK
   if (categories.backend.length > 0) {
-    const framework = categories.backend[0];
+    const framework = bareName(categories.backend[0]);
     return {
       title: 'Backend Framework',
       description: `Set up ${framework} server for API`,
@@ -464,7 +884,7 @@ export async function generateToolingPhaseInfo(packageNames, configTools, change
   
   // FRONTEND FRAMEWORK
   if (categories.frontend.length > 0) {
-    const framework = categories.frontend[0];
+    const framework = bareName(categories.frontend[0]);
     return {
       title: 'Frontend Framework',
       description: `Set up ${framework} for user interface`,
@@ -474,10 +894,13 @@ export async function generateToolingPhaseInfo(packageNames, configTools, change
   }
   
   // FALLBACK - Generic description
-  const primaryLib = allNewTools[0];
+  const primaryLib = bareName(allNewTools[0]);
+  const about = metadata.get(allNewTools[0])?.description;
   return {
     title: 'Dependencies Added',
-    description: `Added ${allNewTools.length === 1 ? primaryLib : `${allNewTools.length} new libraries`}`,
+    description: allNewTools.length === 1
+      ? `Added ${primaryLib}${about ? ` - ${shortDescription(about)}` : ''}`
+      : `Added ${allNewTools.length} new libraries`,
     icon: '📦',
     tools: allNewTools
   };
@@ -494,8 +917,19 @@ export async function generateToolingPhaseInfo(packageNames, configTools, change
 }
 
 /**
- * Reset shown tools (for testing/re-runs)
+ * Card for a category from the project rules file
+ * Description templates fill in {library}, {libraries} and {count}
  */
-export function resetShownTools() {
-  shownTools.clear();
+function describeRuleCategory(rule, libraries, tools) {
+  const names = libraries.map(bareName);
+  const template = rule.description || (names.length === 1 ? 'Added {library}' : 'Added {count} libraries');
+  return {
+    title: rule.title || rule.name || MIGRATION_CATEGORIES[rule.id]?.[1] || rule.id,
+    description: template
+      .replaceAll('{library}', names[0])
+      .replaceAll('{libraries}', names.join(', '))
+      .replaceAll('{count}', String(names.length)),
+    icon: rule.icon || '📦',
+    tools
+  };
 }
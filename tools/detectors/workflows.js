@@ -0,0 +1,297 @@
+/**
+ * Workflow Detection - GitHub Actions pipelines and what they do over time
+ *
+ * Workflow diffs (.github/workflows/*.yml) are read line by line: new workflow
+ * files are new pipelines, `uses:` lines are actions, and known steps and keys
+ * are capabilities (CodeQL scanning, release publishing, matrix testing...).
+ *
+ * The YAML is never parsed, so keys are known by their text alone: `matrix:` and
+ * `environment:` count at any indentation (an action input named `environment`
+ * reads as a deployment job), and a pipeline is only named from the top-level
+ * `name:` line of a new workflow file; other workflows go by their file name.
+ *
+ * Per-commit changes are cached with the tooling analysis: bump
+ * DETECTOR_VERSION in tooling.js whenever they change.
+ */
+
+// Diffs collected with the manifests
+export const WORKFLOW_FILES = ['.github/workflows/*.yml', '.github/workflows/*.yaml'];
+
+const WORKFLOW_PATH = /^\.github\/workflows\/[^/]+\.ya?ml$/;
+
+// Capabilities by the lines that provide them, in display order
+const CAPABILITIES = [
+  {
+    id: 'codeql',
+    label: 'CodeQL Scanning',
+    phrase: 'CodeQL security scanning',
+    icon: '🛡️',
+    pattern: /uses:\s*['"]?github\/codeql-action\//
+  },
+  {
+    id: 'release',
+    label: 'Release Publishing',
+    phrase: 'release publishing',
+    icon: '📦',
+    pattern: /uses:\s*['"]?(softprops\/action-gh-release|ncipollo\/release-action|changesets\/action|pypa\/gh-action-pypi-publish|goreleaser\/goreleaser-action|JS-DevTools\/npm-publish)|\b(npm|yarn|pnpm) publish\b|semantic-release|twine upload|cargo publish/
+  },
+  {
+    id: 'container',
+    label: 'Container Publishing',
+    phrase: 'container image publishing',
+    icon: '🐳',
+    pattern: /uses:\s*['"]?docker\/build-push-action|\bdocker push\b/
+  },
+  {
+    id: 'deployment',
+    label: 'Deployment Jobs',
+    phrase: 'deployment jobs',
+    icon: '🚀',
+    pattern: /^\s+environment:|uses:\s*['"]?(actions\/deploy-pages|peaceiris\/actions-gh-pages|aws-actions\/|azure\/webapps-deploy|google-github-actions\/deploy|amondnet\/vercel-action|superfly\/flyctl-actions|cloudflare\/wrangler-action)/
+  },
+  {
+    id: 'matrix',
+    label: 'Matrix Testing',
+    phrase: 'matrix testing',
+    icon: '🧪',
+    pattern: /^\s+matrix:/
+  },
+  {
+    id: 'coverage',
+    label: 'Coverage Reports',
+    phrase: 'coverage reporting',
+    icon: '📊',
+    pattern: /uses:\s*['"]?(codecov\/codecov-action|coverallsapp\/github-action)/
+  },
+  {
+    id: 'schedule',
+    label: 'Scheduled Runs',
+    phrase: 'scheduled runs',
+    icon: '⏰',
+    pattern: /^\s*-?\s*cron:/
+  }
+];
+
+function basename(filePath) {
+  return filePath.split('/').pop();
+}
+
+/**
+ * Action of a `uses:` line as owner/repo ("github/codeql-action/init@v3" → "github/codeql-action")
+ * Local actions (./...) and docker:// images are not actions to track
+ */
+function parseAction(line) {
+  const match = line.match(/uses:\s*['"]?([\w.-]+\/[\w.-]+)[^@\s'"]*@/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Node versions of a matrix, inline ("node-version: [18.x, 20.x]") or as a block list
+ */
+function parseNodeVersions(lines) {
+  const versions = [];
+  let inList = false;
+  
+  for (const line of lines) {
+    const inline = line.match(/^\s+(node-version|node):\s*\[([^\]]*)\]/);
+    if (inline) {
+      versions.push(...inline[2].split(','));
+      inList = false;
+      continue;
+    }
+    if (/^\s+(node-version|node):\s*$/.test(line)) {
+      inList = true;
+      continue;
+    }
+    const item = inList && line.match(/^\s+-\s*(.+)$/);
+    if (item) versions.push(item[1]);
+    else inList = false;
+  }
+  
+  return [...new Set(versions
+    .map(v => v.trim().replace(/^['"]|['"]$/g, '').replace(/\.x$/, ''))
+    .filter(v => /^\d/.test(v)))];
+}
+
+// =============================================================================
+// PER-COMMIT CHANGES
+// =============================================================================
+
+/**
+ * Workflow changes in one commit:
+ * [{ path, oldPath, name, status: 'added' | 'modified' | 'renamed' | 'removed', actions,
+ *    removedActions, capabilities, removedCapabilities, nodeVersions }]
+ */
+export function extractWorkflowChanges(files, manifestDiffs) {
+  const changes = [];
+  
+  for (const f of files) {
+    const renamed = f.status === 'R' && WORKFLOW_PATH.test(f.oldPath);
+    if (renamed && !WORKFLOW_PATH.test(f.path)) {
+      changes.push({ path: f.oldPath, oldPath: null, name: null, status: 'removed', actions: [], removedActions: [], capabilities: [], removedCapabilities: [], nodeVersions: [] });
+    }
+    if (!WORKFLOW_PATH.test(f.path)) continue;
+  
+    const lines = (manifestDiffs[f.path] || '').split('\n')
+      .filter(line => !line.startsWith('+++') && !line.startsWith('---'));
+    const added = lines.filter(line => line.startsWith('+')).map(line => line.slice(1));
+    const removed = lines.filter(line => line.startsWith('-')).map(line => line.slice(1));
+  
+    const actionsIn = text => [...new Set(text.map(parseAction).filter(Boolean))];
+    const capabilitiesIn = text => CAPABILITIES.filter(c => text.some(line => c.pattern.test(line))).map(c => c.id);
+    const addedActions = actionsIn(added);
+    const addedCapabilities = capabilitiesIn(added);
+  
+    let status = 'modified';
+    if (f.status === 'D') status = 'removed';
+    else if (renamed) status = 'renamed';
+    else if (f.status !== 'M') status = 'added';
+    
+    // A modified file's added `name:` may sit in any hunk, so only a new file names its pipeline
+    const name = status === 'added' && added.map(line => line.match(/^name:\s*['"]?(.+?)['"]?\s*$/)).find(Boolean)?.[1];
+    
+    changes.push({
+      path: f.path,
+      oldPath: renamed ? f.oldPath : null,
+      name: name || basename(f.path).replace(/\.ya?ml$/, ''),
+      status,
+      actions: addedActions,
+      removedActions: actionsIn(removed).filter(a => !addedActions.includes(a)),
+      capabilities: addedCapabilities,
+      removedCapabilities: capabilitiesIn(removed).filter(c => !addedCapabilities.includes(c)),
+      nodeVersions: parseNodeVersions(added)
+    });
+  }
+  
+  return changes;
+}
+
+// =============================================================================
+// WORKFLOW STATE
+// =============================================================================
+
+/**
+ * Empty state for a timeline run: which workflows provide each action and capability
+ */
+export function createWorkflowState() {
+  return { workflows: new Map(), actions: new Map(), capabilities: new Map(), nodeVersions: new Set() };
+}
+
+function provide(index, key, workflowPath) {
+  if (!index.has(key)) index.set(key, new Set());
+  const providers = index.get(key);
+  const isNew = providers.size === 0;
+  providers.add(workflowPath);
+  return isNew;
+}
+
+function withdraw(index, workflowPath, keys = Array.from(index.keys())) {
+  keys.forEach(key => index.get(key)?.delete(workflowPath));
+}
+
+function move(index, fromPath, toPath) {
+  for (const providers of index.values()) {
+    if (providers.delete(fromPath)) providers.add(toPath);
+  }
+}
+
+/**
+ * Apply one day's changes (oldest first) to `state`
+ * Returns what the timeline hasn't shown yet: { pipelines, actions, capabilities, nodeVersions }
+ * An action or capability dropped by every workflow counts as new again when it returns.
+ */
+export function applyWorkflowChanges(state, changes) {
+  const update = { pipelines: [], actions: [], capabilities: [], nodeVersions: [] };
+  
+  for (const change of changes) {
+    if (change.status === 'removed') {
+      state.workflows.delete(change.path);
+      withdraw(state.actions, change.path);
+      withdraw(state.capabilities, change.path);
+      continue;
+    }
+    
+    // A renamed workflow is the same pipeline
+    if (change.status === 'renamed' && state.workflows.has(change.oldPath)) {
+      state.workflows.delete(change.oldPath);
+      state.workflows.set(change.path, change.name);
+      move(state.actions, change.oldPath, change.path);
+      move(state.capabilities, change.oldPath, change.path);
+    }
+    
+    if (!state.workflows.has(change.path)) update.pipelines.push(change.name);
+    state.workflows.set(change.path, change.name);
+    withdraw(state.actions, change.path, change.removedActions);
+    withdraw(state.capabilities, change.path, change.removedCapabilities);
+  
+    change.actions.filter(a => provide(state.actions, a, change.path)).forEach(a => update.actions.push(a));
+    change.capabilities.filter(c => provide(state.capabilities, c, change.path)).forEach(c => update.capabilities.push(c));
+    for (const version of change.nodeVersions) {
+      if (!state.nodeVersions.has(version)) update.nodeVersions.push(version);
+      state.nodeVersions.add(version);
+    }
+  }
+  
+  return {
+    pipelines: [...new Set(update.pipelines)],
+    actions: [...new Set(update.actions)],
+    capabilities: CAPABILITIES.filter(c => update.capabilities.includes(c.id)),
+    nodeVersions: update.nodeVersions
+  };
+}
+
+/**
+ * Whether a day's update is worth a phase
+ */
+export function hasWorkflowUpdate(update) {
+  return update.pipelines.length > 0 || update.actions.length > 0 ||
+    update.capabilities.length > 0 || update.nodeVersions.length > 0;
+}
+
+// =============================================================================
+// PHASE INFO GENERATION
+// =============================================================================
+
+function joinPhrases(phrases) {
+  return phrases.length <= 2 ? phrases.join(' and ') : `${phrases.slice(0, -1).join(', ')} and ${phrases[phrases.length - 1]}`;
+}
+
+/**
+ * One phase for a day's workflow update
+ * e.g. "New Workflow: Release" - "Added the Release workflow with release publishing and container image publishing"
+ */
+export function generateWorkflowPhaseInfo({ pipelines, actions, capabilities, nodeVersions }) {
+  const matrix = nodeVersions.length > 0 ? `Node ${joinPhrases(nodeVersions)}` : null;
+  const features = capabilities.map(c => (c.id === 'matrix' && matrix ? `${c.phrase} on ${matrix}` : c.phrase));
+  const withFeatures = features.length > 0 ? ` with ${joinPhrases(features)}` : '';
+  const newMatrix = matrix && !capabilities.some(c => c.id === 'matrix');
+  
+  let title;
+  let description;
+  let icon = capabilities.length === 1 && pipelines.length === 0 ? capabilities[0].icon : '🔄';
+  if (pipelines.length > 0) {
+    title = pipelines.length === 1 ? `New Workflow: ${pipelines[0]}` : 'New Workflows';
+    description = pipelines.length === 1
+      ? `Added the ${pipelines[0]} workflow${withFeatures}`
+      : `Added ${joinPhrases(pipelines)} workflows${withFeatures}`;
+  } else if (capabilities.length > 0) {
+    title = capabilities.length === 1 ? capabilities[0].label : 'Workflow Capabilities';
+    description = `Extended workflows${withFeatures}`;
+  } else if (newMatrix) {
+    title = 'Matrix Testing';
+    description = `Extended the test matrix to ${matrix}`;
+    icon = '🧪';
+  } else {
+    title = 'Workflow Steps';
+    description = `Added ${joinPhrases(actions)} to workflows`;
+  }
+  if (newMatrix && title !== 'Matrix Testing') description += `, testing on ${matrix}`;
+  
+  return {
+    title,
+    description,
+    icon,
+    tools: actions,
+    capabilities: capabilities.map(c => c.id)
+  };
+}
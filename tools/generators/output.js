@@ -10,10 +10,33 @@ import path from 'node:path';
 // HTML TIMELINE GENERATION
 // =============================================================================
 
-export function generateTimelineHtml(filepath, title, events) {
-  const projectName = 'Project';
-  const headerIcon = title.includes('Feature') ? '📅' : '🔧';
-  
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Release marker between date groups
+ */
+function renderMilestone(milestone) {
+  const formattedDate = new Date(milestone.date).toLocaleDateString('en-US', { 
+    month: 'long', day: 'numeric', year: 'numeric' 
+  });
+  return `
+    <section class="milestone">
+      <span class="milestone-label">🏁 ${escapeHtml(milestone.name)}</span>
+      <span class="milestone-date">${formattedDate}</span>
+    </section>`;
+}
+
+/**
+ * Render date-grouped timeline items for a list of events, with each
+ * milestone placed after the last date group it covers
+ */
+function renderTimelineItems(events, milestones = []) {
   // Group events by date
   const eventsByDate = new Map();
   for (const event of events) {
@@ -26,7 +49,16 @@ export function generateTimelineHtml(filepath, title, events) {
   const sortedDates = Array.from(eventsByDate.keys()).sort((a, b) => a.localeCompare(b));
   
   // Generate timeline items grouped by date
-  const timelineItems = sortedDates.map((date) => {
+  let nextMilestone = 0;
+  const milestonesBefore = (date) => {
+    let html = '';
+    while (nextMilestone < milestones.length && (!date || milestones[nextMilestone].date < date)) {
+      html += renderMilestone(milestones[nextMilestone++]);
+    }
+    return html;
+  };
+  
+  return sortedDates.map((date) => {
     const dateEvents = eventsByDate.get(date);
     const formattedDate = new Date(date).toLocaleDateString('en-US', { 
       month: 'long', day: 'numeric', year: 'numeric' 
@@ -35,27 +67,41 @@ export function generateTimelineHtml(filepath, title, events) {
     // Create cards for all events on this date
     const cardsHtml = dateEvents.map(event => {
       const tags = event.tags || [];
+      const retired = event.retired || [];
       const description = event.description || '';
       const icon = event.icon || '✨';
       
-      const tagsHtml = tags.length > 0 
-        ? '<div class="tags">' + tags.map(tag => '<span class="tag">' + tag + '</span>').join('') + '</div>'
+      const tagsHtml = tags.length > 0 || retired.length > 0
+        ? '<div class="tags">' +
+          tags.map(tag => {
+            // Package description as a tooltip, when known
+            const about = event.descriptions?.[tag];
+            return '<span class="tag"' + (about ? ` title="${escapeHtml(about)}"` : '') + '>' + escapeHtml(tag) + '</span>';
+          }).join('') +
+          retired.map(tag => '<span class="tag retired" title="Retired">' + escapeHtml(tag) + '</span>').join('') +
+          '</div>'
         : '';
       
-      const descHtml = description ? '<div class="card-description">' + description + '</div>' : '';
+      const descHtml = description ? '<div class="card-description">' + escapeHtml(description) + '</div>' : '';
+      const releaseHtml = event.release ? `<span class="release">🏷️ ${escapeHtml(event.release)}</span>` : '';
+      const contributorsHtml = event.contributors?.length
+        ? `<div class="contributors">👤 ${event.contributors.map(escapeHtml).join(', ')}</div>`
+        : '';
       
       return `
         <div class="card">
           <div class="card-header">
             <span class="emoji">${icon}</span>
-            <div class="card-title">${event.title}</div>
+            <div class="card-title">${escapeHtml(event.title)}</div>
+            ${releaseHtml}
           </div>
           ${descHtml}
           ${tagsHtml}
+          ${contributorsHtml}
         </div>`;
     }).join('');
     
-    return `
+    return milestonesBefore(date) + `
     <div class="timeline-item">
       <div class="timeline-dot"></div>
       <div class="timeline-content">
@@ -65,7 +111,34 @@ export function generateTimelineHtml(filepath, title, events) {
         </div>
       </div>
     </div>`;
-  }).join('');
+  }).join('') + milestonesBefore(null);
+}
+
+/**
+ * options.range - selected history label (ref, branches, date window), shown under the title
+ * options.milestones - releases ({ name, date }, oldest first) drawn between date groups
+ * Events with a `lane` (e.g. workspace, contributor) are rendered as one timeline per lane
+ */
+export function generateTimelineHtml(filepath, title, events, options = {}) {
+  const projectName = 'Project';
+  const headerIcon = title.includes('Feature') ? '📅' : '🔧';
+  const rangeHtml = options.range ? `<div class="range">${escapeHtml(options.range)}</div>` : '';
+  const milestones = options.milestones || [];
+  
+  let timelinesHtml;
+  if (events.some(e => e.lane)) {
+    const lanes = Array.from(new Set(events.map(e => e.lane || 'root'))).sort((a, b) => a.localeCompare(b));
+    timelinesHtml = lanes.map(lane => `
+  <h2 class="lane-header">${escapeHtml(lane)}</h2>
+  <div class="timeline">
+    ${renderTimelineItems(events.filter(e => (e.lane || 'root') === lane), milestones)}
+  </div>`).join('');
+  } else {
+    timelinesHtml = `
+  <div class="timeline">
+    ${renderTimelineItems(events, milestones)}
+  </div>`;
+  }
   
   const html = `<!DOCTYPE html>
 <html lang="en">
@@ -95,11 +168,23 @@ export function generateTimelineHtml(filepath, title, events) {
       justify-content: center;
       gap: 12px;
     }
+    .header .range {
+      margin-top: 10px;
+      font-size: 15px;
+      opacity: 0.85;
+    }
     .timeline {
       max-width: 1200px;
       margin: 0 auto;
       position: relative;
     }
+    .lane-header {
+      max-width: 1200px;
+      margin: 20px auto 30px;
+      color: white;
+      font-size: 24px;
+      text-align: center;
+    }
     .timeline::before {
       content: '';
       position: absolute;
@@ -119,11 +204,34 @@ export function generateTimelineHtml(filepath, title, events) {
       padding-left: 0;
       padding-right: 50%;
     }
-    .timeline-item:nth-child(even) {
+    /* of-type: milestone <section>s between items must not break the alternation */
+    .timeline-item:nth-of-type(even) {
       justify-content: flex-end;
       padding-left: 50%;
       padding-right: 0;
     }
+    .milestone {
+      position: relative;
+      z-index: 1;
+      text-align: center;
+      margin-bottom: 50px;
+    }
+    .milestone-label {
+      display: inline-block;
+      background: white;
+      color: #764ba2;
+      padding: 8px 20px;
+      border-radius: 20px;
+      font-weight: 700;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+    }
+    .milestone-date {
+      display: block;
+      margin-top: 6px;
+      color: white;
+      font-size: 12px;
+      opacity: 0.85;
+    }
     .timeline-dot {
       position: absolute;
       left: 50%;
@@ -182,6 +290,13 @@ export function generateTimelineHtml(filepath, title, events) {
       font-weight: 700;
       color: #333;
     }
+    .release {
+      margin-left: auto;
+      font-size: 12px;
+      font-weight: 600;
+      color: #764ba2;
+      white-space: nowrap;
+    }
     .card-description {
       font-size: 14px;
       color: #666;
@@ -208,6 +323,19 @@ export function generateTimelineHtml(filepath, title, events) {
       content: '🌙';
       font-size: 14px;
     }
+    .tag.retired {
+      background: #f0f0f0;
+      color: #999;
+      text-decoration: line-through;
+    }
+    .tag.retired::before {
+      content: '🪦';
+    }
+    .contributors {
+      margin-top: 14px;
+      font-size: 12px;
+      color: #999;
+    }
     @media (max-width: 768px) {
       .timeline::before {
         left: 20px;
@@ -231,11 +359,9 @@ export function generateTimelineHtml(filepath, title, events) {
       <span>${headerIcon}</span>
       <span>${projectName} - ${title}</span>
     </h1>
+    ${rangeHtml}
   </div>
-  
-  <div class="timeline">
-    ${timelineItems}
-  </div>
+  ${timelinesHtml}
 </body>
 </html>`;
   
@@ -246,13 +372,35 @@ export function generateTimelineHtml(filepath, title, events) {
 // MARKDOWN GENERATION
 // =============================================================================
 
-export function generateTimelineMd(filepath, title, events) {
+/**
+ * options.laneLabel - what a lane is ("Workspace" by default, "Contributor")
+ */
+export function generateTimelineMd(filepath, title, events, options = {}) {
+  const laneLabel = options.laneLabel || 'Workspace';
   let content = `# ${title}\n\n`;
   content += `Generated: ${new Date().toISOString()}\n\n`;
+  if (options.range) {
+    content += `Range: \`${options.range}\`\n\n`;
+  }
   content += `Total phases: **${events.length}**\n\n`;
   content += `---\n\n`;
   
+  // Each release follows the last phase it covers
+  const milestones = options.milestones || [];
+  let nextMilestone = 0;
+  const milestonesBefore = (date) => {
+    while (nextMilestone < milestones.length && (!date || milestones[nextMilestone].date < date)) {
+      const m = milestones[nextMilestone++];
+      const formattedDate = new Date(m.date).toLocaleDateString('en-US', { 
+        month: 'long', day: 'numeric', year: 'numeric' 
+      });
+      content += `## 🏁 Release ${m.name}\n\n**${formattedDate}**\n\n---\n\n`;
+    }
+  };
+  
   for (const e of events) {
+    milestonesBefore(e.date);
+    
     const formattedDate = new Date(e.date).toLocaleDateString('en-US', { 
       month: 'long', day: 'numeric', year: 'numeric' 
     });
@@ -260,6 +408,14 @@ export function generateTimelineMd(filepath, title, events) {
     content += `## ${e.icon} ${e.title}\n\n`;
     content += `**${formattedDate}**\n\n`;
     
+    if (e.lane) {
+      content += `**${laneLabel}:** ${e.lane}\n\n`;
+    }
+    
+    if (e.release) {
+      content += `**Release:** ${e.release}\n\n`;
+    }
+    
     if (e.description) {
       content += `${e.description}\n\n`;
     }
@@ -268,8 +424,17 @@ export function generateTimelineMd(filepath, title, events) {
       content += `**Tags:** ${e.tags.map(t => `\`${t}\``).join(' ')}\n\n`;
     }
     
+    if (e.retired?.length) {
+      content += `**Retired:** ${e.retired.map(t => `~~\`${t}\`~~`).join(' ')}\n\n`;
+    }
+    
+    if (e.contributors?.length) {
+      content += `**Contributors:** ${e.contributors.join(', ')}\n\n`;
+    }
+    
     content += `---\n\n`;
   }
+  milestonesBefore(null);
   
   writeFileSync(filepath, content, 'utf8');
 }
@@ -278,7 +443,7 @@ export function generateTimelineMd(filepath, title, events) {
 // DASHBOARD GENERATION
 // =============================================================================
 
-export function generateDashboard(repoPath, featureEvents = [], toolingEvents = []) {
+export function generateDashboard(repoPath, featureEvents = [], toolingEvents = [], options = {}) {
   const timelineDir = path.join(repoPath, '.timeline');
   mkdirSync(timelineDir, { recursive: true });
   
@@ -289,16 +454,27 @@ export function generateDashboard(repoPath, featureEvents = [], toolingEvents =
   const featureRows = safeFeatureEvents.slice(0, 8).map(e => {
     const formattedDate = new Date(e.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
     return `<tr>
-      <td><strong>${e.icon} ${e.title}</strong><br><small style="color:#999">${formattedDate}</small></td>
-      <td>${e.description || ''}</td>
+      <td><strong>${e.icon} ${escapeHtml(e.title)}</strong><br><small style="color:#999">${formattedDate}</small></td>
+      <td>${escapeHtml(e.description || '')}</td>
     </tr>`;
   }).join('');
 
   const toolingRows = safeToolingEvents.slice(0, 8).map(e => {
     const formattedDate = new Date(e.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
     return `<tr>
-      <td><strong>${e.icon} ${e.title}</strong><br><small style="color:#999">${formattedDate}</small></td>
-      <td>${e.tags?.join(', ') || ''}</td>
+      <td><strong>${e.icon} ${escapeHtml(e.title)}</strong><br><small style="color:#999">${formattedDate}</small></td>
+      <td>${escapeHtml(e.tags?.join(', ') || '')}${e.retired?.length ? `<br><small style="color:#999">Retired: ${escapeHtml(e.retired.join(', '))}</small>` : ''}</td>
+    </tr>`;
+  }).join('');
+
+  // Phases shipped in each release, newest release first
+  const milestones = options.milestones || [];
+  const releaseRows = milestones.slice().reverse().slice(0, 8).map(m => {
+    const formattedDate = new Date(m.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    const phases = [...safeFeatureEvents, ...safeToolingEvents].filter(e => e.release === m.name).length;
+    return `<tr>
+      <td><strong>🏁 ${escapeHtml(m.name)}</strong><br><small style="color:#999">${formattedDate}</small></td>
+      <td>${phases} phase${phases === 1 ? '' : 's'}</td>
     </tr>`;
   }).join('');
 
@@ -358,10 +534,14 @@ export function generateDashboard(repoPath, featureEvents = [], toolingEvents =
         <div class="stat-label">Tooling Phases</div>
         <div class="stat-value">${toolingEvents.length}</div>
       </div>
+      <div class="stat-group">
+        <div class="stat-label">Releases</div>
+        <div class="stat-value">${milestones.length}</div>
+      </div>
     </aside>
     <div class="main">
       <h1>📊 Project Timeline</h1>
-      <p class="meta">Generated: ${new Date().toLocaleString()}</p>
+      <p class="meta">Generated: ${new Date().toLocaleString()}${options.range ? ` · Range: ${escapeHtml(options.range)}` : ''}</p>
       <div class="links">
         <a href="FEATURE_TIMELINE.html" class="link-btn">📦 View Features</a>
         <a href="TOOLING_TIMELINE.html" class="link-btn">🔧 View Tooling</a>
@@ -382,6 +562,14 @@ export function generateDashboard(repoPath, featureEvents = [], toolingEvents =
           <tbody>${toolingRows || '<tr><td colspan="2">No tooling detected</td></tr>'}</tbody>
         </table>
       </div>
+      ${releaseRows ? `
+      <div class="section">
+        <div class="section-title">🏁 Releases</div>
+        <table>
+          <thead><tr><th>Release</th><th>Shipped</th></tr></thead>
+          <tbody>${releaseRows}</tbody>
+        </table>
+      </div>` : ''}
     </div>
   </div>
 </body>
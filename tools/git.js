@@ -1,42 +1,161 @@
 /**
  * Git History Timeline Analyzer
  * 
- * Generates Feature and Tooling timelines from git history.
+ * Generates Feature, Tooling, API and Data Model timelines from git history.
  * See INSTRUCTIONS.md for detailed specifications.
  * 
  * This is the main entry point that coordinates the modular components:
  * - utils/git-commands.js    - Git command utilities
+ * - utils/analysis-cache.js  - Per-commit analysis cache in .timeline/
+ * - utils/semver.js          - Version range parsing for upgrade phases
+ * - utils/category-rules.js  - Project-level tooling categories (.timeline-categories.json)
+ * - utils/package-metadata.js - Package descriptions (node_modules, offline catalog, registry)
  * - detectors/tooling.js     - Tooling detection from package.json
+ * - detectors/manifests.js   - Dependency parsers per ecosystem (npm, Python, Go, ...)
+ * - detectors/environment.js - Package manager and runtime version detection
+ * - detectors/workflows.js   - GitHub Actions pipelines and capabilities
+ * - detectors/containers.js  - Dockerfile base images and compose services
+ * - detectors/scripts.js     - package.json scripts as project workflows
  * - detectors/features.js    - Feature detection from file paths
+ * - detectors/symbols.js     - Newly exported functions, classes and components (opt-in)
+ * - detectors/routes.js      - HTTP endpoints from route definitions
+ * - detectors/schema.js      - Tables, models and columns from migrations and schemas
  * - generators/output.js     - HTML, Markdown, Dashboard generation
  */
 
 import path from 'node:path';
+import { readFileSync } from 'node:fs';
+import { createHash } from 'node:crypto';
 
 // Git utilities
 import {
   ensureRepo,
-  listCommits,
-  getCommitDiff,
-  getFileDiff,
+  getHeadHash,
+  isAncestor,
+  buildRevisionArgs,
+  listCommitHashes,
+  listCommitParents,
+  listTags,
+  streamCommits,
+  getCommitFullDiff,
+  getCommitPatches,
   toDateIso
 } from './utils/git-commands.js';
 
+// Analysis cache
+import { loadAnalysisCache, saveAnalysisCache, loadCommitCache, saveCommitCache } from './utils/analysis-cache.js';
+
+// Typed git failures
+import { GitError, GitAbortedError, GitTimeoutError } from './utils/git-errors.js';
+
+// Project-level category rules (.timeline-categories.json)
+import { loadCategoryRules, CategoryRulesError } from './utils/category-rules.js';
+
+// Package descriptions and keywords, cached in .timeline/
+import { createMetadataProvider } from './utils/package-metadata.js';
+
 // Tooling detection
 import {
-  extractAddedDependencies,
+  DETECTOR_VERSION as TOOLING_DETECTOR_VERSION,
+  getWorkspaceName,
+  qualifyPackage,
+  parseQualifiedPackage,
+  CONTENT_INSPECTED_FILES,
   extractToolsFromConfigFiles,
+  detectConfigTool,
   generateToolingPhaseInfo,
-  resetShownTools
+  generateUpgradePhaseInfo,
+  MIGRATION_WINDOW_DAYS,
+  createToolingContext
 } from './detectors/tooling.js';
 
+// Manifest parsers (npm, Python, Go, Rust, Java, Ruby)
+import {
+  getManifestFiles,
+  getManifestEcosystem,
+  extractManifestDependencies,
+  extractManifestRemovals,
+  extractManifestVersions,
+  extractVersionChanges
+} from './detectors/manifests.js';
+
+// Package manager and runtime detection
+import {
+  RUNTIME_FILES,
+  extractEnvironmentChanges,
+  applyEnvironmentChanges,
+  generateEnvironmentPhaseInfo
+} from './detectors/environment.js';
+
+// GitHub Actions workflows
+import {
+  WORKFLOW_FILES,
+  extractWorkflowChanges,
+  createWorkflowState,
+  applyWorkflowChanges,
+  hasWorkflowUpdate,
+  generateWorkflowPhaseInfo
+} from './detectors/workflows.js';
+
+// Dockerfiles and compose files
+import {
+  CONTAINER_FILES,
+  extractContainerChanges,
+  createContainerState,
+  applyContainerChanges,
+  generateContainerPhaseInfo
+} from './detectors/containers.js';
+
+// package.json scripts
+import {
+  extractScriptChanges,
+  createScriptState,
+  applyScriptChanges,
+  hasScriptUpdate,
+  generateScriptPhaseInfo
+} from './detectors/scripts.js';
+
+// Version ranges
+import { isMajorUpgrade } from './utils/semver.js';
+
 // Feature detection
 import {
+  DETECTOR_VERSION as FEATURE_DETECTOR_VERSION,
   isSourceFile,
+  extractMoves,
   detectDomainFromFiles,
   generateFeaturePhaseInfo
 } from './detectors/features.js';
 
+// Exported symbols from JS/TS diffs (content-aware feature detection)
+import {
+  DETECTOR_VERSION as SYMBOL_DETECTOR_VERSION,
+  isSymbolSource,
+  extractSymbols
+} from './detectors/symbols.js';
+
+// HTTP endpoints from route definitions
+import {
+  DETECTOR_VERSION as ROUTE_DETECTOR_VERSION,
+  isRouteSource,
+  extractRouteChanges,
+  createRouteState,
+  applyRouteChanges,
+  hasRouteUpdate,
+  generateApiPhaseInfo
+} from './detectors/routes.js';
+
+// Tables, models and columns from migrations and schema files
+import {
+  DETECTOR_VERSION as SCHEMA_DETECTOR_VERSION,
+  isSchemaSource,
+  extractSchemaChanges,
+  createSchemaState,
+  applySchemaChanges,
+  hasSchemaUpdate,
+  generateSchemaPhaseInfo
+} from './detectors/schema.js';
+
 // Output generators
 import {
   generateTimelineHtml,
@@ -45,134 +164,765 @@ import {
   ensureTimelineDir
 } from './generators/output.js';
 
+// =============================================================================
+// PER-COMMIT ANALYSIS (CACHED)
+// =============================================================================
+
+// Bump when the shape of cached commit records changes
+const ANALYSIS_SCHEMA = 6;
+const ANALYSIS_VERSION = `${ANALYSIS_SCHEMA}:features@${FEATURE_DETECTOR_VERSION}+tooling@${TOOLING_DETECTOR_VERSION}`;
+
+/**
+ * Cached authors are already mailmapped and cached domains already follow the
+ * category rules, so editing .mailmap or the rules file invalidates the cache too
+ */
+function getAnalysisVersion(repoPath, categoryRulesHash) {
+  const version = categoryRulesHash ? `${ANALYSIS_VERSION}+categories@${categoryRulesHash}` : ANALYSIS_VERSION;
+  try {
+    const mailmap = createHash('sha1').update(readFileSync(path.join(repoPath, '.mailmap'))).digest('hex');
+    return `${version}+mailmap@${mailmap.slice(0, 12)}`;
+  } catch {
+    return version;
+  }
+}
+
+/**
+ * Run the per-commit detectors once; the result is what gets cached
+ */
+function analyzeCommit(c, categoryRules) {
+  const changedFiles = c.files.map(f => f.path);
+  
+  // Moved files are restructuring, not new features - keep them out of domain detection
+  const moves = extractMoves(c.files);
+  const movedPaths = new Set(moves.map(m => m.to));
+  const featureFiles = changedFiles.filter(f => isSourceFile(f) && !movedPaths.has(f));
+  
+  // Dependencies added to / removed from / bumped in every manifest, attributed to their workspace
+  const packages = new Set();
+  const ecosystems = {};
+  const removedPackages = new Set();
+  const versions = {};
+  const versionChanges = [];
+  for (const [manifestPath, diff] of Object.entries(c.manifestDiffs)) {
+    const workspace = getWorkspaceName(manifestPath);
+    const ecosystem = getManifestEcosystem(manifestPath);
+    extractManifestDependencies(manifestPath, diff).forEach(name => {
+      const tag = qualifyPackage(name, workspace);
+      packages.add(tag);
+      ecosystems[tag] = ecosystem;
+    });
+    extractManifestRemovals(manifestPath, diff).forEach(name => removedPackages.add(qualifyPackage(name, workspace)));
+    for (const [name, version] of Object.entries(extractManifestVersions(manifestPath, diff))) {
+      versions[qualifyPackage(name, workspace)] = version;
+    }
+    extractVersionChanges(manifestPath, diff).forEach(change => versionChanges.push({ ...change, name: qualifyPackage(change.name, workspace) }));
+  }
+  
+  // Config files created or deleted, so a tool retires with its last config file
+  // (files with ambiguous names are recognized by their diff)
+  const configChanges = [];
+  for (const f of c.files) {
+    if (f.status === 'R' && detectConfigTool(f.oldPath)) {
+      configChanges.push({ tool: detectConfigTool(f.oldPath), path: f.oldPath, removed: true });
+    }
+    const tool = detectConfigTool(f.path, c.manifestDiffs[f.path]);
+    if (tool) {
+      configChanges.push({ tool, path: f.path, removed: f.status === 'D' });
+    }
+  }
+  const presentFiles = c.files.filter(f => f.status !== 'D').map(f => f.path);
+  
+  return {
+    hash: c.hash,
+    parents: c.parents,
+    date: c.date,
+    author: c.author,
+    files: c.files,
+    packages: Array.from(packages),
+    ecosystems,
+    removedPackages: Array.from(removedPackages),
+    versions,
+    versionChanges,
+    environmentChanges: extractEnvironmentChanges(c.files, c.manifestDiffs),
+    workflowChanges: extractWorkflowChanges(c.files, c.manifestDiffs),
+    containerChanges: extractContainerChanges(c.files, c.manifestDiffs),
+    scriptChanges: extractScriptChanges(c.manifestDiffs),
+    configTools: extractToolsFromConfigFiles(presentFiles, c.manifestDiffs),
+    configChanges,
+    domains: Array.from(detectDomainFromFiles(featureFiles, categoryRules)),
+    moves
+  };
+}
+
+async function scanCommits(repoPath, { categoryRules = [], ...options }) {
+  const analyzed = [];
+  const manifestFiles = [...getManifestFiles(), ...RUNTIME_FILES, ...CONTENT_INSPECTED_FILES, ...WORKFLOW_FILES, ...CONTAINER_FILES];
+  for await (const c of streamCommits(repoPath, { manifestFiles, ...options })) {
+    analyzed.push(analyzeCommit(c, categoryRules));
+  }
+  return analyzed;
+}
+
+/**
+ * Get analyzed commits (newest first), reusing .timeline/ cache where possible:
+ * - same HEAD: no git log at all
+ * - HEAD moved forward: only commits newer than the cached HEAD are scanned
+ * - history rewritten or detector version changed: full rescan
+ * A `path` scope keeps its own cache, since its file paths are stored relative to it.
+ * Category rules ({ rules, hash }) are read from the repository unless already loaded.
+ */
+async function loadAnalyzedCommits(repoPath, { maxCommits, path: scopePath, ...selection }, gitOptions = {}, categoryRulesFile = loadCategoryRules(repoPath)) {
+  const scope = resolveScope(repoPath, scopePath);
+  const { rules: categoryRules, hash: categoryRulesHash } = categoryRulesFile;
+  const version = getAnalysisVersion(repoPath, categoryRulesHash);
+  
+  // A repository without commits has nothing to analyze (and nothing to cache)
+  const head = await getHeadHash(repoPath, gitOptions);
+  if (!head && !selection.ref && !selection.allBranches) return [];
+  
+  if (!isDefaultSelection(selection)) {
+    const commits = await loadSelectedCommits(repoPath, maxCommits, buildRevisionArgs(selection), scope, { version, categoryRules }, gitOptions);
+    return selection.mergeStrategy === 'merge-unit' ? groupMergeUnits(commits) : commits;
+  }
+  
+  const cache = loadAnalysisCache(repoPath, version, scope);
+  
+  let commits = null;
+  let complete = false;
+  let scanned = false;
+  
+  if (cache && cache.head === head) {
+    commits = cache.commits;
+    complete = cache.complete;
+  } else if (cache && await isAncestor(repoPath, cache.head, head, gitOptions)) {
+    const newCommits = await scanCommits(repoPath, { maxCommits, revisions: buildRevisionArgs({ ref: `${cache.head}..${head}` }), scope, categoryRules, ...gitOptions });
+    scanned = true;
+    
+    // A truncated scan would leave a gap between new and cached commits
+    if (newCommits.length < maxCommits) {
+      commits = [...newCommits, ...cache.commits];
+      complete = cache.complete;
+    } else {
+      commits = newCommits;
+    }
+  }
+  
+  // Cache missing, stale, or too short for this maxCommits
+  if (!commits || (!complete && commits.length < maxCommits)) {
+    commits = await scanCommits(repoPath, { maxCommits, revisions: buildRevisionArgs({ ref: head }), scope, categoryRules, ...gitOptions });
+    complete = commits.length < maxCommits;
+    scanned = true;
+  }
+  
+  if (scanned) {
+    saveAnalysisCache(repoPath, { version, head, complete, commits }, scope);
+  }
+  
+  return commits.slice(0, maxCommits);
+}
+
+/**
+ * Ranges, branches and date windows reuse cached analyses by hash when
+ * every selected commit is already cached; otherwise they are scanned directly
+ */
+async function loadSelectedCommits(repoPath, maxCommits, revisions, scope, { version, categoryRules }, gitOptions) {
+  const cache = loadAnalysisCache(repoPath, version, scope);
+  
+  if (cache) {
+    const hashes = await listCommitHashes(repoPath, { maxCommits, revisions, scope, ...gitOptions });
+    const cachedByHash = new Map(cache.commits.map(c => [c.hash, c]));
+    if (hashes.every(h => cachedByHash.has(h))) {
+      return hashes.map(h => cachedByHash.get(h));
+    }
+  }
+  
+  return scanCommits(repoPath, { maxCommits, revisions, scope, categoryRules, ...gitOptions });
+}
+
+/**
+ * Normalize a sub-project path to a repo-relative POSIX path ("services/billing"),
+ * or null for the whole repository
+ */
+function resolveScope(repoPath, scopePath) {
+  if (!scopePath) return null;
+  
+  const relative = path.relative(repoPath, path.resolve(repoPath, scopePath)).split(path.sep).join('/');
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new GitError(`Path is outside the repository: ${scopePath}`);
+  }
+  return relative || null;
+}
+
+function isDefaultSelection({ ref, since, until, allBranches, mergeStrategy } = {}) {
+  return !ref && !since && !until && !allBranches && (!mergeStrategy || mergeStrategy === 'ignore');
+}
+
+/**
+ * Date every commit brought in by a merge at that merge, so a merged branch
+ * lands as one unit of work on the day it was merged. The merge commit itself
+ * has no diff in this mode, so nothing is counted twice.
+ */
+function groupMergeUnits(commits) {
+  if (commits.length === 0) return commits;
+  
+  const byHash = new Map(commits.map(c => [c.hash, c]));
+  
+  // Mainline = first-parent chain from the newest commit
+  const mainline = [];
+  const onMainline = new Set();
+  for (let c = commits[0]; c && !onMainline.has(c.hash); c = byHash.get(c.parents[0])) {
+    mainline.push(c);
+    onMainline.add(c.hash);
+  }
+  
+  // Oldest merge first, so each commit belongs to the merge that first brought it in
+  const landedBy = new Map();
+  for (const merge of mainline.reverse()) {
+    const queue = merge.parents.slice(1);
+    while (queue.length > 0) {
+      const hash = queue.pop();
+      const c = byHash.get(hash);
+      if (!c || onMainline.has(hash) || landedBy.has(hash)) continue;
+      landedBy.set(hash, merge);
+      queue.push(...c.parents);
+    }
+  }
+  
+  return commits.map(c => {
+    const merge = landedBy.get(c.hash);
+    return merge ? { ...c, date: merge.date, mergedIn: merge.hash } : c;
+  });
+}
+
+/**
+ * Human-readable label for the selected history, echoed into output headers
+ * e.g. "services/billing/ · v1.0..v2.0 · since 2024-01-01"
+ */
+function describeSelection({ path: scopePath, ref, since, until, allBranches, mergeStrategy } = {}) {
+  const parts = [];
+  if (scopePath) parts.push(`${scopePath.replace(/^\.\/|\/+$/g, '')}/`);
+  if (ref) parts.push(ref);
+  if (allBranches) parts.push('all branches');
+  if (since) parts.push(`since ${since}`);
+  if (until) parts.push(`until ${until}`);
+  if (mergeStrategy === 'first-parent') parts.push('first-parent history');
+  if (mergeStrategy === 'merge-unit') parts.push('merges as units');
+  return parts.join(' · ');
+}
+
+// =============================================================================
+// RELEASE MILESTONES
+// =============================================================================
+
+/**
+ * Attribute each analyzed commit to the first tag that shipped it.
+ * Returns milestones (tags that shipped any of these commits, oldest first)
+ * and the release of each commit hash.
+ * The tagged history is read in a single rev-list; each tag then claims the
+ * ancestors that no earlier tag already claimed.
+ */
+async function loadReleases(repoPath, commits, tagPattern, gitOptions) {
+  const releases = { milestones: [], releaseOf: new Map(), order: new Map() };
+  const pending = new Set(commits.map(c => c.hash));
+  const tags = pending.size > 0 ? await listTags(repoPath, { pattern: tagPattern, ...gitOptions }) : [];
+  const parents = tags.length > 0 ? await listCommitParents(repoPath, { revisions: tags.map(t => t.hash), ...gitOptions }) : new Map();
+  const claimed = new Set();
+  
+  for (let i = 0; i < tags.length && pending.size > 0; i++) {
+    // Commits in this tag that no earlier tag already contains (their ancestors are claimed too)
+    const shipped = [];
+    const queue = [tags[i].hash];
+    while (queue.length > 0) {
+      const hash = queue.pop();
+      if (claimed.has(hash)) continue;
+      claimed.add(hash);
+      if (pending.has(hash)) shipped.push(hash);
+      queue.push(...(parents.get(hash) || []));
+    }
+    if (shipped.length === 0) continue;
+    
+    for (const hash of shipped) {
+      releases.releaseOf.set(hash, tags[i].name);
+      pending.delete(hash);
+    }
+    releases.order.set(tags[i].name, releases.milestones.length);
+    releases.milestones.push({ name: tags[i].name, date: toDateIso(tags[i].date) });
+  }
+  
+  return releases;
+}
+
+/**
+ * A phase shipped in the latest release among its commits, or not yet if any is untagged
+ */
+function releaseFor(hashes, releases) {
+  let latest = null;
+  for (const hash of hashes) {
+    const release = releases.releaseOf.get(hash);
+    if (!release) return null;
+    if (!latest || releases.order.get(release) > releases.order.get(latest)) latest = release;
+  }
+  return latest;
+}
+
+// =============================================================================
+// CONTRIBUTORS
+// =============================================================================
+
+/**
+ * Unique author names of a phase's commits, most commits first
+ */
+function rankContributors(authorNames) {
+  const counts = new Map();
+  authorNames.forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+  return Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+}
+
 // =============================================================================
 // TOOLING TIMELINE ANALYSIS
 // =============================================================================
 
-export async function analyzeToolingTimeline({ repoPath = process.cwd(), maxCommits = 2000 } = {}) {
+/**
+ * Split a day's tools into workspace lanes (root package.json and config files = "root")
+ */
+function groupByWorkspace(packageNames, configTools, removedPackages, configChanges, versionChanges, environmentChanges, workflowChanges, containerChanges, scriptChanges) {
+  const lanes = new Map([['root', { packages: [], configTools, removedPackages: [], configChanges, versionChanges: [], environmentChanges: [], workflowChanges, containerChanges, scriptChanges: [] }]]);
+  const laneOf = (tag) => {
+    const lane = parseQualifiedPackage(tag).workspace || 'root';
+    if (!lanes.has(lane)) lanes.set(lane, { packages: [], configTools: [], removedPackages: [], configChanges: [], versionChanges: [], environmentChanges: [], workflowChanges: [], containerChanges: [], scriptChanges: [] });
+    return lanes.get(lane);
+  };
+  packageNames.forEach(tag => laneOf(tag).packages.push(tag));
+  removedPackages.forEach(tag => laneOf(tag).removedPackages.push(tag));
+  versionChanges.forEach(change => laneOf(change.name).versionChanges.push(change));
+  environmentChanges.forEach(change => laneOf(change.tool).environmentChanges.push(change));
+  scriptChanges.forEach(change => laneOf(change.script).scriptChanges.push(change));
+  return lanes;
+}
+
+/**
+ * Whether a major bump is worth its own phase: `majorUpgrades` is true for any
+ * library already on the timeline, or a list of library names to track
+ */
+function isTrackedUpgrade(tag, majorUpgrades, timelineTools) {
+  if (Array.isArray(majorUpgrades)) return majorUpgrades.includes(parseQualifiedPackage(tag).name);
+  return Boolean(majorUpgrades) && timelineTools.has(tag);
+}
+
+/**
+ * Tooling timeline of a repository
+ * Each run gets its own analysis context (see createToolingContext), so
+ * concurrent runs don't share shown tools, category rules or metadata lookups;
+ * pass `context` to supply one.
+ */
+export async function analyzeToolingTimeline({ repoPath = process.cwd(), maxCommits = 2000, workspaceLanes = false, majorUpgrades = false, showVersions = false, registryUrl, metadataProviders, tagPattern, context, signal, timeout, ...selection } = {}) {
   try {
+    const gitOptions = { signal, timeout };
     repoPath = path.resolve(repoPath);
-    ensureRepo(repoPath);
+    await ensureRepo(repoPath, gitOptions);
     
-    // Reset shown tools at the start of each timeline generation
-    resetShownTools();
-    
-    const commits = listCommits(repoPath, maxCommits);
+    if (!context) {
+      const { rules, hash } = loadCategoryRules(repoPath);
+      context = createToolingContext({
+        categoryRules: rules,
+        categoryRulesHash: hash,
+        metadataProvider: createMetadataProvider(repoPath, { registryUrl, providers: metadataProviders })
+      });
+    }
     
-    // Collect tools by date (one card per day)
+    // Collect tools by date (one card per day, or per workspace and day with lanes)
     const toolsByDate = new Map();
   
+  // The rules file is read once per run: the context's rules also key the commit cache
+  const commits = await loadAnalyzedCommits(repoPath, { maxCommits, ...selection }, gitOptions, {
+    rules: context.categoryRules,
+    hash: context.categoryRulesHash
+  });
+  const releases = await loadReleases(repoPath, commits, tagPattern, gitOptions);
+  
   for (const c of commits) {
     const date = toDateIso(c.date);
+    const changedFiles = c.files.map(f => f.path);
     
-    // Get package.json diff for this commit
-    const pkgDiff = getFileDiff(repoPath, c.hash, 'package.json');
-    const changedFiles = getCommitDiff(repoPath, c.hash).split('\n').filter(Boolean);
+    // Package names from every package.json (primary source)
+    const packageNames = c.packages;
+    Object.entries(c.ecosystems).forEach(([tag, ecosystem]) => context.packageEcosystems.set(tag, ecosystem));
     
-    // Extract package names from package.json (primary source)
-    const packageNames = pkgDiff ? extractAddedDependencies(pkgDiff) : [];
+    // Tools from config files (secondary source)
+    const configTools = c.configTools;
     
-    // Extract tools from config files (secondary source)
-    const configTools = extractToolsFromConfigFiles(changedFiles);
+    const lanes = workspaceLanes
+      ? groupByWorkspace(packageNames, configTools, c.removedPackages, c.configChanges, c.versionChanges, c.environmentChanges, c.workflowChanges, c.containerChanges, c.scriptChanges)
+      : new Map([[null, {
+          packages: packageNames,
+          configTools,
+          removedPackages: c.removedPackages,
+          configChanges: c.configChanges,
+          versionChanges: c.versionChanges,
+          environmentChanges: c.environmentChanges,
+          workflowChanges: c.workflowChanges,
+          containerChanges: c.containerChanges,
+          scriptChanges: c.scriptChanges
+        }]]);
     
-    if (packageNames.length > 0 || configTools.length > 0) {
-      const existing = toolsByDate.get(date) || { 
+    for (const [lane, tools] of lanes) {
+      if (tools.packages.length === 0 && tools.configTools.length === 0 &&
+          tools.removedPackages.length === 0 && tools.configChanges.length === 0 &&
+          tools.environmentChanges.length === 0 && tools.workflowChanges.length === 0 &&
+          tools.containerChanges.length === 0 && tools.scriptChanges.length === 0) continue;
+      
+      const key = lane ? `${date}\n${lane}` : date;
+      const existing = toolsByDate.get(key) || { 
+        date,
+        lane,
         packages: new Set(), 
         configTools: new Set(), 
         changedFiles: new Set(),
-        commits: [] 
+        removedPackages: new Set(),
+        configChanges: [],
+        versions: new Map(),
+        versionChanges: new Map(),
+        environmentChanges: [],
+        workflowChanges: [],
+        containerChanges: [],
+        scriptChanges: [],
+        commits: [],
+        authors: []
       };
-      packageNames.forEach(p => existing.packages.add(p));
-      configTools.forEach(t => existing.configTools.add(t));
+      tools.packages.forEach(p => existing.packages.add(p));
+      // Commits arrive newest first: keep the day's latest version and earliest starting point
+      for (const [p, version] of Object.entries(c.versions)) {
+        if (!existing.versions.has(p)) existing.versions.set(p, version);
+      }
+      for (const change of tools.versionChanges) {
+        const earlier = existing.versionChanges.get(change.name);
+        existing.versionChanges.set(change.name, earlier ? { ...earlier, from: change.from } : change);
+      }
+      tools.configTools.forEach(t => existing.configTools.add(t));
+      tools.removedPackages.forEach(p => existing.removedPackages.add(p));
+      // Commits arrive newest first; keep config changes in chronological order
+      existing.configChanges.unshift(...tools.configChanges);
+      existing.environmentChanges.unshift(...tools.environmentChanges);
+      existing.workflowChanges.unshift(...tools.workflowChanges);
+      existing.containerChanges.unshift(...tools.containerChanges);
+      existing.scriptChanges.unshift(...tools.scriptChanges);
       changedFiles.forEach(f => existing.changedFiles.add(f));
       existing.commits.push(c.hash);
-      toolsByDate.set(date, existing);
+      existing.authors.push(c.author.name);
+      toolsByDate.set(key, existing);
     }
   }
   
   // Generate grouped events (with async phase info generation)
   const events = [];
-  const sortedDates = Array.from(toolsByDate.keys()).sort((a, b) => a.localeCompare(b));
+  const sortedKeys = Array.from(toolsByDate.keys()).sort((a, b) => a.localeCompare(b));
+  const startedLanes = new Set();
+  const liveConfigFiles = new Map();
+  const recentRetirements = new Map();
+  const timelineTools = new Set();
+  const environmentSources = new Map();
+  const workflowState = createWorkflowState();
+  const containerState = createContainerState();
+  const scriptState = createScriptState();
   
-  for (let i = 0; i < sortedDates.length; i++) {
-    const date = sortedDates[i];
-    const { packages, configTools, changedFiles } = toolsByDate.get(date);
+  for (const key of sortedKeys) {
+    const { date, lane, packages, configTools, changedFiles, removedPackages, configChanges, versions, versionChanges, environmentChanges, workflowChanges, containerChanges, scriptChanges, commits: hashes, authors } = toolsByDate.get(key);
     const packageList = Array.from(packages);
     const configList = Array.from(configTools);
     const filesList = Array.from(changedFiles);
     
-    // Check if this is the first day (for "Project Kickoff" detection)
-    const isFirstDay = (i === 0);
+    // A config tool retires once its last config file is deleted
+    const retiredConfigTools = new Set();
+    for (const { tool, path: file, removed } of configChanges) {
+      if (!liveConfigFiles.has(tool)) liveConfigFiles.set(tool, new Set());
+      const files = liveConfigFiles.get(tool);
+      if (removed) {
+        files.delete(file);
+        if (files.size === 0) retiredConfigTools.add(tool);
+      } else {
+        files.add(file);
+        retiredConfigTools.delete(tool);
+      }
+    }
+    
+    // Removed and re-added on the same day (e.g. moved between manifests) is no change
+    const retiredList = [
+      ...Array.from(removedPackages).filter(p => !packages.has(p)),
+      ...retiredConfigTools
+    ];
+    
+    // Retired within the migration window, per lane, still waiting for a replacement
+    const pendingRetirements = (recentRetirements.get(lane) || [])
+      .filter(r => (new Date(date) - new Date(r.date)) / 86400000 <= MIGRATION_WINDOW_DAYS);
+    
+    // Package manager switches and runtime upgrades (lockfiles, packageManager, engines, .nvmrc...)
+    const environmentUpdates = applyEnvironmentChanges(environmentSources, environmentChanges);
+    
+    // New GitHub Actions pipelines, actions and capabilities (CodeQL, releases, matrix testing...)
+    const workflowUpdate = applyWorkflowChanges(workflowState, workflowChanges);
+    
+    // Base image changes, multi-stage builds and new compose services
+    const containerUpdates = applyContainerChanges(containerState, containerChanges);
+    
+    // New script workflows (test:e2e, db:migrate, release...) and scripts switching tools
+    const scriptUpdate = applyScriptChanges(scriptState, scriptChanges);
+    
+    // Check if this is the first day (for "Project Kickoff" detection), per lane
+    // Days that only touched lockfiles or runtime pins don't start a lane
+    const hasTooling = packages.size > 0 || configTools.size > 0 || removedPackages.size > 0 || configChanges.length > 0;
+    const isFirstDay = hasTooling && !startedLanes.has(lane);
+    if (hasTooling) startedLanes.add(lane);
     
     // Dynamically generate phase info
     try {
-      const phaseInfo = await generateToolingPhaseInfo(packageList, configList, filesList, isFirstDay);
+      const phaseInfo = await generateToolingPhaseInfo(context, packageList, configList, filesList, isFirstDay, retiredList, pendingRetirements.map(r => r.tool));
+      
+      // A replaced tool is accounted for by its migration
+      const replaced = new Set((phaseInfo?.migrations || []).flatMap(m => m.replaced));
+      recentRetirements.set(lane, [
+        ...pendingRetirements,
+        ...retiredList.map(tool => ({ tool, date }))
+      ].filter(r => !replaced.has(r.tool)));
       
-      // Only add events that have new tools and valid phase info
-      if (phaseInfo && phaseInfo.tools && phaseInfo.tools.length > 0 && phaseInfo.title) {
-        events.push({
+      // Breaking bumps of libraries introduced on an earlier day
+      const upgrades = Array.from(versionChanges.values()).filter(u =>
+        isMajorUpgrade(u.from, u.to) && !phaseInfo?.tools?.includes(u.name) && isTrackedUpgrade(u.name, majorUpgrades, timelineTools));
+      phaseInfo?.tools?.forEach(t => timelineTools.add(t));
+      phaseInfo?.retired?.forEach(t => timelineTools.delete(t));
+      
+      // The lane already names the workspace; versions are the day's declared ranges
+      const toTag = (t, info) => {
+        const version = info.versions?.[t] || versions.get(t);
+        const tag = showVersions && version ? `${t}@${version.replace(/^==/, '')}` : t;
+        return lane ? parseQualifiedPackage(tag).name : tag;
+      };
+      const toEvent = info => {
+        const event = {
           date,
-          title: phaseInfo.title,
-          icon: phaseInfo.icon || '⚙️',
-          description: phaseInfo.description || '',
-          tags: phaseInfo.tools
-        });
+          title: info.title,
+          icon: info.icon || '⚙️',
+          description: info.description || '',
+          tags: info.tools.map(t => toTag(t, info)),
+          contributors: rankContributors(authors)
+        };
+        if (info.descriptions) {
+          event.descriptions = Object.fromEntries(Object.entries(info.descriptions).map(([t, text]) => [toTag(t, info), text]));
+        }
+        if (info.retired?.length > 0) {
+          event.retired = lane ? info.retired.map(t => parseQualifiedPackage(t).name) : info.retired;
+        }
+        if (lane) event.lane = lane;
+        const release = releaseFor(hashes, releases);
+        if (release) event.release = release;
+        return event;
+      };
+      
+      // Only add events that have new or retired tools and valid phase info
+      if (phaseInfo && phaseInfo.tools && (phaseInfo.tools.length > 0 || phaseInfo.retired?.length > 0) && phaseInfo.title) {
+        events.push(toEvent(phaseInfo));
+      }
+      if (upgrades.length > 0) {
+        events.push(toEvent(generateUpgradePhaseInfo(upgrades)));
+      }
+      if (environmentUpdates.length > 0) {
+        events.push(toEvent(generateEnvironmentPhaseInfo(environmentUpdates)));
+      }
+      if (hasWorkflowUpdate(workflowUpdate)) {
+        events.push(toEvent(generateWorkflowPhaseInfo(workflowUpdate)));
+      }
+      if (containerUpdates.length > 0) {
+        events.push(toEvent(generateContainerPhaseInfo(containerUpdates)));
+      }
+      if (hasScriptUpdate(scriptUpdate)) {
+        events.push(toEvent(generateScriptPhaseInfo(scriptUpdate)));
       }
     } catch (error) {
       console.error(`[ERROR] Failed to generate tooling phase info for ${date}:`, error);
     }
   }
   
+  context.metadataProvider?.save();
+  
   // Generate output files
   const timelineDir = ensureTimelineDir(repoPath);
   const htmlPath = path.join(timelineDir, 'TOOLING_TIMELINE.html');
   const mdPath = path.join(timelineDir, 'TOOLING_TIMELINE.md');
   
-  generateTimelineHtml(htmlPath, 'Tooling Timeline', events);
-  generateTimelineMd(mdPath, 'Tooling Timeline', events);
+  const range = describeSelection(selection);
+  const { milestones } = releases;
+  generateTimelineHtml(htmlPath, 'Tooling Timeline', events, { range, milestones });
+  generateTimelineMd(mdPath, 'Tooling Timeline', events, { range, milestones });
   
-  return { title: 'Tooling Timeline', events, files: { html: htmlPath, markdown: mdPath } };
+  return { title: 'Tooling Timeline', events, range, milestones, files: { html: htmlPath, markdown: mdPath } };
   } catch (error) {
+    // Not a repo, bad revision, cancelled, invalid rules file... are for the caller to report
+    if (error instanceof GitError || error instanceof CategoryRulesError) throw error;
     console.error(`[ERROR] analyzeToolingTimeline failed:`, error);
-    return { title: 'Tooling Timeline', events: [], files: {} };
+    return { title: 'Tooling Timeline', events: [], milestones: [], files: {} };
   }
 }
 
+// =============================================================================
+// DIFF-BASED DETECTORS
+// =============================================================================
+
+// Commits diffed per git process by the patch-based detectors
+const PATCH_BATCH_SIZE = 100;
+
+/**
+ * Run a detector over the patches of each commit: Map hash → extract(patch)
+ * Only files matching `matches(fileRecord)` are diffed, PATCH_BATCH_SIZE commits
+ * not cached yet per `git log -p`; results are cached by commit hash in .timeline/<name>.json.
+ * A batch's patches may show files another commit of the batch matched; the
+ * detectors only read the files they recognize, so this never changes a result.
+ * A commit whose diff fails is skipped and never cached. The cache is saved
+ * even when the run is aborted or times out, so the next run picks up from there.
+ * Paths in the patch are relative to the scope, like every other path of the analysis.
+ */
+async function loadPatchAnalyses(repoPath, commits, scopePath, { name, version, matches, extract }, gitOptions) {
+  const scope = resolveScope(repoPath, scopePath);
+  const cwd = scope ? path.join(repoPath, scope) : repoPath;
+  const diffOptions = { relative: Boolean(scope), ...gitOptions };
+  const cache = loadCommitCache(repoPath, name, version, scope);
+  let changed = false;
+  
+  // Paths to diff per commit, for commits with matching files
+  const pathsByCommit = new Map();
+  for (const c of commits) {
+    const files = c.files.filter(matches).flatMap(f => [f.path, f.oldPath]).filter(Boolean);
+    if (files.length > 0) pathsByCommit.set(c.hash, [...new Set(files)]);
+  }
+  const pending = Array.from(pathsByCommit.keys()).filter(hash => !cache.commits[hash]);
+  
+  try {
+    for (let i = 0; i < pending.length; i += PATCH_BATCH_SIZE) {
+      const batch = pending.slice(i, i + PATCH_BATCH_SIZE);
+      let patches = null;
+      try {
+        const paths = [...new Set(batch.flatMap(hash => pathsByCommit.get(hash)))];
+        patches = await getCommitPatches(cwd, batch, { paths, ...diffOptions });
+      } catch (error) {
+        if (error instanceof GitAbortedError || error instanceof GitTimeoutError) throw error;
+        // One commit git can't diff fails the whole batch: diff its commits one by one
+      }
+      
+      for (const hash of batch) {
+        let patch = patches ? patches.get(hash) || '' : null;
+        if (patch === null) {
+          try {
+            patch = await getCommitFullDiff(cwd, hash, { paths: pathsByCommit.get(hash), ...diffOptions });
+          } catch (error) {
+            if (error instanceof GitAbortedError || error instanceof GitTimeoutError) throw error;
+            // Skipped and left out of the cache, so the next run diffs it again
+            console.error(`[ERROR] ${name}: failed to diff ${hash}:`, error.message);
+            continue;
+          }
+        }
+        cache.commits[hash] = extract(patch);
+        changed = true;
+      }
+    }
+  } finally {
+    if (changed) saveCommitCache(repoPath, name, cache, scope);
+  }
+  
+  const results = new Map();
+  for (const hash of pathsByCommit.keys()) {
+    if (cache.commits[hash]) results.set(hash, cache.commits[hash]);
+  }
+  return results;
+}
+
+/**
+ * New exported symbols of each commit: Map hash → { [file]: [{ name, kind }] }
+ */
+function loadCommitSymbols(repoPath, commits, scopePath, gitOptions) {
+  return loadPatchAnalyses(repoPath, commits, scopePath, {
+    name: 'symbol-cache',
+    version: SYMBOL_DETECTOR_VERSION,
+    matches: f => f.status !== 'D' && isSymbolSource(f.path),
+    extract: extractSymbols
+  }, gitOptions);
+}
+
+/**
+ * Route changes of each commit: Map hash → { moves, routes, controllers }
+ * Deleted and renamed files are diffed too, since their routes go away or move.
+ */
+function loadCommitRoutes(repoPath, commits, scopePath, gitOptions) {
+  return loadPatchAnalyses(repoPath, commits, scopePath, {
+    name: 'route-cache',
+    version: ROUTE_DETECTOR_VERSION,
+    matches: f => isRouteSource(f.path) || Boolean(f.oldPath && isRouteSource(f.oldPath)),
+    extract: extractRouteChanges
+  }, gitOptions);
+}
+
+/**
+ * Entity changes of each commit: Map hash → [{ name, kind, created, dropped, columns, droppedColumns }]
+ * Deleted files are diffed too, since a removed Prisma model is a dropped entity.
+ */
+function loadCommitEntities(repoPath, commits, scopePath, gitOptions) {
+  return loadPatchAnalyses(repoPath, commits, scopePath, {
+    name: 'schema-cache',
+    version: SCHEMA_DETECTOR_VERSION,
+    matches: f => isSchemaSource(f.path),
+    extract: extractSchemaChanges
+  }, gitOptions);
+}
+
 // =============================================================================
 // FEATURE TIMELINE ANALYSIS
 // =============================================================================
 
-export function analyzeFeatureTimeline({ repoPath = process.cwd(), maxCommits = 2000 } = {}) {
+/**
+ * Feature timeline of a repository
+ * With `contentAware`, newly exported functions, classes and components in
+ * JS/TS diffs name the cards (see detectors/symbols.js).
+ */
+export async function analyzeFeatureTimeline({ repoPath = process.cwd(), maxCommits = 2000, contributorLanes = false, contentAware = false, tagPattern, signal, timeout, ...selection } = {}) {
   try {
+    const gitOptions = { signal, timeout };
     repoPath = path.resolve(repoPath);
-    ensureRepo(repoPath);
-    const commits = listCommits(repoPath, maxCommits);
+    await ensureRepo(repoPath, gitOptions);
   
-  // Collect features by date (one card per day) with associated libraries
+  // Collect features by date (one card per day, or per contributor and day with lanes) with associated libraries
   const featuresByDate = new Map();
   
+  const commits = await loadAnalyzedCommits(repoPath, { maxCommits, ...selection }, gitOptions);
+  const releases = await loadReleases(repoPath, commits, tagPattern, gitOptions);
+  const symbolsByCommit = contentAware ? await loadCommitSymbols(repoPath, commits, selection.path, gitOptions) : new Map();
+  
   for (const c of commits) {
     const date = toDateIso(c.date);
-    const changedFiles = getCommitDiff(repoPath, c.hash).split('\n').filter(Boolean);
+    const changedFiles = c.files.map(f => f.path);
     
-    // Get package.json diff to track libraries
-    const pkgDiff = getFileDiff(repoPath, c.hash, 'package.json');
-    const packageNames = pkgDiff ? extractAddedDependencies(pkgDiff) : [];
-    const configTools = extractToolsFromConfigFiles(changedFiles);
+    // Track libraries from the package.json diff
+    const packageNames = c.packages;
+    const configTools = c.configTools;
     
     // Filter to source files only
     const sourceFiles = changedFiles.filter(isSourceFile);
     if (sourceFiles.length === 0 && packageNames.length === 0 && configTools.length === 0) continue;
     
-    // Detect domains from file paths (NOT commit messages)
-    const domains = detectDomainFromFiles(sourceFiles);
+    // Domains detected from file paths (NOT commit messages)
+    const domains = new Map(c.domains);
+    const commitSymbols = Object.entries(symbolsByCommit.get(c.hash) || {});
     
-    if (domains.size > 0 || packageNames.length > 0 || configTools.length > 0) {
-      const existing = featuresByDate.get(date) || { 
+    if (domains.size > 0 || c.moves.length > 0 || packageNames.length > 0 || configTools.length > 0 || commitSymbols.length > 0) {
+      const lane = contributorLanes ? c.author.name : null;
+      const key = lane ? `${date}\n${lane}` : date;
+      const existing = featuresByDate.get(key) || { 
+        date,
+        lane,
         domains: new Map(), 
         files: new Set(),
         libraries: new Set(),
-        changedFiles: new Set()
+        changedFiles: new Set(),
+        moves: [],
+        symbols: new Map(),
+        commits: [],
+        authors: []
       };
       
       // Merge domains
@@ -186,36 +936,47 @@ export function analyzeFeatureTimeline({ repoPath = process.cwd(), maxCommits =
       // Collect all files
       sourceFiles.forEach(f => existing.files.add(f));
       changedFiles.forEach(f => existing.changedFiles.add(f));
+      existing.moves.push(...c.moves);
+      for (const [file, found] of commitSymbols) {
+        existing.symbols.set(file, [...(existing.symbols.get(file) || []), ...found]);
+      }
+      existing.commits.push(c.hash);
+      existing.authors.push(c.author.name);
       
       // Collect libraries introduced on this date
       packageNames.forEach(p => existing.libraries.add(p));
       configTools.forEach(t => existing.libraries.add(t));
       
-      featuresByDate.set(date, existing);
+      featuresByDate.set(key, existing);
     }
   }
   
   // Generate grouped events (can have multiple per day now)
   const events = [];
-  const sortedDates = Array.from(featuresByDate.keys()).sort((a, b) => a.localeCompare(b));
+  const sortedKeys = Array.from(featuresByDate.keys()).sort((a, b) => a.localeCompare(b));
   
-  for (const date of sortedDates) {
-    const { domains, libraries, changedFiles } = featuresByDate.get(date);
+  for (const key of sortedKeys) {
+    const { date, lane, domains, libraries, changedFiles, moves, symbols, commits: hashes, authors } = featuresByDate.get(key);
+    const release = releaseFor(hashes, releases);
     const libraryList = Array.from(libraries);
     const filesList = Array.from(changedFiles);
     
     // Generate phase info - returns array of events (can be multiple per day)
-    const phaseInfos = generateFeaturePhaseInfo(domains, libraryList, filesList);
+    const phaseInfos = generateFeaturePhaseInfo(domains, libraryList, filesList, moves, symbols);
     
     // Add each event with the same date
     for (const phaseInfo of phaseInfos) {
-      events.push({
+      const event = {
         date,
         title: phaseInfo.title,
         icon: phaseInfo.icon,
         description: phaseInfo.description,
-        tags: phaseInfo.tags // Now using file names, not libraries
-      });
+        tags: phaseInfo.tags, // Now using file names, not libraries
+        contributors: rankContributors(authors)
+      };
+      if (lane) event.lane = lane;
+      if (release) event.release = release;
+      events.push(event);
     }
   }
   
@@ -224,13 +985,151 @@ export function analyzeFeatureTimeline({ repoPath = process.cwd(), maxCommits =
   const htmlPath = path.join(timelineDir, 'FEATURE_TIMELINE.html');
   const mdPath = path.join(timelineDir, 'FEATURE_TIMELINE.md');
   
-  generateTimelineHtml(htmlPath, 'Feature Timeline', events);
-  generateTimelineMd(mdPath, 'Feature Timeline', events);
+  const range = describeSelection(selection);
+  const { milestones } = releases;
+  const laneLabel = 'Contributor';
+  generateTimelineHtml(htmlPath, 'Feature Timeline', events, { range, milestones, laneLabel });
+  generateTimelineMd(mdPath, 'Feature Timeline', events, { range, milestones, laneLabel });
   
-  return { title: 'Feature Timeline', events, files: { html: htmlPath, markdown: mdPath } };
+  return { title: 'Feature Timeline', events, range, milestones, files: { html: htmlPath, markdown: mdPath } };
   } catch (error) {
+    // Not a repo, bad revision, cancelled, invalid rules file... are for the caller to report
+    if (error instanceof GitError || error instanceof CategoryRulesError) throw error;
     console.error(`[ERROR] analyzeFeatureTimeline failed:`, error);
-    return { title: 'Feature Timeline', events: [], files: {} };
+    return { title: 'Feature Timeline', events: [], milestones: [], files: {} };
+  }
+}
+
+// =============================================================================
+// DIFF-BASED TIMELINE ANALYSIS
+// =============================================================================
+
+/**
+ * Events of a diff-based timeline, one card per day
+ * Each day's per-commit results are applied oldest first to the detector's state,
+ * so what a day adds, changes or removes is judged against the days before.
+ */
+function replayCommitAnalyses(commits, analyses, releases, { hasChanges, createState, applyChanges, hasUpdate, generatePhaseInfo }) {
+  const byDate = new Map();
+  for (const c of commits) {
+    const changes = analyses.get(c.hash);
+    if (!changes || !hasChanges(changes)) continue;
+    
+    const date = toDateIso(c.date);
+    const existing = byDate.get(date) || { date, changes: [], commits: [], authors: [] };
+    // Commits arrive newest first; keep changes in chronological order
+    existing.changes.unshift(changes);
+    existing.commits.push(c.hash);
+    existing.authors.push(c.author.name);
+    byDate.set(date, existing);
+  }
+  
+  const events = [];
+  const state = createState();
+  const sortedDates = Array.from(byDate.keys()).sort((a, b) => a.localeCompare(b));
+  
+  for (const date of sortedDates) {
+    const { changes, commits: hashes, authors } = byDate.get(date);
+    const update = applyChanges(state, changes);
+    if (!hasUpdate(update)) continue;
+    
+    const phaseInfo = generatePhaseInfo(update);
+    const release = releaseFor(hashes, releases);
+    const event = {
+      date,
+      title: phaseInfo.title,
+      icon: phaseInfo.icon,
+      description: phaseInfo.description,
+      tags: phaseInfo.tools,
+      contributors: rankContributors(authors)
+    };
+    if (phaseInfo.retired.length > 0) event.retired = phaseInfo.retired;
+    if (release) event.release = release;
+    events.push(event);
+  }
+  
+  return events;
+}
+
+/**
+ * API timeline of a repository: endpoints added, changed and removed, one card per day
+ * Route definitions are read from the commits' patches (see detectors/routes.js).
+ */
+export async function analyzeApiTimeline({ repoPath = process.cwd(), maxCommits = 2000, tagPattern, signal, timeout, ...selection } = {}) {
+  try {
+    const gitOptions = { signal, timeout };
+    repoPath = path.resolve(repoPath);
+    await ensureRepo(repoPath, gitOptions);
+    
+    const commits = await loadAnalyzedCommits(repoPath, { maxCommits, ...selection }, gitOptions);
+    const releases = await loadReleases(repoPath, commits, tagPattern, gitOptions);
+    const routesByCommit = await loadCommitRoutes(repoPath, commits, selection.path, gitOptions);
+    
+    const events = replayCommitAnalyses(commits, routesByCommit, releases, {
+      hasChanges: ({ moves, routes, controllers }) => moves.length > 0 || routes.length > 0 || controllers.length > 0,
+      createState: createRouteState,
+      applyChanges: applyRouteChanges,
+      hasUpdate: hasRouteUpdate,
+      generatePhaseInfo: generateApiPhaseInfo
+    });
+    
+    // Generate output files
+    const timelineDir = ensureTimelineDir(repoPath);
+    const htmlPath = path.join(timelineDir, 'API_TIMELINE.html');
+    const mdPath = path.join(timelineDir, 'API_TIMELINE.md');
+    
+    const range = describeSelection(selection);
+    const { milestones } = releases;
+    generateTimelineHtml(htmlPath, 'API Timeline', events, { range, milestones });
+    generateTimelineMd(mdPath, 'API Timeline', events, { range, milestones });
+    
+    return { title: 'API Timeline', events, range, milestones, files: { html: htmlPath, markdown: mdPath } };
+  } catch (error) {
+    // Not a repo, bad revision, cancelled, invalid rules file... are for the caller to report
+    if (error instanceof GitError || error instanceof CategoryRulesError) throw error;
+    console.error(`[ERROR] analyzeApiTimeline failed:`, error);
+    return { title: 'API Timeline', events: [], milestones: [], files: {} };
+  }
+}
+
+/**
+ * Data model timeline of a repository: tables, models and columns introduced, one card per day
+ * Migrations and Prisma/Drizzle schemas are read from the commits' patches (see detectors/schema.js).
+ */
+export async function analyzeDataModelTimeline({ repoPath = process.cwd(), maxCommits = 2000, tagPattern, signal, timeout, ...selection } = {}) {
+  try {
+    const gitOptions = { signal, timeout };
+    repoPath = path.resolve(repoPath);
+    await ensureRepo(repoPath, gitOptions);
+    
+    const commits = await loadAnalyzedCommits(repoPath, { maxCommits, ...selection }, gitOptions);
+    const releases = await loadReleases(repoPath, commits, tagPattern, gitOptions);
+    const entitiesByCommit = await loadCommitEntities(repoPath, commits, selection.path, gitOptions);
+    
+    const events = replayCommitAnalyses(commits, entitiesByCommit, releases, {
+      hasChanges: entities => entities.length > 0,
+      createState: createSchemaState,
+      applyChanges: applySchemaChanges,
+      hasUpdate: hasSchemaUpdate,
+      generatePhaseInfo: generateSchemaPhaseInfo
+    });
+    
+    // Generate output files
+    const timelineDir = ensureTimelineDir(repoPath);
+    const htmlPath = path.join(timelineDir, 'DATA_MODEL_TIMELINE.html');
+    const mdPath = path.join(timelineDir, 'DATA_MODEL_TIMELINE.md');
+    
+    const range = describeSelection(selection);
+    const { milestones } = releases;
+    generateTimelineHtml(htmlPath, 'Data Model Timeline', events, { range, milestones });
+    generateTimelineMd(mdPath, 'Data Model Timeline', events, { range, milestones });
+    
+    return { title: 'Data Model Timeline', events, range, milestones, files: { html: htmlPath, markdown: mdPath } };
+  } catch (error) {
+    // Not a repo, bad revision, cancelled, invalid rules file... are for the caller to report
+    if (error instanceof GitError || error instanceof CategoryRulesError) throw error;
+    console.error(`[ERROR] analyzeDataModelTimeline failed:`, error);
+    return { title: 'Data Model Timeline', events: [], milestones: [], files: {} };
   }
 }
 
@@ -238,18 +1137,18 @@ export function analyzeFeatureTimeline({ repoPath = process.cwd(), maxCommits =
 // DASHBOARD GENERATION
 // =============================================================================
 
-export function generateDashboard(repoPath, featureEvents, toolingEvents) {
-  return generateDashboardHtml(repoPath, featureEvents, toolingEvents);
+export function generateDashboard(repoPath, featureEvents, toolingEvents, options = {}) {
+  return generateDashboardHtml(repoPath, featureEvents, toolingEvents, options);
 }
 
 // =============================================================================
 // COMBINED GENERATION
 // =============================================================================
 
-export async function generateAllTimelines({ repoPath = process.cwd(), maxCommits = 2000 } = {}) {
-  const features = analyzeFeatureTimeline({ repoPath, maxCommits });
-  const tooling = await analyzeToolingTimeline({ repoPath, maxCommits });
-  const dashboardPath = generateDashboard(repoPath, features.events, tooling.events);
+export async function generateAllTimelines({ repoPath = process.cwd(), maxCommits = 2000, workspaceLanes = false, contributorLanes = false, contentAware = false, majorUpgrades = false, showVersions = false, registryUrl, metadataProviders, signal, timeout, ...selection } = {}) {
+  const features = await analyzeFeatureTimeline({ repoPath, maxCommits, contributorLanes, contentAware, signal, timeout, ...selection });
+  const tooling = await analyzeToolingTimeline({ repoPath, maxCommits, workspaceLanes, majorUpgrades, showVersions, registryUrl, metadataProviders, signal, timeout, ...selection });
+  const dashboardPath = generateDashboard(repoPath, features.events, tooling.events, { range: describeSelection(selection), milestones: features.milestones });
   
   return {
     features,
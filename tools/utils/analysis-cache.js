@@ -0,0 +1,74 @@
+/**
+ * Analysis Cache
+ * Persists per-commit analysis results in .timeline/ so that re-runs
+ * only process commits newer than the cached HEAD
+ */
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * One cache file per scoped sub-project, since paths are stored relative to it
+ */
+function getCachePath(repoPath, scope, name = 'analysis-cache') {
+  const suffix = scope ? `-${scope.replace(/[^a-zA-Z0-9._-]+/g, '_')}` : '';
+  return path.join(repoPath, '.timeline', `${name}${suffix}.json`);
+}
+
+/**
+ * Write to a temp file first so concurrent runs never read a half-written cache
+ */
+function writeCache(cachePath, cache) {
+  const tmpPath = `${cachePath}.${process.pid}.tmp`;
+  try {
+    mkdirSync(path.dirname(cachePath), { recursive: true });
+    writeFileSync(tmpPath, JSON.stringify(cache), 'utf8');
+    renameSync(tmpPath, cachePath);
+  } catch (error) {
+    console.error('[ERROR] Failed to write analysis cache:', error);
+  }
+}
+
+/**
+ * Load the cache, or null if missing, unreadable or written by another detector version
+ */
+export function loadAnalysisCache(repoPath, version, scope = null) {
+  try {
+    const cache = JSON.parse(readFileSync(getCachePath(repoPath, scope), 'utf8'));
+    if (cache.version !== version || !cache.head || !Array.isArray(cache.commits)) {
+      return null;
+    }
+    return cache;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save the cache: { version, head, complete, commits }
+ */
+export function saveAnalysisCache(repoPath, cache, scope = null) {
+  writeCache(getCachePath(repoPath, scope), cache);
+}
+
+/**
+ * Load a per-commit cache for diff-based detectors ("symbol-cache", "route-cache"):
+ * { version, commits: { [hash]: result } }
+ * Results never change for a commit, so these caches are keyed by hash alone;
+ * missing, unreadable or stale caches start empty.
+ */
+export function loadCommitCache(repoPath, name, version, scope = null) {
+  try {
+    const cache = JSON.parse(readFileSync(getCachePath(repoPath, scope, name), 'utf8'));
+    if (cache.version === version && cache.commits && typeof cache.commits === 'object') {
+      return cache;
+    }
+  } catch {
+    // Start empty
+  }
+  return { version, commits: {} };
+}
+
+export function saveCommitCache(repoPath, name, cache, scope = null) {
+  writeCache(getCachePath(repoPath, scope, name), cache);
+}
@@ -0,0 +1,105 @@
+/**
+ * Category Rules
+ * Project-level tooling categories from .timeline-categories.json, merged with
+ * the built-in ones: a rule adds a category, or overrides a built-in one by id
+ *
+ * {
+ *   "categories": [
+ *     { "id": "api", "name": "API Layer", "icon": "🔌", "match": ["^@trpc/", "^hono$"],
+ *       "description": "Added {library} for type-safe APIs", "files": ["^src/server/routers/"] },
+ *     { "id": "database", "match": ["^drizzle-orm$"] }
+ *   ]
+ * }
+ */
+
+import { readFileSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { z } from 'zod';
+
+export const CATEGORY_RULES_FILE = '.timeline-categories.json';
+
+// Built-in category ids a rule may override (see categorizeLibraries in tooling.js)
+export const BUILTIN_CATEGORIES = [
+  'backend', 'frontend', 'database', 'auth', 'email', 'payment', 'validation', 'testing', 'build',
+  'linting', 'formatting', 'typescript', 'infrastructure', 'deployment', 'cicd', 'scheduler', 'fileStorage', 'monitoring'
+];
+
+/**
+ * Rules file that is not valid JSON or does not match the schema
+ */
+export class CategoryRulesError extends Error {
+  constructor(message, { file, issues = [] } = {}) {
+    super(message);
+    this.name = 'CategoryRulesError';
+    this.file = file;
+    this.issues = issues;
+  }
+}
+
+const pattern = z.string().min(1).refine(source => {
+  try {
+    new RegExp(source);
+    return true;
+  } catch {
+    return false;
+  }
+}, { message: 'Invalid regular expression' });
+
+const CategoryRuleSchema = z.object({
+  id: z.string().regex(/^[A-Za-z][\w-]*$/, 'Use letters, digits, "-" or "_"'),
+  // Label in multi-category titles ("API Layer & Database Setup")
+  name: z.string().min(1).optional(),
+  // Title of a card for this category alone (defaults to name)
+  title: z.string().min(1).optional(),
+  icon: z.string().min(1).optional(),
+  // Library and config tool names (regex, case-insensitive)
+  match: z.array(pattern).default([]),
+  // Source file paths claimed as a feature domain (regex, case-insensitive)
+  files: z.array(pattern).default([]),
+  // {library}, {libraries} and {count} are filled in
+  description: z.string().min(1).optional()
+}).strict().refine(rule => BUILTIN_CATEGORIES.includes(rule.id) || rule.name, {
+  message: 'New categories need a name',
+  path: ['name']
+});
+
+const RulesFileSchema = z.object({
+  categories: z.array(CategoryRuleSchema).default([])
+}).strict();
+
+/**
+ * Rules with compiled patterns: { rules, hash }, or no rules when the file is missing
+ * `hash` identifies the file contents, so cached per-commit analyses can be invalidated
+ */
+export function loadCategoryRules(repoPath) {
+  const file = path.join(repoPath, CATEGORY_RULES_FILE);
+  
+  let text;
+  try {
+    text = readFileSync(file, 'utf8');
+  } catch {
+    return { rules: [], hash: null };
+  }
+  
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new CategoryRulesError(`${CATEGORY_RULES_FILE} is not valid JSON: ${error.message}`, { file });
+  }
+  
+  const parsed = RulesFileSchema.safeParse(json);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+    throw new CategoryRulesError(`Invalid ${CATEGORY_RULES_FILE}: ${issues.join('; ')}`, { file, issues });
+  }
+  
+  const rules = parsed.data.categories.map(rule => ({
+    ...rule,
+    builtin: BUILTIN_CATEGORIES.includes(rule.id),
+    match: rule.match.map(source => new RegExp(source, 'i')),
+    files: rule.files.map(source => new RegExp(source, 'i'))
+  }));
+  return { rules, hash: createHash('sha1').update(text).digest('hex').slice(0, 12) };
+}
@@ -3,57 +3,507 @@
  * Low-level git operations for timeline analysis
  */
 
-import { execSync } from 'node:child_process';
+import { spawn } from 'node:child_process';
+import { existsSync } from 'node:fs';
+import readline from 'node:readline';
+
+import {
+  GitError,
+  GitNotFoundError,
+  NotARepositoryError,
+  BadRevisionError,
+  InvalidOptionError,
+  GitTimeoutError,
+  GitAbortedError
+} from './git-errors.js';
+
+// Separators used in --pretty formats so subjects/paths never collide with them
+const RECORD_SEP = '\x1e';
+const FIELD_SEP = '\x1f';
+
+// How long one git call may go without output; a whole analysis may run several calls
+const DEFAULT_TIMEOUT_MS = 2 * 60 * 1000;
+
+// =============================================================================
+// GIT RUNNER
+// =============================================================================
+
+function toSpawnError(error, args, cwd) {
+  if (error.code === 'ENOENT') {
+    // spawn reports a missing cwd the same way as a missing executable
+    return existsSync(cwd)
+      ? new GitNotFoundError('git executable not found - is git installed and on PATH?', { args })
+      : new NotARepositoryError(`Not a git repository: ${cwd} does not exist`, { args });
+  }
+  return new GitError(error.message, { args });
+}
+
+function toExitError(args, stderr, exitCode, cwd) {
+  const details = { args, stderr, exitCode };
+  const message = stderr.trim() || `git ${args[0]} exited with code ${exitCode}`;
+
+  if (/not a git repository/i.test(stderr)) {
+    return new NotARepositoryError(`Not a git repository: ${cwd}`, details);
+  }
+  if (/bad revision|unknown revision|ambiguous argument|bad object|invalid object name|not a valid (object|commit) name|needed a single revision/i.test(stderr)) {
+    return new BadRevisionError(message, details);
+  }
+  return new GitError(message, details);
+}
+
+/**
+ * Spawn git with an argument array (never through a shell)
+ * Options: timeout (ms git may keep its reader waiting for output, 0 = none), signal (AbortSignal)
+ * Returns the child, a `finished` promise that rejects with a typed GitError, and
+ * `setConsumerBusy(busy)` to stop the timeout while a streaming consumer works
+ */
+function spawnGit(args, cwd, { timeout = DEFAULT_TIMEOUT_MS, signal } = {}) {
+  const child = spawn('git', ['-c', 'core.quotePath=false', ...args], { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+  let stderr = '';
+  let failure = null;
+
+  child.stderr.setEncoding('utf8');
+  child.stderr.on('data', chunk => { stderr += chunk; });
+
+  const stop = (error) => {
+    if (failure) return;
+    failure = error;
+    child.kill();
+  };
+  const onAbort = () => stop(new GitAbortedError(`git ${args[0]} was cancelled`, { args }));
+
+  // Output restarts the timeout, so a long but steady command is never stopped
+  let waitingSince = Date.now();
+  let consumerBusy = false;
+  let timer = null;
+  const checkTimeout = () => {
+    const waited = consumerBusy ? 0 : Date.now() - waitingSince;
+    if (waited >= timeout) {
+      stop(new GitTimeoutError(`git ${args[0]} timed out after ${timeout}ms without output`, { args }));
+    } else {
+      timer = setTimeout(checkTimeout, timeout - waited);
+    }
+  };
+  if (timeout > 0) {
+    timer = setTimeout(checkTimeout, timeout);
+    child.stdout.on('data', () => { waitingSince = Date.now(); });
+  }
+  const setConsumerBusy = (busy) => {
+    consumerBusy = busy;
+    if (!busy) waitingSince = Date.now();
+  };
+
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener('abort', onAbort, { once: true });
+  }
+
+  const finished = new Promise((resolve, reject) => {
+    const settle = (error) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      if (error) reject(error);
+      else resolve();
+    };
+    child.on('error', error => settle(failure || toSpawnError(error, args, cwd)));
+    child.on('close', code => settle(failure || (code === 0 ? null : toExitError(args, stderr, code, cwd))));
+  });
+  // Callers that stop reading early never await this
+  finished.catch(() => {});
+
+  return { child, finished, setConsumerBusy };
+}
+
+/**
+ * Run git and return its full stdout (no buffer limit)
+ */
+export async function runGit(args, cwd, options = {}) {
+  const { child, finished } = spawnGit(args, cwd, options);
+  let stdout = '';
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', chunk => { stdout += chunk; });
+  await finished;
+  return stdout;
+}
+
+/**
+ * Spawn git and yield its stdout line by line (no buffer limit)
+ */
+async function* streamGitLines(args, cwd, options = {}) {
+  const { child, finished, setConsumerBusy } = spawnGit(args, cwd, options);
 
-export function runGit(args, cwd) {
   try {
-    return execSync(['git', ...args].join(' '), { cwd, encoding: 'utf8', maxBuffer: 10 * 1024 * 1024 });
-  } catch (e) {
-    throw new Error(e.stderr?.toString?.() || e.message);
+    const lines = readline.createInterface({ input: child.stdout, crlfDelay: Infinity });
+    for await (const line of lines) {
+      // Time the consumer spends on a line doesn't count against git's timeout
+      setConsumerBusy(true);
+      yield line;
+      setConsumerBusy(false);
+    }
+    await finished;
+  } finally {
+    // Consumer stopped early - don't leave git running
+    if (child.exitCode === null && child.signalCode === null) child.kill();
   }
 }
 
-export function ensureRepo(repoPath) {
-  runGit(['rev-parse', '--is-inside-work-tree'], repoPath);
+// =============================================================================
+// GIT COMMANDS
+// =============================================================================
+
+export async function ensureRepo(repoPath, options = {}) {
+  await runGit(['rev-parse', '--is-inside-work-tree'], repoPath, options);
+}
+
+/**
+ * Hash of HEAD, or null when the repository has no commits yet
+ */
+export async function getHeadHash(repoPath, options = {}) {
+  try {
+    return (await runGit(['rev-parse', '--verify', '--quiet', 'HEAD'], repoPath, options)).trim();
+  } catch (error) {
+    // --quiet: an unborn HEAD exits 1 without any stderr
+    if (error instanceof GitError && error.exitCode === 1 && !error.stderr.trim()) return null;
+    throw error;
+  }
+}
+
+/**
+ * Check whether `ancestor` is reachable from `descendant` (false when history was rewritten)
+ */
+export async function isAncestor(repoPath, ancestor, descendant, options = {}) {
+  try {
+    await runGit(['merge-base', '--is-ancestor', ancestor, descendant], repoPath, options);
+    return true;
+  } catch (error) {
+    if (error instanceof GitTimeoutError || error instanceof GitAbortedError) throw error;
+    return false;
+  }
+}
+
+/**
+ * How merge commits are walked:
+ * - ignore: skip merge commits, count every branch commit on its own date (default)
+ * - first-parent: walk the mainline only; each merge is diffed against its first parent
+ * - merge-unit: walk every commit, but branch commits are dated at the merge that landed them
+ */
+export const MERGE_STRATEGIES = ['ignore', 'first-parent', 'merge-unit'];
+
+/**
+ * Build git log revision/limiting args from a commit selection
+ * - ref: branch, tag, commit or revision range (e.g. "release/2.x", "v1.0..v2.0")
+ * - since/until: any date git understands ("2024-01-01", "3 months ago")
+ * - allBranches: walk every local and remote branch instead of HEAD
+ * - mergeStrategy: one of MERGE_STRATEGIES
+ */
+export function buildRevisionArgs({ ref, since, until, allBranches, mergeStrategy = 'ignore' } = {}) {
+  const args = [];
+  if (mergeStrategy === 'ignore') {
+    args.push('--no-merges');
+  } else if (mergeStrategy === 'first-parent') {
+    // -m so merges get a diff at all; with --first-parent only against the first parent
+    args.push('--first-parent', '-m');
+  } else if (mergeStrategy !== 'merge-unit') {
+    throw new InvalidOptionError(`Unknown merge strategy: ${mergeStrategy} (expected one of: ${MERGE_STRATEGIES.join(', ')})`);
+  }
+  if (since) args.push(`--since=${since}`);
+  if (until) args.push(`--until=${until}`);
+  if (allBranches) args.push('--all');
+  if (ref) {
+    // Never let a ref be interpreted as a git option
+    if (ref.startsWith('-')) throw new BadRevisionError(`Invalid revision: ${ref}`, { args: [ref] });
+    args.push(ref);
+  } else if (!allBranches) {
+    // rev-list has no implicit HEAD like git log does
+    args.push('HEAD');
+  }
+  return args;
 }
 
-export function listCommits(repoPath, maxCommits) {
-  const fmt = '%H\x01%ad\x01%s';
-  const out = runGit(['log', `--max-count=${maxCommits}`, '--date=iso', `--pretty=format:${fmt}`], repoPath);
+// %aN/%aE: author identity after .mailmap
+export async function listCommits(repoPath, maxCommits, options = {}) {
+  const fmt = '%H\x01%ad\x01%aN\x01%aE\x01%s';
+  const out = await runGit(['log', `--max-count=${maxCommits}`, '--date=iso', `--pretty=format:${fmt}`], repoPath, options);
   const commits = [];
   for (const line of out.split('\n')) {
     const parts = line.split('\x01');
-    if (parts.length >= 3) {
-      commits.push({ hash: parts[0], date: parts[1], message: parts[2] });
+    if (parts.length >= 5) {
+      commits.push({ hash: parts[0], date: parts[1], author: { name: parts[2], email: parts[3] }, message: parts.slice(4).join('\x01') });
     }
   }
   return commits;
 }
 
-export function getCommitDiff(repoPath, hash) {
+export async function getCommitDiff(repoPath, hash, options = {}) {
   try {
-    return runGit(['show', '--name-only', '--pretty=format:', hash], repoPath);
+    return await runGit(['show', '--name-only', '--pretty=format:', hash], repoPath, options);
   } catch {
     return '';
   }
 }
 
-export function getCommitFullDiff(repoPath, hash) {
-  try {
-    return runGit(['show', hash], repoPath);
-  } catch {
-    return '';
+/**
+ * Full patch of a commit, optionally limited to `paths`
+ * Merges are diffed against their first parent, like the mainline walk does.
+ * `relative` prints paths relative to `repoPath` when it is a sub-directory.
+ * Failures are thrown, so they are never mistaken for (and cached as) an empty patch.
+ */
+export async function getCommitFullDiff(repoPath, hash, { paths = [], relative = false, ...options } = {}) {
+  const args = ['show', '-m', '--first-parent', ...(relative ? ['--relative'] : []), hash, '--', ...paths];
+  return runGit(args, repoPath, options);
+}
+
+/**
+ * Full patches of several commits from one git process: Map hash -> patch
+ * Diffed like getCommitFullDiff, but every patch is limited to all of `paths`,
+ * so it may also show another commit's path that this commit touched.
+ * A commit with nothing to show for `paths` is left out.
+ */
+export async function getCommitPatches(repoPath, hashes, { paths = [], relative = false, ...options } = {}) {
+  const patches = new Map();
+  let lines = null;
+
+  const args = ['log', '--no-walk=unsorted', `--format=${RECORD_SEP}%H`, '-p', '-m', '--first-parent', ...(relative ? ['--relative'] : []), ...hashes, '--', ...paths];
+  for await (const line of streamGitLines(args, repoPath, options)) {
+    if (line.startsWith(RECORD_SEP)) {
+      lines = [];
+      patches.set(line.slice(1), lines);
+    } else if (lines) {
+      lines.push(line);
+    }
   }
+
+  return new Map(Array.from(patches, ([hash, patchLines]) => [hash, patchLines.join('\n')]));
 }
 
-export function getFileDiff(repoPath, hash, filePath) {
+export async function getFileDiff(repoPath, hash, filePath, options = {}) {
   try {
-    return runGit(['show', hash, '--', filePath], repoPath);
+    return await runGit(['show', hash, '--', filePath], repoPath, options);
   } catch {
     return '';
   }
 }
 
+/**
+ * Tags pointing at commits (optionally matching a glob like 'v*'), oldest first
+ */
+export async function listTags(repoPath, { pattern, ...options } = {}) {
+  const fmt = ['%(refname:short)', '%(objecttype)', '%(objectname)', '%(*objecttype)', '%(*objectname)', '%(creatordate:iso-strict)'].join(FIELD_SEP);
+  const ref = pattern ? `refs/tags/${pattern}` : 'refs/tags';
+  const out = await runGit(['for-each-ref', '--sort=creatordate', `--format=${fmt}`, ref], repoPath, options);
+  const tags = [];
+  for (const line of out.split('\n')) {
+    if (!line) continue;
+    const [name, type, hash, peeledType, peeledHash, date] = line.split(FIELD_SEP);
+    // Annotated tags point at a tag object; use the commit behind it
+    if ((peeledType || type) === 'commit') {
+      tags.push({ name, hash: peeledHash || hash, date });
+    }
+  }
+  return tags;
+}
+
+// =============================================================================
+// STREAMING LOG READER
+// =============================================================================
+
+// Every manifest in the tree (workspaces, sub-projects), never vendored ones
+function manifestPathspecs(manifestFiles, scope) {
+  const prefix = scope ? `${scope}/` : '';
+  return [
+    ...manifestFiles.map(file => `:(glob)${prefix}**/${file}`),
+    ':(exclude,glob)**/node_modules/**',
+    ':(exclude,glob)**/vendor/**'
+  ];
+}
+
+/**
+ * Make a repo-relative path relative to the scoped sub-project
+ */
+function toScopedPath(filePath, scope) {
+  return scope && filePath && filePath.startsWith(`${scope}/`) ? filePath.slice(scope.length + 1) : filePath;
+}
+
+/**
+ * Collect per-file patches of the given commits for the given pathspecs
+ * `diffArgs` carry the merge diff options of the walk (e.g. -m --first-parent)
+ * Returns Map of commit hash -> { [filePath]: diff text }
+ */
+async function collectFileDiffs(repoPath, pathspecs, hashes, diffArgs, gitOptions) {
+  const diffs = new Map();
+  let files = null;
+  let lines = [];
+  let filePath = null;
+
+  const flush = () => {
+    if (files && filePath) files[filePath] = lines.join('\n');
+    lines = [];
+    filePath = null;
+  };
+
+  const args = ['log', '--no-walk=unsorted', `--format=${RECORD_SEP}%H`, '-p', ...diffArgs, ...hashes, '--', ...pathspecs];
+  for await (const line of streamGitLines(args, repoPath, gitOptions)) {
+    if (line.startsWith(RECORD_SEP)) {
+      flush();
+      files = {};
+      diffs.set(line.slice(1), files);
+      continue;
+    }
+    if (!files) continue;
+
+    if (line.startsWith('diff --git ')) {
+      flush();
+    } else if (line.startsWith('+++ b/')) {
+      filePath = line.slice(6);
+    } else if (line.startsWith('--- a/') && !filePath) {
+      // Deleted files have "+++ /dev/null"
+      filePath = line.slice(6);
+    }
+    lines.push(line);
+  }
+  flush();
+
+  return diffs;
+}
+
+/**
+ * List commit hashes (newest first) for the given revision args
+ */
+export async function listCommitHashes(repoPath, { maxCommits = 2000, revisions = [], scope = null, ...gitOptions } = {}) {
+  const hashes = [];
+  const args = ['rev-list', `--max-count=${maxCommits}`, ...revisions, '--', ...(scope ? [scope] : [])];
+  for await (const line of streamGitLines(args, repoPath, gitOptions)) {
+    if (line) hashes.push(line);
+  }
+  return hashes;
+}
+
+/**
+ * Parents of every commit reachable from the given revisions: Map hash → [parent hashes]
+ */
+export async function listCommitParents(repoPath, { revisions = [], ...gitOptions } = {}) {
+  const parents = new Map();
+  for await (const line of streamGitLines(['rev-list', '--parents', ...revisions, '--'], repoPath, gitOptions)) {
+    if (!line) continue;
+    const [hash, ...rest] = line.split(' ');
+    parents.set(hash, rest);
+  }
+  return parents;
+}
+
+/**
+ * Parse a --raw line: ":100644 100644 abc123 def456 R087\told/path\tnew/path"
+ */
+function parseRawLine(line) {
+  const [meta, firstPath, secondPath] = line.split('\t');
+  const statusField = meta.split(' ')[4] || '';
+  const status = statusField.charAt(0);
+  const similarity = statusField.length > 1 ? parseInt(statusField.slice(1), 10) : null;
+  const renamed = status === 'R' || status === 'C';
+
+  return {
+    status,
+    path: renamed ? secondPath : firstPath,
+    oldPath: renamed ? firstPath : null,
+    similarity,
+    additions: 0,
+    deletions: 0
+  };
+}
+
+/**
+ * Parse a --numstat line: "12\t3\tpath" ("-\t-\tpath" for binary files)
+ */
+function parseNumstatLine(line) {
+  const [added, deleted] = line.split('\t');
+  return {
+    additions: added === '-' ? 0 : parseInt(added, 10) || 0,
+    deletions: deleted === '-' ? 0 : parseInt(deleted, 10) || 0
+  };
+}
+
+// Commits per manifest patch lookup, so patches are never held for the whole range
+const MANIFEST_BATCH_SIZE = 100;
+
+// Revision args that change how merges are diffed, not which commits are walked
+const MERGE_DIFF_ARGS = new Set(['-m', '--first-parent']);
+
+/**
+ * Stream parsed commit records (newest first) from one git log with per-file
+ * status and line counts, plus one more git process per MANIFEST_BATCH_SIZE
+ * commits for their manifest patches (`manifestFiles` globs, any depth).
+ * Renames (R) and copies (C) carry their oldPath and similarity percentage.
+ * `revisions` are passed to git log as-is (e.g. ['abc123..HEAD']), defaulting to HEAD.
+ * `scope` limits the walk to commits touching that sub-directory and makes every
+ * path relative to it. `timeout` and `signal` apply to each git process.
+ *
+ * Each record: { hash, parents, date, commitDate, author: { name, email }, message,
+ *                files: [{ status, path, oldPath, similarity, additions, deletions }],
+ *                manifestDiffs: { [package.json path]: diff } }
+ */
+export async function* streamCommits(repoPath, { maxCommits = 2000, revisions = [], scope = null, manifestFiles = ['package.json'], ...gitOptions } = {}) {
+  const pathspecs = manifestPathspecs(manifestFiles, scope);
+  const diffArgs = revisions.filter(arg => MERGE_DIFF_ARGS.has(arg));
+  let batch = [];
+
+  // Attach the manifest patches of the pending records, then hand them out
+  async function* flushBatch() {
+    const manifestDiffs = await collectFileDiffs(repoPath, pathspecs, batch.map(c => c.hash), diffArgs, gitOptions);
+    for (const record of batch) {
+      record.manifestDiffs = Object.fromEntries(
+        Object.entries(manifestDiffs.get(record.hash) || {}).map(([file, diff]) => [toScopedPath(file, scope), diff])
+      );
+      yield record;
+    }
+    batch = [];
+  }
+
+  // %aN/%aE respect .mailmap, so one person with several emails is one author
+  const fmt = [RECORD_SEP + '%H', '%P', '%ad', '%cd', '%aN', '%aE', '%s'].join(FIELD_SEP);
+  const args = ['log', `--max-count=${maxCommits}`, '--date=iso', `--format=${fmt}`, '--raw', '--numstat', '-C', ...revisions, '--', ...(scope ? [scope] : [])];
+
+  let current = null;
+  let numstatIndex = 0;
+
+  for await (const line of streamGitLines(args, repoPath, gitOptions)) {
+    if (line.startsWith(RECORD_SEP)) {
+      if (current) batch.push(current);
+      if (batch.length >= MANIFEST_BATCH_SIZE) yield* flushBatch();
+
+      const [hash, parents, date, commitDate, authorName, authorEmail, message] = line.slice(1).split(FIELD_SEP);
+      current = {
+        hash,
+        parents: parents ? parents.split(' ') : [],
+        date,
+        commitDate,
+        author: { name: authorName, email: authorEmail },
+        message,
+        files: [],
+        manifestDiffs: {}
+      };
+      numstatIndex = 0;
+      continue;
+    }
+
+    if (!current || !line) continue;
+
+    if (line.startsWith(':')) {
+      const file = parseRawLine(line);
+      file.path = toScopedPath(file.path, scope);
+      file.oldPath = toScopedPath(file.oldPath, scope);
+      current.files.push(file);
+    } else {
+      // numstat lines come in the same order as the raw lines
+      const file = current.files[numstatIndex++];
+      if (file) Object.assign(file, parseNumstatLine(line));
+    }
+  }
+
+  if (current) batch.push(current);
+  if (batch.length > 0) yield* flushBatch();
+}
+
 export function toDateIso(dateStr) {
   try {
     const d = new Date(dateStr);
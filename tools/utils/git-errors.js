@@ -0,0 +1,74 @@
+/**
+ * Git Errors
+ * Typed failures for git invocations, so callers can react without parsing stderr
+ */
+
+export class GitError extends Error {
+  constructor(message, { args = [], stderr = '', exitCode = null } = {}) {
+    super(message);
+    this.name = 'GitError';
+    this.args = args;
+    this.stderr = stderr;
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * git executable is not installed or not on PATH
+ */
+export class GitNotFoundError extends GitError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'GitNotFoundError';
+  }
+}
+
+/**
+ * Path does not exist or is not inside a git work tree
+ */
+export class NotARepositoryError extends GitError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotARepositoryError';
+  }
+}
+
+/**
+ * Ref, range or commit that git cannot resolve (also: empty repository)
+ */
+export class BadRevisionError extends GitError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'BadRevisionError';
+  }
+}
+
+/**
+ * Option value git cannot be run with (e.g. an unknown merge strategy)
+ */
+export class InvalidOptionError extends GitError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'InvalidOptionError';
+  }
+}
+
+/**
+ * git did not finish within the per-call timeout
+ */
+export class GitTimeoutError extends GitError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'GitTimeoutError';
+  }
+}
+
+/**
+ * git was stopped through an AbortSignal (e.g. MCP request cancellation)
+ */
+export class GitAbortedError extends GitError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AbortError';
+  }
+}
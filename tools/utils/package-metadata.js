@@ -0,0 +1,153 @@
+/**
+ * Package Metadata
+ * Descriptions and keywords for npm dependencies, from pluggable providers:
+ * - installed packages (node_modules/<name>/package.json)
+ * - the offline catalog bundled with this package (tools/data/package-catalog.json)
+ * - an npm-compatible registry, only when a registry URL is configured
+ *
+ * Answers are cached in .timeline/package-metadata.json, so later runs are
+ * deterministic and never need the network for packages already seen.
+ *
+ * A provider is { name, lookup(packageName) } where lookup resolves to
+ * { description, keywords } or null when the provider doesn't know the package.
+ */
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'node:fs';
+import path from 'node:path';
+
+const CACHE_VERSION = 1;
+const CATALOG_URL = new URL('../data/package-catalog.json', import.meta.url);
+
+// npm package names; Maven coordinates, Go module paths and the like are never looked up
+const NPM_NAME = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/;
+
+function toMetadata(pkg) {
+  if (!pkg || typeof pkg !== 'object') return null;
+  const description = typeof pkg.description === 'string' ? pkg.description.trim() : '';
+  const keywords = Array.isArray(pkg.keywords) ? pkg.keywords.filter(k => typeof k === 'string') : [];
+  return description || keywords.length > 0 ? { description, keywords } : null;
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// =============================================================================
+// PROVIDERS
+// =============================================================================
+
+/**
+ * Installed packages of the analyzed repository (root node_modules)
+ */
+export function createNodeModulesProvider(repoPath) {
+  return {
+    name: 'node_modules',
+    async lookup(packageName) {
+      return toMetadata(readJson(path.join(repoPath, 'node_modules', ...packageName.split('/'), 'package.json')));
+    }
+  };
+}
+
+/**
+ * Offline catalog: { "<package>": { description, keywords } }
+ */
+export function createCatalogProvider(catalog = readJson(CATALOG_URL) || {}) {
+  return {
+    name: 'catalog',
+    async lookup(packageName) {
+      return toMetadata(catalog[packageName]);
+    }
+  };
+}
+
+/**
+ * npm-compatible registry, e.g. https://registry.npmjs.org or a private mirror
+ * Network failures and unknown packages resolve to null, never to an error
+ */
+export function createRegistryProvider(registryUrl, { timeout = 5000 } = {}) {
+  const base = registryUrl.replace(/\/+$/, '');
+  return {
+    name: 'registry',
+    async lookup(packageName) {
+      try {
+        // Scoped packages keep their "@" but escape the "/" (@scope%2Fname)
+        const response = await fetch(`${base}/${packageName.replace('/', '%2F')}`, {
+          headers: { accept: 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8' },
+          signal: AbortSignal.timeout(timeout)
+        });
+        if (!response.ok) return null;
+        const pkg = await response.json();
+        // Full documents carry keywords on the latest version only
+        const latest = pkg.versions?.[pkg['dist-tags']?.latest] || {};
+        return toMetadata({ description: pkg.description ?? latest.description, keywords: pkg.keywords ?? latest.keywords });
+      } catch (error) {
+        console.error(`[WARN] Registry lookup failed for ${packageName}: ${error.message}`);
+        return null;
+      }
+    }
+  };
+}
+
+// =============================================================================
+// CACHED LOOKUP
+// =============================================================================
+
+function getCachePath(repoPath) {
+  return path.join(repoPath, '.timeline', 'package-metadata.json');
+}
+
+/**
+ * Metadata provider for a timeline run: cache first, then each provider in order
+ * Default providers are node_modules and the offline catalog, plus the registry
+ * when `registryUrl` is set; pass `providers` to replace them.
+ * Call save() once the run is done to persist new answers.
+ */
+export function createMetadataProvider(repoPath, { registryUrl, providers } = {}) {
+  const sources = providers || [
+    createNodeModulesProvider(repoPath),
+    createCatalogProvider(),
+    ...(registryUrl ? [createRegistryProvider(registryUrl)] : [])
+  ];
+  
+  const cached = readJson(getCachePath(repoPath));
+  const packages = cached?.version === CACHE_VERSION && cached.packages ? cached.packages : {};
+  const misses = new Set();
+  let changed = false;
+  
+  return {
+    name: 'cached',
+    async lookup(packageName) {
+      if (packages[packageName]) return packages[packageName];
+      if (misses.has(packageName) || !NPM_NAME.test(packageName)) return null;
+  
+      for (const provider of sources) {
+        const metadata = await provider.lookup(packageName);
+        if (metadata) {
+          // Only answers are saved: a package installed later is still picked up
+          packages[packageName] = { ...metadata, source: provider.name };
+          changed = true;
+          return packages[packageName];
+        }
+      }
+      misses.add(packageName);
+      return null;
+    },
+    save() {
+      if (!changed) return;
+      const cachePath = getCachePath(repoPath);
+      const tmpPath = `${cachePath}.${process.pid}.tmp`;
+      try {
+        mkdirSync(path.dirname(cachePath), { recursive: true });
+        writeFileSync(tmpPath, JSON.stringify({ version: CACHE_VERSION, packages }, null, 2), 'utf8');
+        renameSync(tmpPath, cachePath);
+        changed = false;
+      } catch (error) {
+        console.error('[ERROR] Failed to write package metadata cache:', error);
+      }
+    }
+  };
+}
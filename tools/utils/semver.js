@@ -0,0 +1,38 @@
+/**
+ * Semver helpers for the version ranges found in manifests
+ * ("^17.0.2", "~> 7.0", ">=2.31", "v1.9.0", "18.x")
+ */
+
+/**
+ * Lower bound of a version range as { major, minor, patch }, or null when the
+ * range names no version (tags like "latest", git URLs, workspace:/file: links)
+ */
+export function parseVersion(range) {
+  if (!range || /[:/]/.test(range)) return null;
+  
+  const match = String(range).trim().match(/(\d+)(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?/);
+  if (!match) return null;
+  
+  const part = (value) => (value === undefined || /[xX*]/.test(value) ? 0 : Number(value));
+  return { major: Number(match[1]), minor: part(match[2]), patch: part(match[3]) };
+}
+
+/**
+ * A breaking upgrade: 17.x → 18.x, or 0.6 → 0.7 (minor is breaking before 1.0)
+ */
+export function isMajorUpgrade(from, to) {
+  const a = parseVersion(from);
+  const b = parseVersion(to);
+  if (!a || !b) return false;
+  if (a.major !== b.major) return b.major > a.major;
+  return a.major === 0 && b.minor > a.minor;
+}
+
+/**
+ * Short label for the breaking part of a version: "^18.2.0" → "v18", "0.7.1" → "v0.7"
+ */
+export function formatMajor(range) {
+  const version = parseVersion(range);
+  if (!version) return range;
+  return version.major === 0 ? `v0.${version.minor}` : `v${version.major}`;
+}